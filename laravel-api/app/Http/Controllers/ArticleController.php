@@ -4,29 +4,110 @@
 
 use App\Models\Article;
 use App\Models\CompetitorArticle;
+use App\Models\Tag;
+use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Str;
 use App\Services\ArticleScraper;
 
 class ArticleController extends Controller
 {
+    /**
+     * What an original carries of its enhanced version: enough to link to it, and the
+     * gap analysis whose missing keywords a re-enhancement searches for
+     */
+    private const ENHANCED_POINTER = ['id', 'original_article_id', 'slug', 'updated_at', 'gap_analysis'];
+
     /**
      * Display a listing of articles.
+     *
+     * Searches, filters and sorts on the server and returns one page at a time:
+     * numbered pages (`page`, `per_page`) for the blog, or a cursor (`cursor`)
+     * for scripts that walk the whole list.
      */
     public function index(Request $request): JsonResponse
     {
-        $query = Article::with('competitorArticles');
-        
-        // Filter by status if provided
-        if ($request->has('status')) {
+        $request->validate([
+            'q' => 'nullable|string|max:200',
+            'status' => 'nullable|in:original,updated',
+            'tag' => 'nullable|string|max:100',
+            'from' => 'nullable|date',
+            'to' => 'nullable|date',
+            'sort' => 'nullable|in:newest,oldest,relevance,title',
+            'page' => 'nullable|integer|min:1',
+            'per_page' => 'nullable|integer|min:1|max:100',
+            'cursor' => 'nullable|string',
+        ]);
+
+        // Only editors may list enhancements that are not published
+        if ($request->filled('review_status') && ($denied = $this->denyUnlessReviewer($request))) {
+            return $denied;
+        }
+
+        // Originals carry a pointer to their enhanced version, so clients can tell which are done
+        $query = $this->filteredArticles($request)
+            ->with([
+                'competitorArticles',
+                'tags',
+                'enhancedArticle' => fn ($enhanced) => $this->visibleEnhancements($request, $enhanced)
+                    ->select(self::ENHANCED_POINTER),
+            ]);
+
+        if ($request->filled('status')) {
             $query->where('status', $request->status);
         }
-        
-        $articles = $query->orderBy('created_at', 'desc')->get();
-        
+
+        $perPage = $request->integer('per_page', 10);
+
+        // A cursor walks the list in a stable order, whatever is added meanwhile
+        if ($request->has('cursor')) {
+            $articles = $query->orderBy('id')->cursorPaginate($perPage);
+
+            return response()->json([
+                'success' => true,
+                'data' => $articles->items(),
+                'meta' => [
+                    'per_page' => $articles->perPage(),
+                    'next_cursor' => $articles->nextCursor()?->encode(),
+                    'prev_cursor' => $articles->previousCursor()?->encode(),
+                ]
+            ]);
+        }
+
+        $sort = $request->input('sort', $request->filled('q') ? 'relevance' : 'newest');
+
+        match ($sort) {
+            'relevance' => $request->filled('q')
+                ? $query->orderByRelevance($request->q)
+                : $query->orderByRaw('COALESCE(published_at, created_at) desc'),
+            'oldest' => $query->orderByRaw('COALESCE(published_at, created_at) asc'),
+            'title' => $query->orderBy('title'),
+            default => $query->orderByRaw('COALESCE(published_at, created_at) desc'),
+        };
+
+        $articles = $query->orderBy('id', $sort === 'oldest' ? 'asc' : 'desc')->paginate($perPage);
+
+        // Matches per status under the same search, for the Enhanced/Original tabs
+        $counts = $this->filteredArticles($request)
+            ->select('status', DB::raw('count(*) as total'))
+            ->groupBy('status')
+            ->pluck('total', 'status');
+
         return response()->json([
             'success' => true,
-            'data' => $articles
+            'data' => $articles->items(),
+            'meta' => [
+                'current_page' => $articles->currentPage(),
+                'last_page' => $articles->lastPage(),
+                'per_page' => $articles->perPage(),
+                'total' => $articles->total(),
+                'counts' => [
+                    'original' => (int) ($counts['original'] ?? 0),
+                    'updated' => (int) ($counts['updated'] ?? 0),
+                ],
+            ]
         ]);
     }
 
@@ -35,6 +116,10 @@ public function index(Request $request): JsonResponse
      */
     public function store(Request $request): JsonResponse
     {
+        if ($denied = $this->denyUnlessPipelineOrReviewer($request)) {
+            return $denied;
+        }
+
         $validated = $request->validate([
             'title' => 'required|string|max:500',
             'content' => 'required|string',
@@ -48,35 +133,21 @@ public function store(Request $request): JsonResponse
             'excerpt' => 'nullable|string',
         ]);
 
+        // Enhanced text waits for an editor before it goes live
+        if (($validated['status'] ?? null) === 'updated') {
+            $validated['review_status'] = 'draft';
+        }
+
         $article = Article::create($validated);
 
         // If competitor articles are provided, create them
         if ($request->has('competitor_articles')) {
-            foreach ($request->competitor_articles as $competitor) {
-                CompetitorArticle::create([
-                    'article_id' => $article->id,
-                    'source_url' => $competitor['source_url'],
-                    'title' => $competitor['title'],
-                    'content_summary' => $competitor['content_summary'] ?? null,
-                    'image_url' => $competitor['image_url'] ?? null,
-                ]);
-            }
+            $this->createCompetitorArticles($article, $request->competitor_articles);
         }
         
         // Auto-generate slug if not provided/exists
         if (!$article->slug) {
-            $slug = \Illuminate\Support\Str::slug($article->title);
-            if ($article->original_url) {
-                $path = parse_url($article->original_url, PHP_URL_PATH);
-                $urlSlug = basename(rtrim($path, "/"));
-                if ($urlSlug) $slug = $urlSlug;
-            }
-            // Ensure unique
-            $count = Article::where('slug', $slug)->where('id', '!=', $article->id)->count();
-            if ($count > 0) $slug .= '-' . $article->id;
-            
-            $article->slug = $slug;
-            $article->save();
+            $this->assignSlug($article);
         }
 
 
@@ -89,21 +160,300 @@ public function store(Request $request): JsonResponse
     }
 
     /**
-     * Display the specified article.
+     * Create or replace the enhanced version of an original article (for Node.js script)
+     * Re-enhancing an original updates its enhanced article in place, keeping its ID and slug.
      */
-    public function show(string $id): JsonResponse
+    public function upsertEnhanced(Request $request, string $id): JsonResponse
     {
+        if ($denied = $this->denyUnlessPipeline($request)) {
+            return $denied;
+        }
+
+        $original = is_numeric($id)
+            ? Article::where('id', $id)->where('status', 'original')->first()
+            : Article::where('slug', $id)->where('status', 'original')->first();
+
+        if (!$original) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Original article not found'
+            ], 404);
+        }
+
+        $validated = $request->validate([
+            'title' => 'required|string|max:500',
+            'content' => 'required|string',
+            'original_url' => 'nullable|url',
+            'references' => 'nullable|array',
+            'gap_analysis' => 'nullable|array',
+            'featured_image' => 'nullable|url',
+            'author' => 'nullable|string',
+            'published_at' => 'nullable|date',
+            'excerpt' => 'nullable|string',
+            'enhancement' => 'nullable|array',
+            'enhancement.prompt_version' => 'nullable|string|max:50',
+            'enhancement.provider' => 'nullable|string|max:50',
+            'enhancement.model' => 'nullable|string|max:255',
+            'enhancement.competitors' => 'nullable|array',
+            'enhancement.enhanced_at' => 'nullable|date',
+        ]);
+
+        $enhancement = $validated['enhancement'] ?? [];
+        unset($validated['enhancement']);
+
+        $validated['status'] = 'updated';
+        $validated['original_url'] = $validated['original_url'] ?? $original->original_url;
+
+        // New LLM text always goes back to review, even if an earlier enhancement was published
+        $validated['review_status'] = 'draft';
+        $validated['review_note'] = null;
+        $validated['reviewed_at'] = null;
+
+        $article = DB::transaction(function () use ($request, $original, $validated, $enhancement) {
+            $article = Article::updateOrCreate(['original_article_id' => $original->id], $validated);
+
+            // The new competitor set replaces the one from the previous enhancement
+            if ($request->has('competitor_articles')) {
+                $article->competitorArticles()->delete();
+                $this->createCompetitorArticles($article, $request->competitor_articles);
+            }
+
+            // Every run is kept as a version, so a re-enhancement never loses the previous text
+            $article->versions()->create([
+                'version' => ($article->versions()->max('version') ?? 0) + 1,
+                'title' => $article->title,
+                'content' => $article->content,
+                'gap_analysis' => $article->gap_analysis,
+                'competitors' => $enhancement['competitors'] ?? collect($request->competitor_articles ?? [])
+                    ->map(fn ($competitor) => ['url' => $competitor['source_url'], 'title' => $competitor['title']])
+                    ->all(),
+                'prompt_version' => $enhancement['prompt_version'] ?? null,
+                'provider' => $enhancement['provider'] ?? null,
+                'model' => $enhancement['model'] ?? null,
+                'enhanced_at' => $enhancement['enhanced_at'] ?? now(),
+            ]);
+
+            return $article;
+        });
+
+        if (!$article->slug) {
+            $this->assignSlug($article);
+        }
+
+        $created = $article->wasRecentlyCreated;
+
+        return response()->json([
+            'success' => true,
+            'message' => $created ? 'Enhanced article created successfully' : 'Enhanced article updated successfully',
+            'data' => $article->load('competitorArticles')
+        ], $created ? 201 : 200);
+    }
+
+    /**
+     * List the versions of an enhanced article, newest first (without their content)
+     */
+    public function versions(Request $request, string $id): JsonResponse
+    {
+        if ($denied = $this->denyUnlessReviewer($request)) {
+            return $denied;
+        }
+
+        $article = is_numeric($id) 
+            ? Article::where('id', $id)->first() 
+            : Article::where('slug', $id)->first();
+        
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        return response()->json([
+            'success' => true,
+            'data' => $article->versions()->select([
+                'id', 'article_id', 'version', 'title', 'competitors',
+                'prompt_version', 'provider', 'model', 'enhanced_at', 'created_at',
+            ])->orderByDesc('version')->get()
+        ]);
+    }
+
+    /**
+     * Get one version of an enhanced article, with its content
+     */
+    public function version(Request $request, string $id, int $version): JsonResponse
+    {
+        if ($denied = $this->denyUnlessReviewer($request)) {
+            return $denied;
+        }
+
+        $article = is_numeric($id) 
+            ? Article::where('id', $id)->first() 
+            : Article::where('slug', $id)->first();
+
+        $articleVersion = $article?->versions()->where('version', $version)->first();
+        
+        if (!$articleVersion) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Version not found'
+            ], 404);
+        }
+
+        return response()->json([
+            'success' => true,
+            'data' => $articleVersion
+        ]);
+    }
+
+    /**
+     * Move an enhanced article through review (draft → in_review → approved → published,
+     * or rejected). The editor's accepted/rejected insertions come in as `content`,
+     * which is kept as a new version.
+     */
+    public function review(Request $request, string $id): JsonResponse
+    {
+        if ($denied = $this->denyUnlessReviewer($request)) {
+            return $denied;
+        }
+
+        $article = is_numeric($id) 
+            ? Article::where('id', $id)->where('status', 'updated')->first() 
+            : Article::where('slug', $id)->where('status', 'updated')->first();
+        
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Enhanced article not found'
+            ], 404);
+        }
+
+        $validated = $request->validate([
+            'status' => 'required|in:' . implode(',', array_keys(Article::REVIEW_TRANSITIONS)),
+            'content' => 'sometimes|string',
+            'note' => 'nullable|string|max:2000',
+        ]);
+
+        if (!$article->canTransitionTo($validated['status'])) {
+            return response()->json([
+                'success' => false,
+                'message' => "Cannot move an article from {$article->review_status} to {$validated['status']}"
+            ], 422);
+        }
+
+        // Edits are part of the review, not something to slip in while publishing
+        if (isset($validated['content']) && in_array($validated['status'], ['rejected', 'published'], true)) {
+            return response()->json([
+                'success' => false,
+                'message' => "Content cannot be changed when moving to {$validated['status']}"
+            ], 422);
+        }
+
+        DB::transaction(function () use ($article, $validated) {
+            if (isset($validated['content']) && $validated['content'] !== $article->content) {
+                $article->content = $validated['content'];
+
+                $latest = $article->versions()->orderByDesc('version')->first();
+                $article->versions()->create([
+                    'version' => ($latest->version ?? 0) + 1,
+                    'title' => $article->title,
+                    'content' => $article->content,
+                    'gap_analysis' => $article->gap_analysis,
+                    'competitors' => $latest->competitors ?? [],
+                    'prompt_version' => $latest->prompt_version ?? null,
+                    // Marks the version as an editor's revision of the LLM output
+                    'provider' => 'editor',
+                    'model' => null,
+                    'enhanced_at' => now(),
+                ]);
+            }
+
+            $article->review_status = $validated['status'];
+            $article->review_note = $validated['note'] ?? null;
+            $article->reviewed_at = now();
+            $article->save();
+        });
+
+        return response()->json([
+            'success' => true,
+            'message' => "Article moved to {$article->review_status}",
+            'data' => $article
+        ]);
+    }
+
+    /**
+     * Replace an article's tags. Tags are matched by slug; one the API has not
+     * seen yet is created from the name and description sent with it.
+     */
+    public function syncTags(Request $request, string $id): JsonResponse
+    {
+        if ($denied = $this->denyUnlessPipelineOrReviewer($request)) {
+            return $denied;
+        }
+
+        $article = is_numeric($id)
+            ? Article::where('id', $id)->first()
+            : Article::where('slug', $id)->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        $validated = $request->validate([
+            'tags' => 'present|array|max:10',
+            'tags.*.slug' => 'required|alpha_dash|max:100',
+            'tags.*.name' => 'required|string|max:100',
+            'tags.*.description' => 'nullable|string|max:255',
+            'tags.*.source' => 'nullable|in:' . implode(',', Tag::SOURCES),
+        ]);
+
+        DB::transaction(function () use ($article, $validated) {
+            $tags = [];
+
+            foreach ($validated['tags'] as $entry) {
+                // A tag sent without a description keeps the one it has
+                $tag = Tag::updateOrCreate(
+                    ['slug' => $entry['slug']],
+                    array_filter(['name' => $entry['name'], 'description' => $entry['description'] ?? null])
+                );
+                $tags[$tag->id] = ['source' => $entry['source'] ?? 'editor'];
+            }
+
+            $article->tags()->sync($tags);
+        });
+
+        return response()->json([
+            'success' => true,
+            'data' => $article->tags()->get()
+        ]);
+    }
+
+    /**
+     * Display the specified article. Enhancements that are not published are
+     * only shown to reviewers; everyone else gets a 404.
+     */
+    public function show(Request $request, string $id): JsonResponse
+    {
+        $query = Article::with([
+                'competitorArticles',
+                'tags',
+                'enhancedArticle' => fn ($enhanced) => $this->visibleEnhancements($request, $enhanced)
+                    ->select(self::ENHANCED_POINTER),
+            ])
+            ->withCount(['comments' => fn ($query) => $query->approved()]);
+
+        if (!$this->isReviewer($request)) {
+            $query->publiclyVisible();
+        }
+
         // PostgreSQL requires type-correct comparisons
         // Only query by id if $id is numeric, otherwise query by slug
-        if (is_numeric($id)) {
-            $article = Article::with('competitorArticles')
-                        ->where('id', $id)
-                        ->first();
-        } else {
-            $article = Article::with('competitorArticles')
-                        ->where('slug', $id)
-                        ->first();
-        }
+        $article = is_numeric($id)
+            ? $query->where('id', $id)->first()
+            : $query->where('slug', $id)->first();
         
         if (!$article) {
             return response()->json([
@@ -123,6 +473,10 @@ public function show(string $id): JsonResponse
      */
     public function update(Request $request, string $id): JsonResponse
     {
+        if ($denied = $this->denyUnlessPipelineOrReviewer($request)) {
+            return $denied;
+        }
+
         $article = is_numeric($id) 
             ? Article::where('id', $id)->first() 
             : Article::where('slug', $id)->first();
@@ -147,6 +501,18 @@ public function update(Request $request, string $id): JsonResponse
             'excerpt' => 'nullable|string',
         ]);
 
+        // Enhanced text only changes through review, and an article only becomes
+        // enhanced through upsertEnhanced, so neither can skip the editor
+        $changesStatus = isset($validated['status']) && $validated['status'] !== $article->status;
+        if ($changesStatus || (isset($validated['content']) && $article->status === 'updated')) {
+            return response()->json([
+                'success' => false,
+                'message' => $changesStatus
+                    ? 'An article\'s status cannot be changed'
+                    : 'Enhanced content changes go through review'
+            ], 422);
+        }
+
         $article->update($validated);
 
 
@@ -161,8 +527,12 @@ public function update(Request $request, string $id): JsonResponse
     /**
      * Remove the specified article.
      */
-    public function destroy(string $id): JsonResponse
+    public function destroy(Request $request, string $id): JsonResponse
     {
+        if ($denied = $this->denyUnlessPipelineOrReviewer($request)) {
+            return $denied;
+        }
+
         $article = is_numeric($id) 
             ? Article::where('id', $id)->first() 
             : Article::where('slug', $id)->first();
@@ -230,6 +600,162 @@ public function competitors(string $id): JsonResponse
         ]);
     }
 
+    /**
+     * Articles matching the listing's visibility, search, tag and date filters (all but status)
+     */
+    private function filteredArticles(Request $request): Builder
+    {
+        $query = Article::query();
+
+        // The review queue asks for review states (comma-separated, reviewers only);
+        // the public blog never sees enhancements that have not been published
+        if ($request->filled('review_status')) {
+            $query->whereIn('review_status', explode(',', $request->review_status));
+        } else {
+            $query->publiclyVisible();
+        }
+
+        // Filter originals by whether they have been enhanced yet
+        if ($request->has('enhanced')) {
+            $visible = fn ($enhanced) => $this->visibleEnhancements($request, $enhanced);
+            $request->boolean('enhanced')
+                ? $query->whereHas('enhancedArticle', $visible)
+                : $query->whereDoesntHave('enhancedArticle', $visible);
+        }
+
+        if ($request->filled('q')) {
+            $query->search($request->q);
+        }
+
+        if ($request->filled('tag')) {
+            $query->whereHas('tags', fn ($query) => $query->where('slug', $request->tag));
+        }
+
+        // Dates are inclusive and compare the publication date, or when the article was stored
+        if ($request->filled('from')) {
+            $query->whereRaw('COALESCE(published_at, created_at) >= ?', [$request->date('from')->startOfDay()]);
+        }
+
+        if ($request->filled('to')) {
+            $query->whereRaw('COALESCE(published_at, created_at) <= ?', [$request->date('to')->endOfDay()]);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Limit enhanced articles to published ones, unless the worker or an editor is asking
+     */
+    private function visibleEnhancements(Request $request, $query)
+    {
+        return $this->isPipeline($request) || $this->isReviewer($request)
+            ? $query
+            : $query->publiclyVisible();
+    }
+
+    /**
+     * Whether the request carries the worker's pipeline token (never, when none is configured)
+     */
+    private function isPipeline(Request $request): bool
+    {
+        $expected = (string) config('pipeline.token');
+
+        return $expected !== '' && hash_equals($expected, (string) $request->header('X-Pipeline-Token'));
+    }
+
+    /**
+     * A 403 response unless the request carries the pipeline token
+     */
+    private function denyUnlessPipeline(Request $request): ?JsonResponse
+    {
+        if ($this->isPipeline($request)) {
+            return null;
+        }
+
+        return response()->json([
+            'success' => false,
+            'message' => 'Pipeline token required'
+        ], 403);
+    }
+
+    /**
+     * A 403 response unless the request carries the pipeline or the reviewer token
+     */
+    private function denyUnlessPipelineOrReviewer(Request $request): ?JsonResponse
+    {
+        if ($this->isPipeline($request) || $this->isReviewer($request)) {
+            return null;
+        }
+
+        return response()->json([
+            'success' => false,
+            'message' => 'Pipeline or reviewer token required'
+        ], 403);
+    }
+
+    /**
+     * Whether the request carries the reviewer token (never, when none is configured)
+     */
+    private function isReviewer(Request $request): bool
+    {
+        $expected = (string) config('review.reviewer_token');
+
+        return $expected !== '' && hash_equals($expected, (string) $request->header('X-Reviewer-Token'));
+    }
+
+    /**
+     * A 403 response unless the request carries the reviewer token
+     */
+    private function denyUnlessReviewer(Request $request): ?JsonResponse
+    {
+        if ($this->isReviewer($request)) {
+            return null;
+        }
+
+        return response()->json([
+            'success' => false,
+            'message' => 'Reviewer token required'
+        ], 403);
+    }
+
+    /**
+     * Create the competitor articles an enhancement was based on
+     */
+    private function createCompetitorArticles(Article $article, array $competitors): void
+    {
+        foreach ($competitors as $competitor) {
+            CompetitorArticle::create([
+                'article_id' => $article->id,
+                'source_url' => $competitor['source_url'],
+                'title' => $competitor['title'],
+                'content_summary' => $competitor['content_summary'] ?? null,
+                'image_url' => $competitor['image_url'] ?? null,
+                'author' => $competitor['author'] ?? null,
+                'site_name' => $competitor['site_name'] ?? null,
+                'published_at' => $competitor['published_at'] ?? null,
+            ]);
+        }
+    }
+
+    /**
+     * Generate a unique slug from the original URL's last path segment, or the title
+     */
+    private function assignSlug(Article $article): void
+    {
+        $slug = Str::slug($article->title);
+        if ($article->original_url) {
+            $path = parse_url($article->original_url, PHP_URL_PATH);
+            $urlSlug = basename(rtrim($path, "/"));
+            if ($urlSlug) $slug = $urlSlug;
+        }
+        // Ensure unique
+        $count = Article::where('slug', $slug)->where('id', '!=', $article->id)->count();
+        if ($count > 0) $slug .= '-' . $article->id;
+
+        $article->slug = $slug;
+        $article->save();
+    }
+
     /**
      * Scrape articles from BeyondChats
      */
@@ -0,0 +1,280 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Article;
+use App\Models\Comment;
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\RateLimiter;
+use Illuminate\Support\Str;
+
+class CommentController extends Controller
+{
+    /**
+     * List an article's approved comments: top-level comments paginated, oldest first, with their replies
+     */
+    public function index(Request $request, string $id): JsonResponse
+    {
+        $article = is_numeric($id)
+            ? Article::publiclyVisible()->where('id', $id)->first()
+            : Article::publiclyVisible()->where('slug', $id)->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        $perPage = min(max($request->integer('per_page', config('comments.per_page')), 1), 50);
+
+        $comments = $article->comments()
+            ->approved()
+            ->whereNull('parent_id')
+            ->with(['replies' => fn ($query) => $query->approved()->oldest()])
+            ->oldest()
+            ->paginate($perPage);
+
+        return response()->json([
+            'success' => true,
+            'data' => $comments->items(),
+            'meta' => [
+                'current_page' => $comments->currentPage(),
+                'last_page' => $comments->lastPage(),
+                'per_page' => $comments->perPage(),
+                'total' => $comments->total(),
+                // Replies included, for the "N comments" heading
+                'total_comments' => $article->comments()->approved()->count(),
+            ]
+        ]);
+    }
+
+    /**
+     * Post a comment or a reply. The response carries an edit token, shown
+     * only once, that the author needs to delete the comment later, and the
+     * commenter token their browser sends with its next comments.
+     */
+    public function store(Request $request, string $id): JsonResponse
+    {
+        $article = is_numeric($id)
+            ? Article::publiclyVisible()->where('id', $id)->first()
+            : Article::publiclyVisible()->where('slug', $id)->first();
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        $validated = $request->validate([
+            'author_name' => 'required|string|max:100',
+            'author_email' => 'required|email|max:255',
+            'author_website' => 'nullable|url|max:255',
+            'body' => 'required|string|max:5000',
+            'parent_id' => 'nullable|integer',
+        ]);
+
+        // Limit comments per IP and per email address
+        $limiterKeys = [
+            'comments:ip:' . $request->ip(),
+            'comments:email:' . sha1(Str::lower($validated['author_email'])),
+        ];
+
+        foreach ($limiterKeys as $key) {
+            if (RateLimiter::tooManyAttempts($key, config('comments.rate_limit.max_attempts'))) {
+                $seconds = RateLimiter::availableIn($key);
+
+                return response()->json([
+                    'success' => false,
+                    'message' => "Too many comments. Please try again in {$seconds} seconds."
+                ], 429)->header('Retry-After', $seconds);
+            }
+        }
+
+        foreach ($limiterKeys as $key) {
+            RateLimiter::hit($key, config('comments.rate_limit.decay_seconds'));
+        }
+
+        $parent = null;
+        if (!empty($validated['parent_id'])) {
+            $parent = $article->comments()->approved()->find($validated['parent_id']);
+
+            if (!$parent) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'Comment to reply to not found'
+                ], 404);
+            }
+        }
+
+        $editToken = Str::random(40);
+
+        // Issued with the first comment; anyone can type in an email address, but
+        // only the author's browser knows this
+        $commenterToken = (string) $request->header('X-Commenter-Token');
+        if (!preg_match('/^[A-Za-z0-9]{40}$/', $commenterToken)) {
+            $commenterToken = Str::random(40);
+        }
+        $commenterHash = hash('sha256', $commenterToken);
+
+        $comment = $article->comments()->create([
+            'author_name' => $validated['author_name'],
+            'author_email' => $validated['author_email'],
+            'author_website' => $validated['author_website'] ?? null,
+            'body' => $validated['body'],
+            // A reply to a reply joins the thread of its top-level comment
+            'parent_id' => $parent ? ($parent->parent_id ?? $parent->id) : null,
+            'status' => $this->initialStatus($request, $validated, $commenterHash),
+            'ip_address' => $request->ip(),
+            'user_agent' => Str::limit((string) $request->userAgent(), 250, ''),
+            'edit_token_hash' => hash('sha256', $editToken),
+            'commenter_hash' => $commenterHash,
+        ]);
+
+        $approved = $comment->status === 'approved';
+
+        // Spam gets the same answer as a held comment, so bots learn nothing
+        return response()->json([
+            'success' => true,
+            'message' => $approved ? 'Comment posted' : 'Your comment is awaiting moderation',
+            'data' => array_merge($comment->toArray(), ['status' => $approved ? 'approved' : 'pending']),
+            'edit_token' => $editToken,
+            'commenter_token' => $commenterToken
+        ], 201);
+    }
+
+    /**
+     * Delete a comment (and its replies); only its author, holding the edit token, may
+     */
+    public function destroy(Request $request, string $id): JsonResponse
+    {
+        $comment = Comment::find($id);
+
+        if (!$comment) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Comment not found'
+            ], 404);
+        }
+
+        $token = (string) ($request->header('X-Edit-Token') ?? $request->input('edit_token'));
+
+        if ($token === '' || !hash_equals($comment->edit_token_hash, hash('sha256', $token))) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Only the author of a comment can delete it'
+            ], 403);
+        }
+
+        $comment->delete();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Comment deleted'
+        ]);
+    }
+
+    /**
+     * List comments awaiting moderation (or in another state), newest first
+     */
+    public function moderation(Request $request): JsonResponse
+    {
+        if ($denied = $this->denyUnlessModerator($request)) {
+            return $denied;
+        }
+
+        $status = in_array($request->status, Comment::STATUSES, true) ? $request->status : 'pending';
+
+        $comments = Comment::with(['article:id,title,slug', 'parent:id,author_name,body'])
+            ->where('status', $status)
+            ->latest()
+            ->paginate(min(max($request->integer('per_page', 20), 1), 100));
+
+        return response()->json([
+            'success' => true,
+            // Moderators need the contact details hidden from readers
+            'data' => collect($comments->items())->map(fn ($comment) => $comment->makeVisible(['author_email', 'ip_address'])),
+            'meta' => [
+                'current_page' => $comments->currentPage(),
+                'last_page' => $comments->lastPage(),
+                'per_page' => $comments->perPage(),
+                'total' => $comments->total(),
+            ]
+        ]);
+    }
+
+    /**
+     * Approve, reject or mark a comment as spam
+     */
+    public function moderate(Request $request, string $id): JsonResponse
+    {
+        if ($denied = $this->denyUnlessModerator($request)) {
+            return $denied;
+        }
+
+        $comment = Comment::find($id);
+
+        if (!$comment) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Comment not found'
+            ], 404);
+        }
+
+        $validated = $request->validate([
+            'status' => 'required|in:' . implode(',', Comment::STATUSES),
+        ]);
+
+        $comment->update($validated);
+
+        return response()->json([
+            'success' => true,
+            'message' => "Comment marked {$comment->status}",
+            'data' => $comment
+        ]);
+    }
+
+    /**
+     * Where a new comment starts: spam, held for moderation, or approved
+     */
+    private function initialStatus(Request $request, array $validated, string $commenterHash): string
+    {
+        // A honeypot field hidden from people; only bots fill it in
+        if ($request->filled('company')) {
+            return 'spam';
+        }
+
+        if (preg_match_all('~https?://~i', $validated['body']) > config('comments.max_links')) {
+            return 'pending';
+        }
+
+        return match (config('comments.moderation')) {
+            'none' => 'approved',
+            'all' => 'pending',
+            // "first": commenters with an approved comment are trusted from then on,
+            // recognised by their commenter token (never by the email they type in)
+            default => Comment::approved()->where('commenter_hash', $commenterHash)->exists()
+                ? 'approved'
+                : 'pending',
+        };
+    }
+
+    /**
+     * A 403 response unless the request carries the moderator token (always, when none is configured)
+     */
+    private function denyUnlessModerator(Request $request): ?JsonResponse
+    {
+        $expected = (string) config('comments.moderator_token');
+
+        if ($expected !== '' && hash_equals($expected, (string) $request->header('X-Moderator-Token'))) {
+            return null;
+        }
+
+        return response()->json([
+            'success' => false,
+            'message' => 'Moderator token required'
+        ], 403);
+    }
+}
@@ -0,0 +1,148 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Article;
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\RateLimiter;
+
+class LikeController extends Controller
+{
+    /**
+     * New likes allowed per IP address per hour, so fresh visitor IDs can't inflate a count
+     */
+    private const MAX_LIKES_PER_HOUR = 60;
+
+    /**
+     * An article's like count, and whether this visitor (X-Visitor-Id) has liked it
+     */
+    public function show(Request $request, string $id): JsonResponse
+    {
+        $article = $this->findArticle($id);
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        return response()->json([
+            'success' => true,
+            'data' => $this->summary($article, $this->visitorHash($request))
+        ]);
+    }
+
+    /**
+     * Like an article; liking it again changes nothing
+     */
+    public function store(Request $request, string $id): JsonResponse
+    {
+        $article = $this->findArticle($id);
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        $hash = $this->visitorHash($request);
+
+        if (!$hash) {
+            return response()->json([
+                'success' => false,
+                'message' => 'A visitor ID is required (X-Visitor-Id header)'
+            ], 422);
+        }
+
+        $key = 'likes:ip:' . $request->ip();
+
+        if (RateLimiter::tooManyAttempts($key, self::MAX_LIKES_PER_HOUR)) {
+            $seconds = RateLimiter::availableIn($key);
+
+            return response()->json([
+                'success' => false,
+                'message' => "Too many likes. Please try again in {$seconds} seconds."
+            ], 429)->header('Retry-After', $seconds);
+        }
+
+        $like = $article->likes()->firstOrCreate(['visitor_hash' => $hash]);
+
+        if ($like->wasRecentlyCreated) {
+            RateLimiter::hit($key, 3600);
+        }
+
+        return response()->json([
+            'success' => true,
+            'data' => $this->summary($article, $hash)
+        ], $like->wasRecentlyCreated ? 201 : 200);
+    }
+
+    /**
+     * Take back this visitor's like
+     */
+    public function destroy(Request $request, string $id): JsonResponse
+    {
+        $article = $this->findArticle($id);
+
+        if (!$article) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Article not found'
+            ], 404);
+        }
+
+        $hash = $this->visitorHash($request);
+
+        if (!$hash) {
+            return response()->json([
+                'success' => false,
+                'message' => 'A visitor ID is required (X-Visitor-Id header)'
+            ], 422);
+        }
+
+        $article->likes()->where('visitor_hash', $hash)->delete();
+
+        return response()->json([
+            'success' => true,
+            'data' => $this->summary($article, $hash)
+        ]);
+    }
+
+    /**
+     * Only articles the public blog shows can be liked
+     */
+    private function findArticle(string $id): ?Article
+    {
+        return is_numeric($id)
+            ? Article::publiclyVisible()->where('id', $id)->first()
+            : Article::publiclyVisible()->where('slug', $id)->first();
+    }
+
+    /**
+     * SHA-256 of the visitor ID the browser sent, or null without a usable one
+     */
+    private function visitorHash(Request $request): ?string
+    {
+        $visitorId = (string) $request->header('X-Visitor-Id');
+
+        if (!preg_match('/^[A-Za-z0-9-]{16,100}$/', $visitorId)) {
+            return null;
+        }
+
+        return hash('sha256', $visitorId);
+    }
+
+    /**
+     * The like count, and whether the visitor is among the likes
+     */
+    private function summary(Article $article, ?string $hash): array
+    {
+        return [
+            'count' => $article->likes()->count(),
+            'liked' => $hash !== null && $article->likes()->where('visitor_hash', $hash)->exists(),
+        ];
+    }
+}
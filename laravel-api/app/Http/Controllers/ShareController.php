@@ -0,0 +1,39 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Article;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Support\Str;
+use Illuminate\View\View;
+
+class ShareController extends Controller
+{
+    /**
+     * The link shared on social networks: a page carrying the article's Open Graph
+     * and Twitter card tags for their crawlers (which don't run the React app),
+     * that sends people straight on to the article on the blog
+     */
+    public function show(string $id): View|RedirectResponse
+    {
+        $article = is_numeric($id)
+            ? Article::publiclyVisible()->where('id', $id)->first()
+            : Article::publiclyVisible()->where('slug', $id)->first();
+
+        $frontendUrl = rtrim(config('app.frontend_url'), '/');
+
+        if (!$article) {
+            return redirect()->away($frontendUrl);
+        }
+
+        $path = $article->status === 'updated' ? 'articles' : 'blogs';
+
+        return view('share', [
+            'title' => $article->title,
+            'description' => $article->excerpt ?: Str::limit(trim(preg_replace('/\s+/', ' ', strip_tags($article->content))), 200),
+            'image' => $article->featured_image,
+            'url' => "{$frontendUrl}/{$path}/" . ($article->slug ?: $article->id),
+            'publishedAt' => $article->published_at ?? $article->created_at,
+        ]);
+    }
+}
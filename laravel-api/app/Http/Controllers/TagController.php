@@ -0,0 +1,56 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Tag;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Http\JsonResponse;
+
+class TagController extends Controller
+{
+    /**
+     * List tags with how many published originals and enhanced articles carry each
+     */
+    public function index(): JsonResponse
+    {
+        $tags = $this->withArticleCounts(Tag::query())
+            ->orderBy('name')
+            ->get();
+
+        return response()->json([
+            'success' => true,
+            'data' => $tags
+        ]);
+    }
+
+    /**
+     * Display a tag by slug (its articles are listed through /articles?tag=)
+     */
+    public function show(string $slug): JsonResponse
+    {
+        $tag = $this->withArticleCounts(Tag::where('slug', $slug))->first();
+
+        if (!$tag) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Tag not found'
+            ], 404);
+        }
+
+        return response()->json([
+            'success' => true,
+            'data' => $tag
+        ]);
+    }
+
+    /**
+     * Count only what the public blog shows, per status
+     */
+    private function withArticleCounts(Builder $query): Builder
+    {
+        return $query->withCount([
+            'articles as original_count' => fn ($query) => $query->publiclyVisible()->where('status', 'original'),
+            'articles as updated_count' => fn ($query) => $query->publiclyVisible()->where('status', 'updated'),
+        ]);
+    }
+}
@@ -3,10 +3,25 @@
 namespace App\Models;
 
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasOne;
+use Illuminate\Support\Facades\DB;
 
 class Article extends Model
 {
+    /**
+     * Review states an enhanced article can move to from each state
+     */
+    public const REVIEW_TRANSITIONS = [
+        'draft' => ['in_review', 'approved', 'rejected'],
+        'in_review' => ['draft', 'approved', 'rejected'],
+        'approved' => ['in_review', 'rejected', 'published'],
+        'rejected' => ['draft'],
+        'published' => ['draft'],
+    ];
+
     protected $fillable = [
         'title',
         'content',
@@ -15,15 +30,24 @@ class Article extends Model
         'published_at',
         'featured_image',
         'original_url',
+        'original_article_id',
         'status',
+        'review_status',
+        'review_note',
+        'reviewed_at',
         'references',
         'gap_analysis',
     ];
 
+    protected $hidden = [
+        'search_vector',
+    ];
+
     protected $casts = [
         'references' => 'array',
         'gap_analysis' => 'array',
         'published_at' => 'datetime',
+        'reviewed_at' => 'datetime',
     ];
 
     /**
@@ -34,6 +58,65 @@ public function competitorArticles(): HasMany
         return $this->hasMany(CompetitorArticle::class);
     }
 
+    /**
+     * Get readers' comments on this article
+     */
+    public function comments(): HasMany
+    {
+        return $this->hasMany(Comment::class);
+    }
+
+    /**
+     * Get the article's tags from the managed taxonomy
+     */
+    public function tags(): BelongsToMany
+    {
+        return $this->belongsToMany(Tag::class)
+            ->withPivot('source')
+            ->withTimestamps()
+            ->orderBy('name');
+    }
+
+    /**
+     * Get readers' likes, one per visitor
+     */
+    public function likes(): HasMany
+    {
+        return $this->hasMany(ArticleLike::class);
+    }
+
+    /**
+     * Get every enhancement run that produced this article
+     */
+    public function versions(): HasMany
+    {
+        return $this->hasMany(ArticleVersion::class);
+    }
+
+    /**
+     * Get the original article this enhanced article was generated from
+     */
+    public function originalArticle(): BelongsTo
+    {
+        return $this->belongsTo(Article::class, 'original_article_id');
+    }
+
+    /**
+     * Get the enhanced version of this original article
+     */
+    public function enhancedArticle(): HasOne
+    {
+        return $this->hasOne(Article::class, 'original_article_id');
+    }
+
+    /**
+     * Whether the article's review status may move to the given one
+     */
+    public function canTransitionTo(string $status): bool
+    {
+        return in_array($status, self::REVIEW_TRANSITIONS[$this->review_status] ?? [], true);
+    }
+
     /**
      * Scope for original articles
      */
@@ -49,4 +132,47 @@ public function scopeUpdated($query)
     {
         return $query->where('status', 'updated');
     }
+
+    /**
+     * Scope for what the public blog shows: originals and published enhancements
+     */
+    public function scopePubliclyVisible($query)
+    {
+        return $query->where(function ($query) {
+            $query->where('status', 'original')
+                ->orWhere('review_status', 'published');
+        });
+    }
+
+    /**
+     * Scope for a full-text search over title, excerpt and content. On PostgreSQL it
+     * takes web search syntax ("quoted phrases", -excluded, or); elsewhere it is a
+     * plain substring match.
+     */
+    public function scopeSearch($query, string $terms)
+    {
+        if (DB::getDriverName() === 'pgsql') {
+            return $query->whereRaw("search_vector @@ websearch_to_tsquery('english', ?)", [$terms]);
+        }
+
+        $like = '%' . addcslashes($terms, '%_\\') . '%';
+
+        return $query->where(function ($query) use ($like) {
+            $query->where('title', 'like', $like)
+                ->orWhere('excerpt', 'like', $like)
+                ->orWhere('content', 'like', $like);
+        });
+    }
+
+    /**
+     * Scope for ordering search results best match first (newest first without full-text search)
+     */
+    public function scopeOrderByRelevance($query, string $terms)
+    {
+        if (DB::getDriverName() !== 'pgsql') {
+            return $query->orderByRaw('COALESCE(published_at, created_at) desc');
+        }
+
+        return $query->orderByRaw("ts_rank(search_vector, websearch_to_tsquery('english', ?)) desc", [$terms]);
+    }
 }
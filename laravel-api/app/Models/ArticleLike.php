@@ -0,0 +1,26 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class ArticleLike extends Model
+{
+    protected $fillable = [
+        'article_id',
+        'visitor_hash',
+    ];
+
+    protected $hidden = [
+        'visitor_hash',
+    ];
+
+    /**
+     * Get the article that was liked
+     */
+    public function article(): BelongsTo
+    {
+        return $this->belongsTo(Article::class);
+    }
+}
@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class ArticleVersion extends Model
+{
+    protected $fillable = [
+        'article_id',
+        'version',
+        'title',
+        'content',
+        'gap_analysis',
+        'competitors',
+        'prompt_version',
+        'provider',
+        'model',
+        'enhanced_at',
+    ];
+
+    protected $casts = [
+        'gap_analysis' => 'array',
+        'competitors' => 'array',
+        'enhanced_at' => 'datetime',
+    ];
+
+    /**
+     * Get the enhanced article this is a version of
+     */
+    public function article(): BelongsTo
+    {
+        return $this->belongsTo(Article::class);
+    }
+}
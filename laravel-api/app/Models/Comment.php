@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+class Comment extends Model
+{
+    /**
+     * Moderation states; only approved comments are shown on the blog
+     */
+    public const STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+    protected $fillable = [
+        'article_id',
+        'parent_id',
+        'author_name',
+        'author_email',
+        'author_website',
+        'body',
+        'status',
+        'ip_address',
+        'user_agent',
+        'edit_token_hash',
+        'commenter_hash',
+    ];
+
+    protected $hidden = [
+        'author_email',
+        'ip_address',
+        'user_agent',
+        'edit_token_hash',
+        'commenter_hash',
+    ];
+
+    /**
+     * Get the article the comment was left on
+     */
+    public function article(): BelongsTo
+    {
+        return $this->belongsTo(Article::class);
+    }
+
+    /**
+     * Get the top-level comment this is a reply to
+     */
+    public function parent(): BelongsTo
+    {
+        return $this->belongsTo(Comment::class, 'parent_id');
+    }
+
+    /**
+     * Get the replies to this comment
+     */
+    public function replies(): HasMany
+    {
+        return $this->hasMany(Comment::class, 'parent_id');
+    }
+
+    /**
+     * Scope for comments visible on the blog
+     */
+    public function scopeApproved($query)
+    {
+        return $query->where('status', 'approved');
+    }
+}
@@ -13,6 +13,13 @@ class CompetitorArticle extends Model
         'title',
         'content_summary',
         'image_url',
+        'author',
+        'site_name',
+        'published_at',
+    ];
+
+    protected $casts = [
+        'published_at' => 'datetime',
     ];
 
     /**
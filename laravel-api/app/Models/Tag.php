@@ -0,0 +1,34 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+
+class Tag extends Model
+{
+    /**
+     * Who can choose an article's tags
+     */
+    public const SOURCES = ['rules', 'llm', 'editor'];
+
+    protected $fillable = [
+        'slug',
+        'name',
+        'description',
+    ];
+
+    protected $hidden = [
+        'pivot',
+    ];
+
+    /**
+     * Get the articles with this tag
+     */
+    public function articles(): BelongsToMany
+    {
+        return $this->belongsToMany(Article::class)
+            ->withPivot('source')
+            ->withTimestamps();
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Moderation
+    |--------------------------------------------------------------------------
+    |
+    | "first" holds a commenter's comments for moderation until one of them
+    | has been approved (commenters are recognised by the commenter token
+    | their browser keeps), "all" holds every comment, and "none" publishes
+    | comments straight away. Comments that trip the spam heuristics are
+    | always held.
+    |
+    */
+
+    'moderation' => env('COMMENTS_MODERATION', 'first'),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Moderator Token
+    |--------------------------------------------------------------------------
+    |
+    | The moderation endpoints require it in the X-Moderator-Token header.
+    | Without it set, they refuse every request.
+    |
+    */
+
+    'moderator_token' => env('COMMENTS_MODERATOR_TOKEN'),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Spam Heuristics
+    |--------------------------------------------------------------------------
+    |
+    | Comments per IP address and per email address within the decay window,
+    | and the number of links above which a comment is held for moderation.
+    |
+    */
+
+    'rate_limit' => [
+        'max_attempts' => (int) env('COMMENTS_RATE_LIMIT', 5),
+        'decay_seconds' => (int) env('COMMENTS_RATE_LIMIT_DECAY', 600),
+    ],
+
+    'max_links' => 2,
+
+    'per_page' => 10,
+
+];
@@ -0,0 +1,18 @@
+<?php
+
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Pipeline Token
+    |--------------------------------------------------------------------------
+    |
+    | The enhancement worker (node-script) sends it in the X-Pipeline-Token
+    | header to save enhanced articles and their tags. Set the same value as
+    | PIPELINE_TOKEN in the worker's .env. Without it set, nobody can.
+    |
+    */
+
+    'token' => env('PIPELINE_TOKEN'),
+
+];
@@ -0,0 +1,18 @@
+<?php
+
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Reviewer Token
+    |--------------------------------------------------------------------------
+    |
+    | Editors send it in the X-Reviewer-Token header to see enhanced articles
+    | that are not published (the review queue, drafts, version history) and
+    | to move them through review. Without it set, nobody can.
+    |
+    */
+
+    'reviewer_token' => env('REVIEWER_TOKEN'),
+
+];
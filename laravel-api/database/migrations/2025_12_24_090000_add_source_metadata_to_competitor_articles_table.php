@@ -0,0 +1,30 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('competitor_articles', function (Blueprint $table) {
+            $table->string('author')->nullable()->after('title');
+            $table->string('site_name')->nullable()->after('author');
+            $table->timestamp('published_at')->nullable()->after('site_name');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('competitor_articles', function (Blueprint $table) {
+            $table->dropColumn(['author', 'site_name', 'published_at']);
+        });
+    }
+};
@@ -0,0 +1,51 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // An original has at most one enhanced article, updated in place on re-enhancement
+            $table->foreignId('original_article_id')->nullable()->unique()->after('id')
+                ->constrained('articles')->nullOnDelete();
+        });
+
+        // Link existing enhanced articles to their originals by URL. Where an
+        // original was enhanced more than once, the newest enhancement keeps the link.
+        $originals = DB::table('articles')
+            ->where('status', 'original')
+            ->whereNotNull('original_url')
+            ->pluck('id', 'original_url');
+
+        DB::table('articles')
+            ->where('status', 'updated')
+            ->whereNotNull('original_url')
+            ->orderByDesc('created_at')
+            ->get(['id', 'original_url'])
+            ->unique('original_url')
+            ->filter(fn ($enhanced) => isset($originals[$enhanced->original_url]))
+            ->each(fn ($enhanced) => DB::table('articles')
+                ->where('id', $enhanced->id)
+                ->update(['original_article_id' => $originals[$enhanced->original_url]]));
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropForeign(['original_article_id']);
+            $table->dropUnique(['original_article_id']);
+            $table->dropColumn('original_article_id');
+        });
+    }
+};
@@ -0,0 +1,60 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('article_versions', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('article_id')->constrained()->onDelete('cascade'); // The enhanced article
+            $table->unsignedInteger('version');
+            $table->string('title');
+            $table->longText('content');
+            $table->json('gap_analysis')->nullable();
+            $table->json('competitors')->nullable(); // [{url, title, score}] used for this run
+            $table->string('prompt_version')->nullable();
+            $table->string('provider')->nullable();
+            $table->string('model')->nullable();
+            $table->timestamp('enhanced_at')->nullable();
+            $table->timestamps();
+
+            $table->unique(['article_id', 'version']);
+        });
+
+        // Existing enhanced articles start their history at version 1
+        DB::table('articles')->where('status', 'updated')->orderBy('id')->get()->each(function ($article) {
+            $competitors = DB::table('competitor_articles')
+                ->where('article_id', $article->id)
+                ->get(['source_url', 'title'])
+                ->map(fn ($competitor) => ['url' => $competitor->source_url, 'title' => $competitor->title]);
+
+            DB::table('article_versions')->insert([
+                'article_id' => $article->id,
+                'version' => 1,
+                'title' => $article->title,
+                'content' => $article->content,
+                'gap_analysis' => $article->gap_analysis,
+                'competitors' => $competitors->toJson(),
+                'enhanced_at' => $article->updated_at,
+                'created_at' => now(),
+                'updated_at' => now(),
+            ]);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('article_versions');
+    }
+};
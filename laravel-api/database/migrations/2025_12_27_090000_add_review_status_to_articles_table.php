@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Only enhanced articles are reviewed; originals keep it null
+            $table->string('review_status', 20)->nullable()->after('status')->index();
+            $table->text('review_note')->nullable()->after('review_status');
+            $table->timestamp('reviewed_at')->nullable()->after('review_note');
+        });
+
+        // Enhanced articles from before the review workflow are already live
+        DB::table('articles')
+            ->where('status', 'updated')
+            ->update(['review_status' => 'published']);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropIndex(['review_status']);
+            $table->dropColumn(['review_status', 'review_note', 'reviewed_at']);
+        });
+    }
+};
@@ -0,0 +1,41 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('comments', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('article_id')->constrained()->onDelete('cascade');
+            // Threads are one level deep: a reply's parent is always a top-level comment
+            $table->foreignId('parent_id')->nullable()->constrained('comments')->onDelete('cascade');
+            $table->string('author_name', 100);
+            $table->string('author_email');
+            $table->string('author_website')->nullable();
+            $table->text('body');
+            $table->string('status', 20)->default('pending')->index();
+            $table->string('ip_address', 45)->nullable();
+            $table->string('user_agent')->nullable();
+            // SHA-256 of the token handed to the author, who needs it to delete the comment
+            $table->string('edit_token_hash', 64);
+            $table->timestamps();
+
+            $table->index(['article_id', 'parent_id', 'status']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('comments');
+    }
+};
@@ -0,0 +1,46 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Support\Facades\DB;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Full-text search is PostgreSQL only; other drivers fall back to LIKE
+        if (DB::getDriverName() !== 'pgsql') {
+            return;
+        }
+
+        // Title ranks above the excerpt, which ranks above the body (HTML tags stripped)
+        DB::statement(<<<'SQL'
+            ALTER TABLE articles ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+                setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+                setweight(to_tsvector('english', coalesce(excerpt, '')), 'B') ||
+                setweight(to_tsvector('english', regexp_replace(coalesce(content, ''), '<[^>]+>', ' ', 'g')), 'C')
+            ) STORED
+        SQL);
+
+        DB::statement('CREATE INDEX articles_search_vector_index ON articles USING GIN (search_vector)');
+
+        // The list is sorted by publication date, falling back to when it was stored
+        DB::statement('CREATE INDEX articles_listed_at_index ON articles ((COALESCE(published_at, created_at)))');
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        if (DB::getDriverName() !== 'pgsql') {
+            return;
+        }
+
+        DB::statement('DROP INDEX IF EXISTS articles_listed_at_index');
+        DB::statement('DROP INDEX IF EXISTS articles_search_vector_index');
+        DB::statement('ALTER TABLE articles DROP COLUMN IF EXISTS search_vector');
+    }
+};
@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // The taxonomy is managed by node-script; a tag is created the first time it is used
+        Schema::create('tags', function (Blueprint $table) {
+            $table->id();
+            $table->string('slug', 100)->unique();
+            $table->string('name', 100);
+            $table->string('description')->nullable();
+            $table->timestamps();
+        });
+
+        Schema::create('article_tag', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('article_id')->constrained()->onDelete('cascade');
+            $table->foreignId('tag_id')->constrained()->onDelete('cascade');
+            // Who chose the tag: the keyword rules, the LLM, or an editor
+            $table->string('source', 20);
+            $table->timestamps();
+
+            $table->unique(['article_id', 'tag_id']);
+            $table->index('tag_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('article_tag');
+        Schema::dropIfExists('tags');
+    }
+};
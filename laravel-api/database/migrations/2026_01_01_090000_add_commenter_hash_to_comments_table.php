@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('comments', function (Blueprint $table) {
+            // SHA-256 of the commenter token the author's browser keeps; an approved
+            // comment with the same hash lets their next comments skip moderation
+            $table->string('commenter_hash', 64)->nullable()->index()->after('edit_token_hash');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('comments', function (Blueprint $table) {
+            $table->dropIndex(['commenter_hash']);
+            $table->dropColumn('commenter_hash');
+        });
+    }
+};
@@ -0,0 +1,35 @@
+<!DOCTYPE html>
+<html lang="en">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+
+        <title>{{ $title }} | BeyondChats Blog</title>
+        <meta name="description" content="{{ $description }}">
+        <link rel="canonical" href="{{ $url }}">
+
+        <meta property="og:type" content="article">
+        <meta property="og:site_name" content="BeyondChats Blog">
+        <meta property="og:title" content="{{ $title }}">
+        <meta property="og:description" content="{{ $description }}">
+        <meta property="og:url" content="{{ $url }}">
+        @if ($image)
+            <meta property="og:image" content="{{ $image }}">
+        @endif
+        @if ($publishedAt)
+            <meta property="article:published_time" content="{{ $publishedAt->toIso8601String() }}">
+        @endif
+
+        <meta name="twitter:card" content="{{ $image ? 'summary_large_image' : 'summary' }}">
+        <meta name="twitter:title" content="{{ $title }}">
+        <meta name="twitter:description" content="{{ $description }}">
+        @if ($image)
+            <meta name="twitter:image" content="{{ $image }}">
+        @endif
+
+        <meta http-equiv="refresh" content="0; url={{ $url }}">
+    </head>
+    <body>
+        <p><a href="{{ $url }}">{{ $title }}</a></p>
+    </body>
+</html>
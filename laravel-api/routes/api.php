@@ -3,6 +3,9 @@
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
 use App\Http\Controllers\ArticleController;
+use App\Http\Controllers\CommentController;
+use App\Http\Controllers\LikeController;
+use App\Http\Controllers\TagController;
 
 /*
 |--------------------------------------------------------------------------
@@ -24,4 +27,25 @@
 // Additional Article Endpoints
 Route::get('/articles-latest', [ArticleController::class, 'latest']);
 Route::get('/articles/{id}/competitors', [ArticleController::class, 'competitors']);
+Route::put('/articles/{id}/enhanced', [ArticleController::class, 'upsertEnhanced']);
+Route::get('/articles/{id}/versions', [ArticleController::class, 'versions']);
+Route::get('/articles/{id}/versions/{version}', [ArticleController::class, 'version'])->whereNumber('version');
+Route::post('/articles/{id}/review', [ArticleController::class, 'review']);
+Route::put('/articles/{id}/tags', [ArticleController::class, 'syncTags']);
 Route::post('/scrape', [ArticleController::class, 'scrape']);
+
+// Comment Routes
+Route::get('/articles/{id}/comments', [CommentController::class, 'index']);
+Route::post('/articles/{id}/comments', [CommentController::class, 'store']);
+Route::delete('/comments/{id}', [CommentController::class, 'destroy'])->whereNumber('id');
+Route::get('/comments/moderation', [CommentController::class, 'moderation']);
+Route::put('/comments/{id}/status', [CommentController::class, 'moderate'])->whereNumber('id');
+
+// Like Routes (the visitor is identified by the X-Visitor-Id header)
+Route::get('/articles/{id}/likes', [LikeController::class, 'show']);
+Route::post('/articles/{id}/likes', [LikeController::class, 'store']);
+Route::delete('/articles/{id}/likes', [LikeController::class, 'destroy']);
+
+// Tag Routes
+Route::get('/tags', [TagController::class, 'index']);
+Route::get('/tags/{slug}', [TagController::class, 'show']);
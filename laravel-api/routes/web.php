@@ -1,7 +1,11 @@
 <?php
 
 use Illuminate\Support\Facades\Route;
+use App\Http\Controllers\ShareController;
 
 Route::get('/', function () {
     return view('welcome');
 });
+
+// Share links: Open Graph meta for crawlers, then on to the blog
+Route::get('/share/{id}', [ShareController::class, 'show']);
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * BeyondChats CLI
+ *
+ * Single entry point for every pipeline stage:
+ *   beyondchats enhance --latest | --id <id>   Enhance one article and save it as a draft for review
+ *   beyondchats batch [options]                Enhance all pending originals (see processAll.js)
+ *   beyondchats search <query> [--count N]     Find competitor articles
+ *   beyondchats queries --id <id>              Show the search queries generated for an article
+ *   beyondchats scrape <url>                   Extract content from a page
+ *   beyondchats analyze --id <id>              Gap analysis against live competitors
+ *   beyondchats publish <file>                 POST an article JSON file to the API
+ *   beyondchats tag --id <id> | --all          Classify articles into the tag taxonomy
+ *
+ * Every command accepts --json to print a machine-readable result on stdout.
+ * Logs go to stderr (LOG_LEVEL, LOG_FORMAT=json; see services/logger.js).
+ */
+
+import 'dotenv/config';
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+
+import { main as enhanceLatest, processArticle } from './index.js';
+import { runBatch, parseBatchOptions } from './processAll.js';
+import { fetchAllArticles, fetchArticleById, publishArticle, saveArticleTags } from './services/articleFetcher.js';
+import { getSearchUsage, searchRelatedArticles } from './services/googleSearcher.js';
+import { scrapeArticleContent } from './services/contentScraper.js';
+import { buildSearchQueries } from './services/queryBuilder.js';
+import { closeRenderer } from './services/pageRenderer.js';
+import { logger, withLogContext } from './services/logger.js';
+import { getDailyUsage, remainingBudget } from './services/usageTracker.js';
+import { createPipeline } from './services/pipeline.js';
+import { classifyArticle } from './services/tagClassifier.js';
+
+const COMPETITOR_COUNT = 2;
+
+const USAGE = `Usage: beyondchats <command> [options]
+
+Commands:
+  enhance --latest | --id <id>   Enhance one article and save it as a draft for review
+  batch [options]                Enhance all pending originals
+                                 (--limit, --only-ids, --concurrency, --dry-run,
+                                  --retries, --retry-delay, --delay, --queue-file,
+                                  --report-file, --max-tokens, --max-cost,
+                                  --force to re-enhance already enhanced articles)
+  search <query> [--count N]     Find competitor articles
+  queries --id <id>              Show the search queries generated for an article
+  scrape <url>                   Extract content from a page
+  analyze --id <id>              Gap analysis against live competitors
+  publish <file>                 POST an article JSON file to the API
+  tag --id <id> | --all          Classify articles into the tag taxonomy and save their tags
+                                 (--llm to ask the model too, --dry-run to only print them)
+  usage                          Today's LLM token usage, cost and remaining budget,
+                                 and search calls per provider
+
+Global options:
+  --json                         Print the result as JSON on stdout
+                                 (LOG_FORMAT=json makes the stderr logs JSON too)
+  -h, --help                     Show this help`;
+
+/**
+ * Subcommands: parseArgs option spec plus a handler returning the command result
+ */
+const commands = {
+    enhance: {
+        options: {
+            id: { type: 'string' },
+            latest: { type: 'boolean', default: false },
+        },
+        async run({ values }) {
+            if (values.id) return await processArticle(values.id);
+            if (values.latest) return await enhanceLatest();
+            throw new UsageError('enhance needs --id <id> or --latest');
+        },
+    },
+
+    batch: {
+        passthrough: true,
+        async run({ args }) {
+            return await runBatch(parseBatchOptions(args));
+        },
+    },
+
+    search: {
+        options: {
+            count: { type: 'string', default: '5' },
+        },
+        async run({ values, positionals }) {
+            const query = positionals.join(' ');
+            if (!query) throw new UsageError('search needs a <query>');
+            return await searchRelatedArticles(query, parseInt(values.count, 10) || 5);
+        },
+    },
+
+    queries: {
+        options: {
+            id: { type: 'string' },
+        },
+        async run({ values }) {
+            if (!values.id) throw new UsageError('queries needs --id <id>');
+
+            const article = await fetchArticleById(values.id);
+            return buildSearchQueries(article, { gapAnalysis: article.enhanced_article?.gap_analysis });
+        },
+    },
+
+    scrape: {
+        async run({ positionals }) {
+            const [url] = positionals;
+            if (!url) throw new UsageError('scrape needs a <url>');
+
+            const result = await scrapeArticleContent(url);
+            if (!result) throw new Error(`Could not scrape ${url}`);
+            return result;
+        },
+    },
+
+    analyze: {
+        options: {
+            id: { type: 'string' },
+        },
+        async run({ values }) {
+            if (!values.id) throw new UsageError('analyze needs --id <id>');
+
+            const article = await fetchArticleById(values.id);
+            const pipeline = createPipeline({ options: { competitorCount: COMPETITOR_COUNT } });
+            const outputs = await pipeline.run(article, { stopAfter: 'analyse' });
+
+            return {
+                article: { id: article.id, title: article.title },
+                competitors: outputs.rank.map(c => ({ title: c.title, url: c.url, ranking: c.ranking })),
+                gap_analysis: outputs.analyse,
+            };
+        },
+    },
+
+    publish: {
+        async run({ positionals }) {
+            const [file] = positionals;
+            if (!file) throw new UsageError('publish needs a <file>');
+
+            const articleData = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!articleData.title || !articleData.content) {
+                throw new Error(`${file} must contain at least "title" and "content"`);
+            }
+            return await publishArticle(articleData);
+        },
+    },
+
+    tag: {
+        options: {
+            id: { type: 'string' },
+            all: { type: 'boolean', default: false },
+            llm: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+        },
+        async run({ values }) {
+            if (!values.id && !values.all) throw new UsageError('tag needs --id <id> or --all');
+
+            let articles = values.id ? [await fetchArticleById(values.id)] : await fetchAllArticles();
+
+            // As in the pipeline, an original shares the tags of its enhanced version
+            const listed = new Set(articles.map(a => a.id));
+            articles = articles.filter(a => values.id || !listed.has(a.enhanced_article?.id));
+
+            const results = [];
+            for (const article of articles) {
+                const tags = await withLogContext({ article_id: article.id }, async () => {
+                    const classified = await classifyArticle(article, values.llm ? { llm: true } : {});
+                    if (!values['dry-run']) {
+                        for (const id of [article.id, article.original_article_id].filter(Boolean)) {
+                            await saveArticleTags(id, classified);
+                        }
+                    }
+                    return classified;
+                });
+                results.push({ id: article.id, title: article.title, tags: tags.map(tag => tag.slug) });
+            }
+            return results;
+        },
+    },
+
+    usage: {
+        async run() {
+            return { today: getDailyUsage(), remaining: remainingBudget(), search: getSearchUsage() };
+        },
+    },
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse argv and dispatch to a subcommand
+ */
+async function run(argv = process.argv.slice(2)) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '-h' || name === '--help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const command = commands[name];
+    if (!command) {
+        console.error(`Unknown command "${name}"\n\n${USAGE}`);
+        return 1;
+    }
+
+    // Logs always go to stderr, so stdout carries only the result
+    const json = rest.includes('--json');
+    const args = rest.filter(arg => arg !== '--json');
+
+    try {
+        const parsed = command.passthrough
+            ? { args }
+            : parseArgs({ args, options: command.options || {}, allowPositionals: true });
+
+        const result = await command.run(parsed);
+
+        if (json) {
+            process.stdout.write(JSON.stringify(result ?? null, null, 2) + '\n');
+        } else if (result !== undefined && !['enhance', 'batch'].includes(name)) {
+            console.dir(result, { depth: 4 });
+        }
+        return 0;
+    } catch (error) {
+        if (json) {
+            process.stdout.write(JSON.stringify({ error: error.message }, null, 2) + '\n');
+        } else {
+            logger.error('Command failed', { command: name, error });
+        }
+
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`\n${USAGE}`);
+            return 2;
+        }
+        return 1;
+    } finally {
+        // A headless browser launched while scraping would keep the process alive
+        await closeRenderer();
+    }
+}
+
+run().then(code => {
+    process.exitCode = code;
+});
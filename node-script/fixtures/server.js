@@ -0,0 +1,82 @@
+/**
+ * Fixture Server
+ * Serves fixtures/pages over HTTP so the scraper, robots.txt handling, cache
+ * revalidation and headless rendering can be exercised without the internet:
+ *
+ *   npm run fixtures:serve
+ *   SCRAPER_CACHE=off node cli.js scrape http://127.0.0.1:8089/client-rendered.html
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../services/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_DIR = path.join(__dirname, 'pages');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+};
+
+/**
+ * Start serving a fixture directory
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.dir] - Defaults to fixtures/pages
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export function startFixtureServer({ port = 0, dir = DEFAULT_DIR } = {}) {
+    const root = path.resolve(dir);
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const file = path.join(root, decodeURIComponent(pathname));
+
+        if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        const body = fs.readFileSync(file);
+        const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+        // Lets the fetcher's ETag revalidation be tested
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'ETag': etag,
+        });
+        res.end(body);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(() => done())),
+            });
+        });
+    });
+}
+
+// Run directly: serve until interrupted
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.FIXTURE_PORT, 10) || 8089;
+    const { url } = await startFixtureServer({ port });
+    logger.info('Serving fixtures (Ctrl+C to stop)', { dir: path.relative(process.cwd(), DEFAULT_DIR) || DEFAULT_DIR, url });
+}
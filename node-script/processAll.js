@@ -2,153 +2,167 @@
  * Batch Process All Articles
  * 
  * Processes all original articles through the enhancement workflow:
- * 1. Fetch all original articles from Laravel API
- * 2. For each article: search Google, scrape 2 competitors, enhance with LLM
- * 3. Publish enhanced version with citations
- * 4. Track progress and handle errors gracefully
+ * 1. Fetch all original articles from Laravel API, skipping those already enhanced
+ * 2. Queue each article as a job in a persistent, file-backed queue
+ * 3. Run the shared pipeline (services/pipeline.js), checkpointing every stage
+ * 4. Retry failed stages with backoff; an interrupted run resumes where it stopped
+ * 5. Write a JSON run report with every article's outcome (services/runReport.js)
+ * 6. Stop starting articles once the token/cost budget would not cover another one
+ *
+ * Pacing is left to the rate limiter (services/rateLimiter.js), which tracks the
+ * LLM, search and per-host quotas separately; --delay only adds a fixed gap on top.
+ *
+ * Usage (through the CLI):
+ *   beyondchats batch [--limit N] [--only-ids 1,2,3] [--concurrency N] [--dry-run]
+ *                      [--retries N] [--retry-delay MS] [--delay MS] [--queue-file PATH]
+ *                      [--report-file PATH] [--max-tokens N] [--max-cost USD] [--force]
  */
 
 import 'dotenv/config';
 
-import axios from 'axios';
-import { searchRelatedArticles } from './services/googleSearcher.js';
-import { scrapeMultipleArticles } from './services/contentScraper.js';
-import { enhanceArticle, performGapAnalysis } from './services/llmEnhancer.js';
+import { parseArgs } from 'util';
+import { fetchAllArticles } from './services/articleFetcher.js';
+import { createPipeline, STAGE_NAMES } from './services/pipeline.js';
+import { createJobQueue, DEFAULT_QUEUE_FILE, JOB_STATUS } from './services/jobQueue.js';
+import { logger, newCorrelationId, withLogContext } from './services/logger.js';
+import { createRunReport, OUTCOME } from './services/runReport.js';
+import { describeLanes } from './services/rateLimiter.js';
+import { BudgetExceededError, createUsageMeter, remainingBudget, withUsageMeter } from './services/usageTracker.js';
 
-const LARAVEL_API_URL = process.env.LARAVEL_API_URL || 'http://localhost:8000/api';
 const COMPETITOR_COUNT = 2;
-const DELAY_BETWEEN_ARTICLES = 20000; // 20 seconds delay to avoid rate limits
+const STAGE_RETRIES = 2;
+const RETRY_BASE_DELAY = 5000;
 
 /**
- * Fetch all original articles from Laravel API
+ * Process a single article, resuming from its last checkpoint.
+ * Every log line inside carries the article's correlation ID.
  */
-async function fetchAllOriginalArticles() {
+async function processArticle(queue, report, article, index, total, options) {
+    const correlationId = newCorrelationId();
+    const meter = createUsageMeter();
+    report.startArticle(article, correlationId);
+
+    return withLogContext({ correlation_id: correlationId, article_id: article.id }, () =>
+        withUsageMeter(meter, () => runArticle(queue, report, meter, article, index, total, options))
+    );
+}
+
+async function runArticle(queue, report, meter, article, index, total, options) {
+    logger.info('Processing article', { position: `${index + 1}/${total}`, title: article.title });
+
+    const job = queue.getJob(article.id);
+    const checkpoints = Object.fromEntries(
+        Object.entries(job.stages)
+            .filter(([, stage]) => stage.status === JOB_STATUS.DONE)
+            .map(([name, stage]) => [name, stage.output])
+    );
+
+    const pipeline = createPipeline({
+        options: {
+            competitorCount: COMPETITOR_COUNT,
+            retries: options.retries,
+            retryDelay: options.retryDelay,
+        },
+        hooks: {
+            onStageStart: ({ stage, attempt }) => logger.debug('Stage started', { stage, attempt }),
+            onStageEnd: ({ stage, output, durationMs, cached }) => {
+                report.recordStage(article, stage, { durationMs, cached });
+                logger.info(cached ? 'Stage restored from checkpoint' : 'Stage finished', {
+                    stage,
+                    duration_ms: durationMs,
+                    ...(stage === 'analyse' && { overall_score: output.overall_score }),
+                });
+                if (cached) return;
+
+                queue.recordAttempt(article.id, stage, null);
+                queue.checkpoint(article.id, stage, output);
+            },
+            onError: ({ stage, error, attempt, willRetry }) => {
+                queue.recordAttempt(article.id, stage, error);
+                logger[willRetry ? 'warn' : 'error'](willRetry ? 'Stage failed, retrying' : 'Stage failed', {
+                    stage,
+                    attempt,
+                    error,
+                });
+            },
+        },
+    });
+
+    queue.markRunning(article.id);
+
     try {
-        const response = await axios.get(`${LARAVEL_API_URL}/articles`, {
-            params: { status: 'original', per_page: 200 }
+        const outputs = await pipeline.run(article, { checkpoints });
+
+        const result = { articleId: outputs.publish.id, score: outputs.analyse.overall_score };
+        queue.markDone(article.id, result);
+
+        report.finishArticle(article, {
+            outcome: OUTCOME.ENHANCED,
+            score: result.score,
+            newArticleId: result.articleId,
+            competitorUrls: outputs.rank.map(c => c.url),
+            usage: meter.totals(),
+        });
+        logger.info('Article enhanced', {
+            new_article_id: result.articleId,
+            replaced: outputs.publish.replaced,
+            review_status: outputs.publish.review_status,
+            overall_score: result.score,
+            tags: outputs.tag.tags.map(tag => tag.slug),
+            total_tokens: meter.totals().total_tokens,
+            cost_usd: meter.totals().cost_usd,
         });
-        return response.data.data || response.data;
+        return { success: true, ...result };
     } catch (error) {
-        console.error('Failed to fetch articles:', error.message);
-        throw error;
+        queue.markFailed(article.id, error.stage, error);
+
+        // Whatever finished before the failure is still in the queue's checkpoints
+        report.finishArticle(article, {
+            outcome: OUTCOME.FAILED,
+            score: queue.stageOutput(article.id, 'analyse')?.overall_score ?? null,
+            competitorUrls: (queue.stageOutput(article.id, 'rank') || []).map(c => c.url),
+            usage: meter.totals(),
+            error,
+        });
+        logger.error('Article failed', { stage: error.stage, error });
+        return {
+            success: false,
+            reason: `${error.stage}: ${error.message}`,
+            budgetExceeded: error instanceof BudgetExceededError,
+        };
     }
 }
 
 /**
- * Publish enhanced article via API
+ * Run worker over items with at most `concurrency` in flight
  */
-async function publishArticle(articleData) {
-    const response = await axios.post(`${LARAVEL_API_URL}/articles`, articleData);
-    return response.data;
-}
+async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
 
-/**
- * Generate HTML citations section
- */
-function generateCitations(competitors) {
-    if (competitors.length === 0) return '';
-
-    const citationCards = competitors
-        .map((c, i) => {
-            const hostname = new URL(c.url).hostname;
-            const snippet = c.snippet || c.excerpt || 'Read the full article to learn more.';
-            const cleanSnippet = snippet.length > 120 ? snippet.substring(0, 120) + '...' : snippet;
-
-            const imageHtml = c.image_url
-                ? `<img src="${c.image_url}" alt="${c.title}" loading="lazy" onerror="this.style.display='none';this.parentElement.querySelector('.related-image-placeholder').style.display='flex'">
-                   <div class="related-image-placeholder" style="display:none">${c.title}</div>`
-                : `<div class="related-image-placeholder">${c.title}</div>`;
-
-            return `
-    <a href="${c.url}" target="_blank" rel="noopener" class="related-article-card">
-        <div class="related-image">
-            ${imageHtml}
-        </div>
-        <div style="padding: 1rem;">
-            <h3>${c.title}</h3>
-            <div class="related-meta">Source: ${hostname}</div>
-            <p class="related-excerpt">${cleanSnippet}</p>
-        </div>
-    </a>`;
-        })
-        .join('\n');
-
-    return `
-<section class="related-articles-section">
-  <h2>Reference Articles</h2>
-  <p class="section-subtitle">These articles were analyzed by our AI to enhance the content above</p>
-  <div class="related-articles-grid">
-    ${citationCards}
-  </div>
-  <button class="see-more-btn" onclick="window.open('${competitors[0].url}', '_blank')">See more recommendations</button>
-</section>`;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
 }
 
 /**
- * Process a single article
+ * Why the batch should not start another article, or null if the budget allows it.
+ * Uses the average usage of the articles finished so far as the next one's cost.
  */
-async function processArticle(article, index, total) {
-    console.log(`\n[${index + 1}/${total}] Processing: "${article.title.substring(0, 50)}..."`);
-
-    try {
-        // Step 1: Search for competitor articles
-        console.log('  🔍 Searching Google for competitors...');
-        const searchResults = await searchRelatedArticles(article.title, COMPETITOR_COUNT);
-
-        if (searchResults.length === 0) {
-            console.log('  ⚠️ No competitor articles found, skipping...');
-            return { success: false, reason: 'No competitors found' };
-        }
-
-        // Step 2: Scrape competitor content
-        console.log(`  📰 Scraping ${searchResults.length} competitor articles...`);
-        const competitorArticles = await scrapeMultipleArticles(searchResults);
-
-        if (competitorArticles.length === 0) {
-            console.log('  ⚠️ Could not scrape any competitor content, skipping...');
-            return { success: false, reason: 'Scraping failed' };
-        }
-
-        // Step 3: Perform gap analysis
-        console.log('  🔍 Analyzing SEO gaps...');
-        const gapAnalysis = await performGapAnalysis(article, competitorArticles);
-        console.log(`    Score: ${gapAnalysis.overall_score}/10`);
-
-        // Step 4: Enhance with LLM
-        console.log('  ✨ Enhancing with AI...');
-        const enhanced = await enhanceArticle(article, competitorArticles);
-
-        // Step 5: Prepare and publish
-        console.log('  📤 Publishing enhanced article...');
-        const references = competitorArticles.map(c => c.url);
-        const citationHtml = generateCitations(competitorArticles);
-        const finalContent = enhanced.content + citationHtml;
-
-        const enhancedArticle = await publishArticle({
-            title: enhanced.title,
-            content: finalContent,
-            excerpt: article.excerpt,
-            author: article.author,
-            published_at: article.published_at,
-            featured_image: article.featured_image,
-            original_url: article.original_url,
-            status: 'updated',
-            references: references,
-            gap_analysis: gapAnalysis,
-            competitor_articles: competitorArticles.map(c => ({
-                source_url: c.url,
-                title: c.title,
-                content_summary: c.excerpt || c.content?.substring(0, 300),
-            })),
-        });
-
-        console.log(`  ✅ Enhanced! New ID: ${enhancedArticle.id}, Score: ${gapAnalysis.overall_score}/10`);
-        return { success: true, articleId: enhancedArticle.id, score: gapAnalysis.overall_score };
-
-    } catch (error) {
-        console.error(`  ❌ Failed: ${error.message}`);
-        return { success: false, reason: error.message };
+function budgetStopReason(meter, articlesFinished) {
+    const remaining = remainingBudget(meter);
+    if (remaining.tokens <= 0 || remaining.cost <= 0) return 'budget exhausted';
+    if (articlesFinished === 0) return null;
+
+    const spent = meter.totals();
+    if (spent.total_tokens / articlesFinished > remaining.tokens || spent.cost_usd / articlesFinished > remaining.cost) {
+        return 'budget too low for another article';
     }
+    return null;
 }
 
 /**
@@ -158,35 +172,100 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Parse batch command line options
+ */
+export function parseBatchOptions(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'limit': { type: 'string' },
+            'only-ids': { type: 'string' },
+            'concurrency': { type: 'string', default: '1' },
+            'dry-run': { type: 'boolean', default: false },
+            'retries': { type: 'string', default: String(STAGE_RETRIES) },
+            'retry-delay': { type: 'string', default: String(RETRY_BASE_DELAY) },
+            'delay': { type: 'string', default: '0' },
+            'queue-file': { type: 'string', default: DEFAULT_QUEUE_FILE },
+            'report-file': { type: 'string' },
+            'max-tokens': { type: 'string' },
+            'max-cost': { type: 'string' },
+            'force': { type: 'boolean', default: false },
+        },
+    });
+
+    return {
+        limit: values.limit ? parseInt(values.limit, 10) : Infinity,
+        onlyIds: values['only-ids'] ? values['only-ids'].split(',').map(id => id.trim()).filter(Boolean) : null,
+        concurrency: Math.max(1, parseInt(values.concurrency, 10) || 1),
+        dryRun: values['dry-run'],
+        retries: Math.max(0, parseInt(values.retries, 10) || 0),
+        retryDelay: parseInt(values['retry-delay'], 10) || 0,
+        delay: parseInt(values.delay, 10) || 0,
+        queueFile: values['queue-file'],
+        reportFile: values['report-file'] || null,
+        maxTokens: values['max-tokens'] ? parseInt(values['max-tokens'], 10) : null,
+        maxCost: values['max-cost'] ? parseFloat(values['max-cost']) : null,
+        force: values.force,
+    };
+}
+
 /**
  * Main batch processing function
  */
-async function main() {
-    console.log('🚀 Starting Batch Article Enhancement\n');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+export async function runBatch(options = parseBatchOptions([])) {
+    const queue = createJobQueue(options.queueFile);
+    logger.info('Starting batch article enhancement', { queue: queue.file });
 
     // Fetch all original articles
-    console.log('📥 Fetching all original articles...');
-    const articles = await fetchAllOriginalArticles();
+    logger.info('Fetching all original articles');
+    let articles = await fetchAllArticles({ status: 'original' });
 
-    // Fetch already enhanced articles to avoid duplicates
-    let alreadyEnhancedUrls = new Set();
-    try {
-        const enhancedResponse = await axios.get(`${LARAVEL_API_URL}/articles`, {
-            params: { status: 'updated', per_page: 200 }
-        });
-        const enhancedArticles = enhancedResponse.data.data || enhancedResponse.data;
-        enhancedArticles.forEach(a => {
-            if (a.original_url) alreadyEnhancedUrls.add(a.original_url);
+    if (options.onlyIds) {
+        articles = articles.filter(a => options.onlyIds.includes(String(a.id)));
+    }
+
+    // The API links each original to its enhanced version; those are skipped unless
+    // --force re-enhances them (publishing updates the enhanced article in place)
+    const isEnhanced = a => Boolean(a.enhanced_article);
+    logger.info('Found already enhanced articles', { count: articles.filter(isEnhanced).length });
+
+    // Filter articles and queue the rest; jobs already done in the queue are skipped too
+    const pendingArticles = options.force ? articles : articles.filter(a => !isEnhanced(a));
+    pendingArticles.forEach(a => queue.enqueue(a));
+
+    // --force also starts finished jobs over (except on a dry run, which leaves the queue alone)
+    const restarting = new Set(options.force
+        ? pendingArticles.filter(a => queue.getJob(a.id).status === JOB_STATUS.DONE).map(a => a.id)
+        : []);
+    if (!options.dryRun) restarting.forEach(id => queue.reset(id));
+    queue.save();
+
+    const articlesToProcess = pendingArticles
+        .filter(a => restarting.has(a.id) || queue.getJob(a.id).status !== JOB_STATUS.DONE)
+        .slice(0, options.limit);
+
+    logger.info('Articles queued for this run', { originals: articles.length, queued: articlesToProcess.length });
+
+    if (options.dryRun) {
+        logger.info('Dry run - nothing will be searched, enhanced or published');
+        const planned = articlesToProcess.map(a => {
+            const stage = restarting.has(a.id) ? STAGE_NAMES[0] : queue.nextStage(a.id, STAGE_NAMES);
+            logger.info('Planned', { article_id: a.id, title: a.title, next_stage: stage });
+            return { id: a.id, title: a.title, next_stage: stage };
         });
-        console.log(`ℹ️ Found ${enhancedArticles.length} already enhanced articles.`);
-    } catch (e) {
-        console.warn('⚠️ Could not fetch existing enhanced articles, proceeding without duplicate check.');
+        return { success: 0, failed: 0, skipped: articles.length - articlesToProcess.length, errors: [], planned };
     }
 
-    // Filter articles
-    const articlesToProcess = articles.filter(a => !alreadyEnhancedUrls.has(a.original_url));
-    console.log(`📊 Found ${articles.length} originals, ${articlesToProcess.length} pending enhancement.\n`);
+    const report = createRunReport({ options, file: options.reportFile });
+    const processing = new Set(articlesToProcess.map(a => a.id));
+    articles.filter(a => !processing.has(a.id)).forEach(a => {
+        report.finishArticle(a, {
+            outcome: OUTCOME.SKIPPED,
+            reason: isEnhanced(a) && !options.force ? 'already enhanced'
+                : queue.getJob(a.id)?.status === JOB_STATUS.DONE ? 'done in queue' : 'over --limit',
+        });
+    });
 
     const results = {
         success: 0,
@@ -195,47 +274,70 @@ async function main() {
         errors: []
     };
 
-    // Process each article
-    for (let i = 0; i < articlesToProcess.length; i++) {
-        const result = await processArticle(articlesToProcess[i], i, articlesToProcess.length);
+    // Every article's LLM calls also count towards the batch's --max-tokens / --max-cost
+    const batchMeter = createUsageMeter({ tokens: options.maxTokens, cost: options.maxCost });
+    let budgetStop = null;
+
+    await withUsageMeter(batchMeter, () => runWithConcurrency(articlesToProcess, options.concurrency, async (article, i) => {
+        budgetStop = budgetStop || budgetStopReason(batchMeter, results.success + results.failed);
+        if (budgetStop) {
+            results.skipped++;
+            report.finishArticle(article, { outcome: OUTCOME.SKIPPED, reason: budgetStop });
+            return;
+        }
+
+        const result = await processArticle(queue, report, article, i, articlesToProcess.length, options);
+
+        if (result.budgetExceeded) {
+            budgetStop = 'budget exhausted';
+        }
 
         if (result.success) {
             results.success++;
         } else {
             results.failed++;
             results.errors.push({
-                title: articles[i].title,
+                title: article.title,
                 reason: result.reason
             });
         }
 
-        if (results.success >= 10) {
-            console.log('🛑 Reached limit of 10 articles. Stopping.');
-            break;
-        }
-
-        // Add delay between articles to avoid rate limits
-        if (i < articlesToProcess.length - 1) {
-            console.log(`  ⏳ Waiting ${DELAY_BETWEEN_ARTICLES / 1000}s before next article...`);
-            await sleep(DELAY_BETWEEN_ARTICLES);
+        // Optional fixed gap on top of the rate limiter's pacing
+        if (!budgetStop && i < articlesToProcess.length - options.concurrency && options.delay > 0) {
+            logger.info('Waiting before next article', { delay_ms: options.delay });
+            await sleep(options.delay);
         }
+    }));
+
+    if (budgetStop) {
+        const remaining = remainingBudget(batchMeter);
+        logger.warn('Stopped early: LLM budget', {
+            reason: budgetStop,
+            ...(Number.isFinite(remaining.tokens) && { remaining_tokens: remaining.tokens }),
+            ...(Number.isFinite(remaining.cost) && { remaining_cost_usd: remaining.cost }),
+        });
     }
 
+    logger.debug('Rate limiter lanes', { lanes: describeLanes() });
+
+    results.usage = batchMeter.totals();
+    results.report = report.write();
+
     // Summary
-    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('📊 BATCH PROCESSING COMPLETE');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`✅ Successfully enhanced: ${results.success}`);
-    console.log(`❌ Failed: ${results.failed}`);
-    console.log(`📝 Total processed: ${articles.length}`);
-
-    if (results.errors.length > 0) {
-        console.log('\nFailed articles:');
-        results.errors.forEach(e => console.log(`  - ${e.title}: ${e.reason}`));
-    }
+    logger.info('Batch processing complete', {
+        enhanced: results.success,
+        failed: results.failed,
+        skipped: results.skipped,
+        processed: articlesToProcess.length,
+        total_tokens: results.usage.total_tokens,
+        cost_usd: results.usage.cost_usd,
+        report: results.report,
+    });
+
+    results.errors.forEach(e => logger.warn('Failed article (re-run to resume at the failed stage)', {
+        title: e.title,
+        reason: e.reason,
+    }));
 
     return results;
 }
-
-// Run
-main().catch(console.error);
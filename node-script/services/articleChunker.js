@@ -0,0 +1,225 @@
+/**
+ * Article Chunker Service
+ * Splits long article HTML into heading-delimited sections that fit the
+ * model's token budget, picks the competitor material relevant to each
+ * section, and stitches enhanced sections back into one valid document.
+ */
+
+import * as cheerio from 'cheerio';
+import { stripTags, tokenize } from './textUtils.js';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3'];
+const CHARS_PER_TOKEN = 4;
+
+// Share of the completion budget the echoed original may use; the rest is room for insertions
+const OUTPUT_GROWTH_FACTOR = 1.5;
+
+/**
+ * Rough token count for English text/HTML (~4 chars per token)
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cut text to about `tokens` tokens, at a sentence boundary where there is one
+ */
+export function fitToTokens(text, tokens) {
+    const limit = Math.max(0, tokens) * CHARS_PER_TOKEN;
+    if ((text || '').length <= limit) return text || '';
+
+    const cut = text.slice(0, limit);
+    const sentenceEnd = cut.search(/[.!?]\s[^.!?]*$/);
+    return sentenceEnd > limit / 2 ? cut.slice(0, sentenceEnd + 1) : cut;
+}
+
+/**
+ * Largest chunk of original HTML (in tokens) a single enhancement call can take.
+ * The model must echo the chunk back plus new paragraphs, so the completion
+ * budget is the tighter limit; the prompt must also fit in the context window.
+ */
+export function chunkTokenBudget({ contextTokens, maxTokens, promptOverheadTokens }) {
+    const byOutput = Math.floor(maxTokens / OUTPUT_GROWTH_FACTOR);
+    const byContext = contextTokens - maxTokens - promptOverheadTokens;
+    return Math.max(500, Math.min(byOutput, byContext));
+}
+
+/**
+ * Split HTML into sections that start at each h1-h3 heading
+ *
+ * @returns {{ sections: Array<{heading: ?string, html: string, tokens: number}>, wrap: (html: string) => string }}
+ *   `wrap` puts stitched section HTML back inside any wrapper elements the article had
+ */
+export function splitIntoSections(html) {
+    const $ = cheerio.load(html || '', null, false);
+
+    // Descend through single wrapper elements (<article><div class="content">...) to the real blocks
+    let $container = $.root();
+    for (;;) {
+        const children = $container.contents().filter((i, node) => node.type !== 'text' || $(node).text().trim());
+        if (children.length === 1 && children[0].type === 'tag' && !HEADING_TAGS.includes(children[0].tagName)) {
+            $container = $(children[0]);
+        } else {
+            break;
+        }
+    }
+
+    const sections = [];
+    let current = { heading: null, parts: [] };
+
+    $container.contents().each((i, node) => {
+        const isHeading = node.type === 'tag' && HEADING_TAGS.includes(node.tagName);
+        if (isHeading && current.parts.length > 0) {
+            sections.push(current);
+            current = { heading: null, parts: [] };
+        }
+        if (isHeading) {
+            current.heading = $(node).text().trim();
+        }
+        current.parts.push($.html(node));
+    });
+    if (current.parts.length > 0) {
+        sections.push(current);
+    }
+
+    const wrap = (inner) => {
+        if ($container.is($.root())) return inner;
+        $container.html(inner);
+        return $.html();
+    };
+
+    return {
+        sections: sections.map(s => {
+            const sectionHtml = s.parts.join('').trim();
+            return { heading: s.heading, html: sectionHtml, tokens: estimateTokens(sectionHtml) };
+        }).filter(s => s.html),
+        wrap,
+    };
+}
+
+/**
+ * Merge consecutive sections into chunks of at most `budget` tokens.
+ * A single section larger than the budget is split between its top-level blocks.
+ */
+export function groupSections(sections, budget) {
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+
+    const flush = () => {
+        if (current.length === 0) return;
+        chunks.push({
+            headings: current.map(s => s.heading).filter(Boolean),
+            html: current.map(s => s.html).join('\n'),
+            tokens,
+        });
+        current = [];
+        tokens = 0;
+    };
+
+    for (const section of sections.flatMap(s => (s.tokens > budget ? splitSection(s, budget) : [s]))) {
+        if (tokens + section.tokens > budget) flush();
+        current.push(section);
+        tokens += section.tokens;
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Split an oversized section between its top-level elements
+ */
+function splitSection(section, budget) {
+    const $ = cheerio.load(section.html, null, false);
+    const pieces = [];
+    let parts = [];
+    let tokens = 0;
+
+    $.root().contents().each((i, node) => {
+        const nodeHtml = $.html(node);
+        const nodeTokens = estimateTokens(nodeHtml);
+        if (tokens + nodeTokens > budget && parts.length > 0) {
+            pieces.push(parts.join(''));
+            parts = [];
+            tokens = 0;
+        }
+        parts.push(nodeHtml);
+        tokens += nodeTokens;
+    });
+    if (parts.length > 0) pieces.push(parts.join(''));
+
+    return pieces.map((html, i) => ({
+        heading: i === 0 ? section.heading : `${section.heading || 'Section'} (continued)`,
+        html,
+        tokens: estimateTokens(html),
+    }));
+}
+
+/**
+ * Pick the competitor passages most related to a chunk, within a token budget
+ *
+ * @returns {string} Prompt-ready reference material
+ */
+export function selectRelevantMaterial(chunkHtml, competitorArticles, tokenBudget = 750) {
+    const chunkWords = keywordSet(stripTags(chunkHtml));
+    const passages = [];
+
+    competitorArticles.forEach((c, index) => {
+        splitPassages(c.content || c.snippet || '').forEach(text => {
+            const words = keywordSet(text);
+            let overlap = 0;
+            words.forEach(word => { if (chunkWords.has(word)) overlap++; });
+            if (overlap > 0) {
+                passages.push({ index, title: c.title, url: c.url, text, score: overlap / Math.sqrt(words.size) });
+            }
+        });
+    });
+
+    passages.sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+    for (const passage of passages) {
+        const tokens = estimateTokens(passage.text);
+        if (used + tokens > tokenBudget) continue;
+        selected.push(passage);
+        used += tokens;
+    }
+
+    return selected
+        .sort((a, b) => a.index - b.index)
+        .map(p => `--- From Reference Article ${p.index + 1}: "${p.title}" (${p.url}) ---\n${p.text}`)
+        .join('\n\n');
+}
+
+/**
+ * Re-parse an HTML fragment so unclosed or stray tags can't leak into the next section
+ */
+export function normalizeFragment(html) {
+    return cheerio.load(html || '', null, false).html().trim();
+}
+
+/**
+ * Split flattened text into ~400 character passages on sentence boundaries
+ */
+function splitPassages(text) {
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const passages = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+        if (current && current.length + sentence.length > 400) {
+            passages.push(current.trim());
+            current = '';
+        }
+        current += sentence + ' ';
+    }
+    if (current.trim()) passages.push(current.trim());
+
+    return passages;
+}
+
+function keywordSet(text) {
+    return new Set(tokenize(text));
+}
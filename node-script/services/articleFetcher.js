@@ -1,11 +1,25 @@
 /**
  * Article Fetcher Service
- * Fetches articles from the Laravel API
+ * Fetches articles from the Laravel API, and saves the worker's output with
+ * the pipeline token (PIPELINE_TOKEN, the same value as the API's)
  */
 
 import axios from 'axios';
+import { logger } from './logger.js';
 
 const API_URL = process.env.LARAVEL_API_URL || 'http://127.0.0.1:8000/api';
+const PIPELINE_TOKEN = process.env.PIPELINE_TOKEN;
+const PIPELINE_HEADERS = PIPELINE_TOKEN ? { 'X-Pipeline-Token': PIPELINE_TOKEN } : {};
+
+/**
+ * Request config for the endpoints only the worker may write to
+ */
+function asPipeline() {
+    if (!PIPELINE_TOKEN) {
+        logger.warn('PIPELINE_TOKEN is not set; the API will refuse to save');
+    }
+    return { headers: PIPELINE_HEADERS };
+}
 
 /**
  * Fetch the latest original article from Laravel API
@@ -20,25 +34,37 @@ export async function fetchLatestArticle() {
 
         throw new Error('No articles found');
     } catch (error) {
-        console.error('Error fetching latest article:', error.message);
+        logger.error('Error fetching latest article', { error });
         throw error;
     }
 }
 
 /**
- * Fetch all articles from Laravel API
+ * Fetch all articles from Laravel API, following the cursor page by page
+ *
+ * @param {Object} [filters] - Query parameters, e.g. { status: 'original' }
  */
-export async function fetchAllArticles() {
+export async function fetchAllArticles(filters = {}) {
     try {
-        const response = await axios.get(`${API_URL}/articles`);
+        const articles = [];
+        let cursor = '';
 
-        if (response.data.success) {
-            return response.data.data;
-        }
+        do {
+            // With the token, originals also link to enhancements still in review
+            const response = await axios.get(`${API_URL}/articles`, {
+                params: { ...filters, per_page: 100, cursor },
+                headers: PIPELINE_HEADERS,
+            });
+
+            if (!response.data.success) break;
 
-        return [];
+            articles.push(...response.data.data);
+            cursor = response.data.meta?.next_cursor ?? null;
+        } while (cursor);
+
+        return articles;
     } catch (error) {
-        console.error('Error fetching articles:', error.message);
+        logger.error('Error fetching articles', { error });
         throw error;
     }
 }
@@ -48,7 +74,7 @@ export async function fetchAllArticles() {
  */
 export async function fetchArticleById(id) {
     try {
-        const response = await axios.get(`${API_URL}/articles/${id}`);
+        const response = await axios.get(`${API_URL}/articles/${id}`, { headers: PIPELINE_HEADERS });
 
         if (response.data.success) {
             return response.data.data;
@@ -56,7 +82,7 @@ export async function fetchArticleById(id) {
 
         throw new Error(`Article ${id} not found`);
     } catch (error) {
-        console.error(`Error fetching article ${id}:`, error.message);
+        logger.error('Error fetching article', { article_id: id, error });
         throw error;
     }
 }
@@ -66,16 +92,43 @@ export async function fetchArticleById(id) {
  */
 export async function publishArticle(articleData) {
     try {
-        const response = await axios.post(`${API_URL}/articles`, articleData);
+        const response = await axios.post(`${API_URL}/articles`, articleData, asPipeline());
 
         if (response.data.success) {
-            console.log('✅ Article published successfully');
+            logger.info('Article published', { new_article_id: response.data.data?.id });
             return response.data.data;
         }
 
         throw new Error('Failed to publish article');
     } catch (error) {
-        console.error('Error publishing article:', error.message);
+        logger.error('Error publishing article', { error });
+        throw error;
+    }
+}
+
+/**
+ * Publish the enhanced version of an original article
+ * Idempotent: re-enhancing an original replaces its enhanced article instead of adding another.
+ * The API saves it as a draft; it goes live once an editor approves and publishes it.
+ *
+ * @returns {Promise<Object>} The enhanced article, with `replaced` true if it already existed
+ */
+export async function publishEnhancedArticle(originalId, articleData) {
+    try {
+        const response = await axios.put(`${API_URL}/articles/${originalId}/enhanced`, articleData, asPipeline());
+
+        if (response.data.success) {
+            const replaced = response.status === 200;
+            logger.info(replaced ? 'Enhanced article replaced' : 'Enhanced article saved', {
+                new_article_id: response.data.data?.id,
+                review_status: response.data.data?.review_status,
+            });
+            return { ...response.data.data, replaced };
+        }
+
+        throw new Error(`Failed to publish the enhanced version of article ${originalId}`);
+    } catch (error) {
+        logger.error('Error publishing article', { error });
         throw error;
     }
 }
@@ -85,16 +138,41 @@ export async function publishArticle(articleData) {
  */
 export async function updateArticle(id, articleData) {
     try {
-        const response = await axios.put(`${API_URL}/articles/${id}`, articleData);
+        const response = await axios.put(`${API_URL}/articles/${id}`, articleData, asPipeline());
 
         if (response.data.success) {
-            console.log(`✅ Article ${id} updated successfully`);
+            logger.info('Article updated', { article_id: id });
             return response.data.data;
         }
 
         throw new Error(`Failed to update article ${id}`);
     } catch (error) {
-        console.error(`Error updating article ${id}:`, error.message);
+        logger.error('Error updating article', { article_id: id, error });
+        throw error;
+    }
+}
+
+/**
+ * Replace an article's tags
+ *
+ * @param {number|string} id
+ * @param {Array<{slug: string, name: string, description?: string, source: string}>} tags
+ * @returns {Promise<Array>} The article's tags as stored
+ */
+export async function saveArticleTags(id, tags) {
+    try {
+        const response = await axios.put(`${API_URL}/articles/${id}/tags`, {
+            tags: tags.map(({ slug, name, description, source }) => ({ slug, name, description, source })),
+        }, asPipeline());
+
+        if (response.data.success) {
+            logger.info('Article tags saved', { article_id: id, tags: tags.map(tag => tag.slug) });
+            return response.data.data;
+        }
+
+        throw new Error(`Failed to save tags for article ${id}`);
+    } catch (error) {
+        logger.error('Error saving article tags', { article_id: id, error });
         throw error;
     }
 }
@@ -0,0 +1,47 @@
+/**
+ * Citations Service
+ * Renders the "Reference Articles" section appended to enhanced articles
+ */
+
+/**
+ * Generate HTML citations section
+ */
+export function generateCitations(competitors) {
+    if (competitors.length === 0) return '';
+
+    const citationCards = competitors
+        .map((c) => {
+            const hostname = new URL(c.url).hostname;
+            const snippet = c.snippet || c.excerpt || 'Read the full article to learn more.';
+            // Clean up snippet if it's too long
+            const cleanSnippet = snippet.length > 120 ? snippet.substring(0, 120) + '...' : snippet;
+
+            const imageHtml = c.image_url
+                ? `<img src="${c.image_url}" alt="${c.title}" loading="lazy" onerror="this.style.display='none';this.parentElement.querySelector('.related-image-placeholder').style.display='flex'">
+                   <div class="related-image-placeholder" style="display:none">${c.title}</div>`
+                : `<div class="related-image-placeholder">${c.title}</div>`;
+
+            return `
+    <a href="${c.url}" target="_blank" rel="noopener" class="related-article-card">
+        <div class="related-image">
+            ${imageHtml}
+        </div>
+        <div style="padding: 1rem;">
+            <h3>${c.title}</h3>
+            <div class="related-meta">Source: ${hostname}</div>
+            <p class="related-excerpt">${cleanSnippet}</p>
+        </div>
+    </a>`;
+        })
+        .join('\n');
+
+    return `
+<section class="related-articles-section">
+  <h2>Reference Articles</h2>
+  <p class="section-subtitle">These articles were analyzed by our AI to enhance the content above</p>
+  <div class="related-articles-grid">
+    ${citationCards}
+  </div>
+  <button class="see-more-btn" onclick="window.open('${competitors[0].url}', '_blank')">See more recommendations</button>
+</section>`;
+}
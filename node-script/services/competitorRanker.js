@@ -0,0 +1,128 @@
+/**
+ * Competitor Ranker Service
+ * Scores scraped competitor candidates against the original article and
+ * keeps the best N: topical similarity (TF-IDF cosine), content length,
+ * freshness, and domain diversity across the selection.
+ */
+
+import { cosineSimilarity, stripTags, tfidfVectors, tokenize } from './textUtils.js';
+
+const WEIGHTS = {
+    similarity: 0.6,
+    length: 0.25,
+    freshness: 0.15,
+};
+
+// Pages shorter than this are too thin to learn anything from
+const MIN_WORDS = 250;
+// Word count at which the length score saturates
+const IDEAL_WORDS = 1500;
+// Age at which the freshness score reaches zero
+const MAX_AGE_DAYS = 3 * 365;
+// Score multiplier for each extra pick from an already-selected domain
+const SAME_DOMAIN_PENALTY = 0.5;
+
+/**
+ * Rank candidates and keep the best `count`
+ *
+ * @param {Object} originalArticle - Needs `title` and HTML `content`
+ * @param {Array<Object>} candidates - Scraped competitors (`content` text, `url`, optional `published_at`/`modified_at`)
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {number} [options.minWords=250]
+ * @param {number} [options.maxAgeDays=1095] - Older candidates (by known date) are only used as a last resort
+ * @returns {Array<Object>} Selected candidates with a `ranking` breakdown, best first
+ */
+export function rankCompetitors(originalArticle, candidates, count, { minWords = MIN_WORDS, maxAgeDays = MAX_AGE_DAYS } = {}) {
+    if (candidates.length === 0) return [];
+
+    const originalTokens = tokenize(`${originalArticle.title} ${stripTags(originalArticle.content)}`);
+    const candidateTokens = candidates.map(c => tokenize(`${c.title} ${c.content || c.snippet || ''}`));
+    const [originalVector, ...candidateVectors] = tfidfVectors([originalTokens, ...candidateTokens]);
+
+    const similarities = candidateVectors.map(vector => cosineSimilarity(originalVector, vector));
+    // Raw cosines of long documents are small; score relative to the best candidate
+    const maxSimilarity = Math.max(...similarities) || 1;
+
+    const scored = candidates.map((candidate, i) => {
+        const words = (candidate.content || '').split(/\s+/).filter(Boolean).length;
+        const similarity = similarities[i];
+        const relevance = similarity / maxSimilarity;
+        const length = Math.min(1, Math.log(1 + words) / Math.log(1 + IDEAL_WORDS));
+        const age = ageDays(candidate.modified_at || candidate.published_at);
+        const freshness = age === null ? 0.5 : Math.max(0, Math.min(1, 1 - age / MAX_AGE_DAYS));
+
+        return {
+            candidate,
+            domain: domainOf(candidate.url),
+            words,
+            stale: age !== null && age > maxAgeDays,
+            ranking: {
+                score: round(WEIGHTS.similarity * relevance + WEIGHTS.length * length + WEIGHTS.freshness * freshness),
+                similarity: round(similarity),
+                length: round(length),
+                freshness: round(freshness),
+                words,
+            },
+        };
+    });
+
+    // Thin or stale pages only fill the slots the eligible ones leave open
+    const eligible = scored.filter(s => s.words >= minWords && !s.stale);
+    const fallback = scored.filter(s => !eligible.includes(s));
+
+    const domainCounts = new Map();
+    const selected = pickDiverse(eligible, count, domainCounts);
+    selected.push(...pickDiverse(fallback, count - selected.length, domainCounts));
+
+    return selected;
+}
+
+/**
+ * Greedy selection of up to `count` entries, discounting domains that are already
+ * represented (`domainCounts` carries over between calls)
+ */
+function pickDiverse(pool, count, domainCounts) {
+    const selected = [];
+    const remaining = [...pool];
+
+    while (selected.length < count && remaining.length > 0) {
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+
+        remaining.forEach((entry, i) => {
+            const adjusted = entry.ranking.score * SAME_DOMAIN_PENALTY ** (domainCounts.get(entry.domain) || 0);
+            if (adjusted > bestScore) {
+                bestScore = adjusted;
+                bestIndex = i;
+            }
+        });
+
+        const [best] = remaining.splice(bestIndex, 1);
+        domainCounts.set(best.domain, (domainCounts.get(best.domain) || 0) + 1);
+        selected.push({ ...best.candidate, ranking: best.ranking });
+    }
+
+    return selected;
+}
+
+/**
+ * Age in days, or null when the date is unknown.
+ * Freshness is 1 for today, falling linearly to 0 at MAX_AGE_DAYS; 0.5 when unknown.
+ */
+function ageDays(date) {
+    const time = date ? Date.parse(date) : NaN;
+    return Number.isNaN(time) ? null : (Date.now() - time) / 86400000;
+}
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return url;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -1,18 +1,29 @@
 /**
  * Content Scraper Service
- * Extracts main content from article URLs using Readability
+ * Extracts main content from article URLs using Readability.
+ * Pages are downloaded through the polite fetcher (robots.txt, throttling, cache)
+ * and rendered in a headless browser when their static HTML is nearly empty.
  */
 
-import axios from 'axios';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
 import * as cheerio from 'cheerio';
+import { fetchPage, RobotsDisallowedError } from './politeFetcher.js';
+import { extractStructure } from './structuredExtractor.js';
+import { extractMetadata } from './metadataExtractor.js';
+import { isRendererEnabled, renderPage, RendererUnavailableError } from './pageRenderer.js';
+import { logger } from './logger.js';
+
+// Less static text than this suggests the page renders client-side
+const MIN_TEXT_CHARS = parseInt(process.env.SCRAPER_MIN_TEXT_CHARS, 10) || 500;
+// Memory guard only, far above any prompt's reference budget; the enhancer picks what goes in by tokens
+const MAX_TEXT_CHARS = 500000;
 
 /**
  * Scrape content from multiple URLs
  */
 export async function scrapeMultipleArticles(urls) {
-    console.log(`📰 Scraping ${urls.length} articles...`);
+    logger.info('Scraping articles', { count: urls.length });
 
     const results = [];
 
@@ -26,72 +37,123 @@ export async function scrapeMultipleArticles(urls) {
                     htmlContent: content.content,
                     excerpt: content.excerpt || urlInfo.snippet,
                     image_url: content.image_url,
+                    canonical_url: content.metadata.canonical_url,
+                    published_at: content.metadata.published_at,
+                    modified_at: content.metadata.modified_at,
+                    author: content.metadata.author,
+                    site_name: content.metadata.site_name,
+                    language: content.metadata.language,
+                    structure: content.structure,
                 });
-                console.log(`  ✅ Scraped: ${urlInfo.title.substring(0, 50)}...`);
+                logger.info('Scraped article', { url: urlInfo.url, words: content.structure?.wordCount });
             }
         } catch (error) {
-            console.log(`  ❌ Failed to scrape: ${urlInfo.url}`);
+            logger.warn('Failed to scrape article', { url: urlInfo.url, error });
         }
     }
 
-    console.log(`✅ Successfully scraped ${results.length} articles`);
+    logger.info('Scraping finished', { scraped: results.length, requested: urls.length });
     return results;
 }
 
 /**
  * Scrape main content from a single article URL
+ *
+ * Pages whose static HTML yields too little text (client-side rendered
+ * sites) are rendered in a headless browser when one is available.
  */
 export async function scrapeArticleContent(url) {
     try {
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-            },
-            timeout: 15000,
-        });
-
-        const dom = new JSDOM(response.data, { url });
-        const reader = new Readability(dom.window.document);
-        const article = reader.parse();
-
-        // Extract image (og:image or first image)
-        let imageUrl = null;
-        const metaImage = dom.window.document.querySelector('meta[property="og:image"]');
-        if (metaImage) {
-            imageUrl = metaImage.getAttribute('content');
-        } else {
-            const firstImg = dom.window.document.querySelector('article img, main img, .post-content img');
-            if (firstImg) {
-                imageUrl = firstImg.getAttribute('src');
-            }
+        const page = await fetchPage(url);
+        if (page.fromCache) {
+            logger.debug('Using cached page', { url });
         }
 
-        if (article) {
-            return {
-                title: article.title,
-                content: article.content,
-                textContent: cleanText(article.textContent),
-                excerpt: article.excerpt,
-                byline: article.byline,
-                length: article.length,
-                image_url: imageUrl,
-            };
+        // Read metadata before Readability, which strips the <head> and JSON-LD
+        const metadata = extractMetadata(page.body, page.finalUrl);
+        const result = extractContent(page.body, page.finalUrl, metadata);
+
+        if (result.textContent.length >= MIN_TEXT_CHARS || !isRendererEnabled()) {
+            return result;
         }
 
-        // Fallback: Use Cheerio to extract content manually
-        return fallbackExtraction(response.data, url);
+        const rendered = await renderForContent(url);
+        if (!rendered) return result;
+
+        const renderedMetadata = mergeMetadata(metadata, extractMetadata(rendered.body, rendered.finalUrl));
+        const renderedResult = extractContent(rendered.body, rendered.finalUrl, renderedMetadata);
+
+        return renderedResult.textContent.length > result.textContent.length
+            ? { ...renderedResult, rendered: true }
+            : result;
     } catch (error) {
-        console.error(`Error scraping ${url}:`, error.message);
+        if (error instanceof RobotsDisallowedError) {
+            logger.info('Skipping page disallowed by robots.txt', { url });
+            return null;
+        }
+        logger.warn('Error scraping page', { url, error });
         return null;
     }
 }
 
+/**
+ * Readability extraction, falling back to Cheerio selectors
+ */
+function extractContent(html, url, metadata) {
+    const dom = new JSDOM(html, { url });
+    const reader = new Readability(dom.window.document);
+    const article = reader.parse();
+
+    if (article) {
+        return {
+            title: article.title,
+            content: article.content,
+            textContent: cleanText(article.textContent),
+            excerpt: article.excerpt,
+            byline: article.byline || metadata.author,
+            length: article.length,
+            image_url: metadata.image_url,
+            metadata,
+            structure: extractStructure(article.content, url),
+        };
+    }
+
+    // Fallback: Use Cheerio to extract content manually
+    return fallbackExtraction(html, url, metadata);
+}
+
+/**
+ * Render a page in the headless browser, or null if that isn't possible
+ */
+async function renderForContent(url) {
+    logger.info('Little static text, rendering page', { url });
+    try {
+        return await renderPage(url);
+    } catch (error) {
+        if (error instanceof RendererUnavailableError) {
+            logger.warn(`${error.message}; using static HTML`, { url });
+        } else {
+            logger.warn('Rendering failed', { url, error });
+        }
+        return null;
+    }
+}
+
+/**
+ * Prefer static metadata, filling gaps from the rendered page
+ */
+function mergeMetadata(staticMetadata, renderedMetadata) {
+    const merged = { ...renderedMetadata };
+    Object.entries(staticMetadata).forEach(([key, value]) => {
+        if (value) merged[key] = value;
+    });
+    return merged;
+}
+
 /**
  * Fallback extraction using Cheerio
  */
-function fallbackExtraction(html, url) {
+function fallbackExtraction(html, url, metadata) {
     const $ = cheerio.load(html);
 
     // Remove scripts, styles, and ads
@@ -109,10 +171,12 @@ function fallbackExtraction(html, url) {
     ];
 
     let content = '';
+    let contentHtml = '';
     for (const selector of contentSelectors) {
         const el = $(selector);
         if (el.length && el.text().length > 500) {
             content = el.text();
+            contentHtml = el.first().html();
             break;
         }
     }
@@ -120,17 +184,21 @@ function fallbackExtraction(html, url) {
     if (!content) {
         // Get all paragraphs
         content = $('p').map((i, el) => $(el).text()).get().join('\n\n');
+        contentHtml = $('p').map((i, el) => $.html(el)).get().join('\n');
     }
 
-    const title = $('h1').first().text() || $('title').text();
+    const title = $('h1').first().text() || metadata.title || $('title').text();
 
     return {
         title: title.trim(),
         content: content,
         textContent: cleanText(content),
-        excerpt: content.substring(0, 200),
-        byline: null,
+        excerpt: metadata.description || content.substring(0, 200),
+        byline: metadata.author,
         length: content.length,
+        image_url: metadata.image_url,
+        metadata,
+        structure: extractStructure(contentHtml, url),
     };
 }
 
@@ -142,7 +210,7 @@ function cleanText(text) {
         .replace(/\s+/g, ' ')       // Normalize whitespace
         .replace(/\n\s*\n/g, '\n\n') // Normalize paragraph breaks
         .replace(/^\s+|\s+$/g, '')   // Trim
-        .substring(0, 10000);        // Limit length for LLM context
+        .substring(0, MAX_TEXT_CHARS);
 }
 
 export { cleanText };
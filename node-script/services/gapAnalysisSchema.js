@@ -0,0 +1,56 @@
+/**
+ * Gap Analysis Schema
+ * Parsing and validation of the gap analysis returned by the LLM, before it
+ * is trusted or published. The schema itself lives in shared/ so the
+ * frontend reads stored analyses with the same field rules.
+ */
+
+import { validateGapAnalysis } from '../../shared/gapAnalysisSchema.js';
+
+export { GAP_ANALYSIS_SCHEMA, describeSchema, validateGapAnalysis } from '../../shared/gapAnalysisSchema.js';
+
+/**
+ * Thrown when the model never produced a valid analysis
+ */
+export class GapAnalysisError extends Error {
+    constructor(message, { errors = [], raw = null } = {}) {
+        super(message);
+        this.name = 'GapAnalysisError';
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+/**
+ * Parse model output into an object, repairing common formatting problems:
+ * markdown fences, prose around the JSON, trailing commas and smart quotes
+ */
+export function parseModelJson(text) {
+    let cleaned = (text || '')
+        .replace(/```(?:json)?\s*/gi, '')
+        .replace(/```/g, '')
+        .replace(/[“”]/g, '"')
+        .trim();
+
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new SyntaxError('No JSON object found in response');
+    }
+
+    cleaned = cleaned
+        .substring(start, end + 1)
+        .replace(/,\s*([}\]])/g, '$1');
+
+    return JSON.parse(cleaned);
+}
+
+/**
+ * Throw unless the analysis is valid; used as a guard before publishing
+ */
+export function assertValidGapAnalysis(analysis) {
+    const { valid, errors } = validateGapAnalysis(analysis);
+    if (!valid) {
+        throw new GapAnalysisError(`Refusing to publish invalid gap analysis: ${errors.join('; ')}`, { errors });
+    }
+}
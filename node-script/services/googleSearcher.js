@@ -1,116 +1,424 @@
 /**
  * Google Search Service
- * Searches for related articles using Google
- * Note: For production, use SerpAPI or similar service to avoid rate limiting
+ * Finds competitor articles through a registry of search providers tried as
+ * a fallback chain: SerpAPI, Brave, Bing, SearXNG, DuckDuckGo HTML scraping,
+ * and a fixture-file provider for offline tests.
+ *
+ * Config:
+ * - SEARCH_PROVIDERS: comma-separated chain order (default: every configured provider)
+ * - OWN_DOMAINS: domains never returned as competitors (default: beyondchats.com)
+ * - SEARCH_QUOTAS: per-provider call caps per UTC day, across runs, e.g. "serpapi:100,brave:50"
+ * - USAGE_DIR: where the daily call counts are kept (default node-script/.usage)
+ * - SEARCH_RATE_LIMITS: per-provider requests per minute, e.g. "brave:60,duckduckgo:12"
  */
 
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { schedule } from './rateLimiter.js';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const SERP_API_KEY = process.env.SERP_API_KEY;
+const BRAVE_API_KEY = process.env.BRAVE_API_KEY;
+const BING_API_KEY = process.env.BING_API_KEY;
+const SEARXNG_URL = process.env.SEARXNG_URL;
+const SEARCH_FIXTURES_DIR = process.env.SEARCH_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'search');
+const USAGE_DIR = process.env.USAGE_DIR || path.join(__dirname, '..', '.usage');
+
+const DEFAULT_CHAIN = ['serpapi', 'brave', 'bing', 'searxng', 'duckduckgo'];
+const REQUEST_TIMEOUT = 15000;
+// Requests per minute; Brave's free plan allows one per second, DuckDuckGo blocks bursts
+const DEFAULT_RATE_LIMITS = { brave: 60, duckduckgo: 12 };
+
+const providers = {
+    serpapi: createSerpApiProvider,
+    brave: createBraveProvider,
+    bing: createBingProvider,
+    searxng: createSearxngProvider,
+    duckduckgo: createDuckDuckGoProvider,
+    fixture: createFixtureProvider,
+};
+
+const instances = new Map();
+
+/**
+ * Search for articles related to the given title
+ * Walks the provider chain until enough unique competitor articles are found
+ *
+ * @param {string} title
+ * @param {number} [count=5]
+ * @param {Object} [options]
+ * @param {string[]} [options.providers] - Override the configured chain
+ * @returns {Promise<Array<{title: string, url: string, snippet: string, provider: string}>>}
+ */
+export async function searchRelatedArticles(title, count = 5, options = {}) {
+    logger.info('Searching for competitor articles', { query: title });
+
+    const excludeDomains = getOwnDomains();
+    const chain = options.providers || getProviderChain();
+    const seen = new Set();
+    const results = [];
+
+    for (const name of chain) {
+        if (results.length >= count) break;
+
+        const provider = getSearchProvider(name);
+        if (!provider.isConfigured()) continue;
+
+        if (quotaExhausted(name)) {
+            logger.info('Search provider quota reached, skipping', { provider: name });
+            continue;
+        }
+
+        try {
+            countCall(name);
+            const found = await schedule(
+                `search:${name}`,
+                lane => provider.search(title, { count: count + 5, excludeDomains, lane }),
+                { limits: getRateLimits(name) }
+            );
+
+            for (const result of found) {
+                if (results.length >= count) break;
+                if (!result.url || !result.title) continue;
+                if (isOwnDomain(result.url, excludeDomains) || !isBlogOrArticle(result.url, result.title)) continue;
+
+                const key = normalizeUrl(result.url);
+                if (seen.has(key)) continue;
+
+                seen.add(key);
+                results.push({ title: result.title, url: result.url, snippet: result.snippet || '', provider: name });
+            }
+        } catch (error) {
+            logger.warn('Search provider failed', { provider: name, error });
+        }
+    }
+
+    logger.info('Search finished', { query: title, results: results.length, excluded: excludeDomains });
+    return results;
+}
+
+/**
+ * Get a provider instance by name
+ */
+export function getSearchProvider(name) {
+    const key = name.toLowerCase();
+    const factory = providers[key];
+
+    if (!factory) {
+        throw new Error(`Unknown search provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+
+    if (!instances.has(key)) {
+        instances.set(key, factory());
+    }
+
+    return instances.get(key);
+}
 
 /**
- * Search Google for articles related to the given title
- * Uses SerpAPI if key is available, otherwise falls back to DuckDuckGo
+ * Register an additional provider factory
  */
-export async function searchRelatedArticles(title, count = 5) {
-    console.log(`🔍 Searching for articles related to: "${title}"`);
+export function registerSearchProvider(name, factory) {
+    providers[name.toLowerCase()] = factory;
+    instances.delete(name.toLowerCase());
+}
 
-    if (SERP_API_KEY && SERP_API_KEY !== 'your_serpapi_key_here') {
-        return await searchWithSerpAPI(title, count);
+/**
+ * Configured chain order (SEARCH_PROVIDERS), defaulting to every provider that has credentials
+ */
+export function getProviderChain() {
+    const configured = process.env.SEARCH_PROVIDERS;
+    if (configured) {
+        return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
     }
+    return DEFAULT_CHAIN;
+}
 
-    // Fallback to DuckDuckGo (no API key required)
-    return await searchWithDuckDuckGo(title, count);
+/**
+ * Domains excluded from competitor results (OWN_DOMAINS)
+ */
+export function getOwnDomains() {
+    return (process.env.OWN_DOMAINS || 'beyondchats.com')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean);
 }
 
 /**
- * Search using SerpAPI (recommended for production)
- * Excludes beyondchats.com to get competitor articles only
+ * Normalise a URL for de-duplication: no www, hash, tracking params or trailing slash
  */
-async function searchWithSerpAPI(query, count) {
+export function normalizeUrl(url) {
     try {
-        const response = await axios.get('https://serpapi.com/search', {
-            params: {
-                // Exclude beyondchats.com to get only competitor articles
-                q: query + ' blog article -site:beyondchats.com',
-                api_key: SERP_API_KEY,
-                num: count + 5, // Get extra to filter
-                engine: 'google',
-            }
-        });
+        const parsed = new URL(url);
+        parsed.hash = '';
+        [...parsed.searchParams.keys()]
+            .filter(key => key.startsWith('utm_') || ['ref', 'fbclid', 'gclid'].includes(key))
+            .forEach(key => parsed.searchParams.delete(key));
+
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const pathname = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${pathname}${parsed.search}`;
+    } catch {
+        return url.toLowerCase();
+    }
+}
+
+/**
+ * True if the URL belongs to one of the excluded domains (or a subdomain)
+ */
+function isOwnDomain(url, domains) {
+    try {
+        const host = new URL(url).hostname.toLowerCase();
+        return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Append -site: operators for the excluded domains
+ */
+function withExclusions(query, excludeDomains) {
+    return [query, ...excludeDomains.map(domain => `-site:${domain}`)].join(' ');
+}
+
+/**
+ * Calls made to each provider today (UTC), across all runs
+ *
+ * @returns {Object<string, number>}
+ */
+export function getSearchUsage() {
+    try {
+        return JSON.parse(fs.readFileSync(searchLedgerFile(), 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Check today's usage against SEARCH_QUOTAS
+ */
+function quotaExhausted(name) {
+    const quotas = parseProviderNumbers(process.env.SEARCH_QUOTAS);
+    return quotas[name] !== undefined && (getSearchUsage()[name] || 0) >= quotas[name];
+}
+
+/**
+ * Add one call to today's ledger, so quotas hold across runs like the LLM budget
+ */
+function countCall(name) {
+    const counts = getSearchUsage();
+    counts[name] = (counts[name] || 0) + 1;
+
+    const file = searchLedgerFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(counts, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+function searchLedgerFile() {
+    return path.join(USAGE_DIR, `search-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+/**
+ * Rate-limiter settings for a provider: SEARCH_RATE_LIMITS spread evenly over the minute
+ */
+function getRateLimits(name) {
+    const perMinute = { ...DEFAULT_RATE_LIMITS, ...parseProviderNumbers(process.env.SEARCH_RATE_LIMITS) }[name];
+    return { minIntervalMs: perMinute ? Math.ceil(60000 / perMinute) : 0 };
+}
+
+/**
+ * Parse "serpapi:100,brave:50" into { serpapi: 100, brave: 50 }
+ */
+function parseProviderNumbers(value) {
+    return Object.fromEntries(
+        (value || '')
+            .split(',')
+            .map(entry => entry.split(':').map(part => part.trim()))
+            .filter(([key, number]) => key && number)
+            .map(([key, number]) => [key.toLowerCase(), parseInt(number, 10)])
+    );
+}
+
+/**
+ * GET that reports rate-limit headers to the provider's lane
+ */
+async function get(lane, url, config) {
+    const response = await axios.get(url, config);
+    lane?.update(response.headers);
+    return response;
+}
 
-        const results = response.data.organic_results || [];
+/**
+ * SerpAPI (Google results, recommended for production)
+ */
+function createSerpApiProvider() {
+    return {
+        name: 'serpapi',
+        isConfigured: () => Boolean(SERP_API_KEY && SERP_API_KEY !== 'your_serpapi_key_here'),
+        async search(query, { count, excludeDomains, lane }) {
+            const response = await get(lane, 'https://serpapi.com/search', {
+                params: {
+                    q: withExclusions(query + ' blog article', excludeDomains),
+                    api_key: SERP_API_KEY,
+                    num: count,
+                    engine: 'google',
+                },
+                timeout: REQUEST_TIMEOUT,
+            });
 
-        // Filter to get only blog/article pages and exclude beyondchats.com
-        const filteredResults = results
-            .filter(r => isBlogOrArticle(r.link, r.title))
-            .filter(r => !r.link.toLowerCase().includes('beyondchats.com'))
-            .slice(0, count)
-            .map(r => ({
+            return (response.data.organic_results || []).map(r => ({
                 title: r.title,
                 url: r.link,
                 snippet: r.snippet || '',
             }));
+        },
+    };
+}
 
-        console.log(`✅ Found ${filteredResults.length} competitor articles (excluding BeyondChats)`);
-        return filteredResults;
-    } catch (error) {
-        console.error('SerpAPI search failed:', error.message);
-        return await searchWithDuckDuckGo(query, count);
-    }
+/**
+ * Brave Search API
+ */
+function createBraveProvider() {
+    return {
+        name: 'brave',
+        isConfigured: () => Boolean(BRAVE_API_KEY),
+        async search(query, { count, excludeDomains, lane }) {
+            const response = await get(lane, 'https://api.search.brave.com/res/v1/web/search', {
+                params: { q: withExclusions(query + ' blog article', excludeDomains), count: Math.min(count, 20) },
+                headers: { 'X-Subscription-Token': BRAVE_API_KEY, 'Accept': 'application/json' },
+                timeout: REQUEST_TIMEOUT,
+            });
+
+            return (response.data.web?.results || []).map(r => ({
+                title: r.title,
+                url: r.url,
+                snippet: cheerio.load(r.description || '').text(),
+            }));
+        },
+    };
 }
 
 /**
- * Search using DuckDuckGo (free, no API key)
- * Also excludes beyondchats.com
+ * Bing Web Search API
  */
-async function searchWithDuckDuckGo(query, count) {
-    try {
-        // Add -site:beyondchats.com to exclude BeyondChats articles
-        const searchQuery = encodeURIComponent(query + ' blog article guide -site:beyondchats.com');
-        const url = `https://html.duckduckgo.com/html/?q=${searchQuery}`;
+function createBingProvider() {
+    return {
+        name: 'bing',
+        isConfigured: () => Boolean(BING_API_KEY),
+        async search(query, { count, excludeDomains, lane }) {
+            const response = await get(lane, process.env.BING_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search', {
+                params: { q: withExclusions(query + ' blog article', excludeDomains), count },
+                headers: { 'Ocp-Apim-Subscription-Key': BING_API_KEY },
+                timeout: REQUEST_TIMEOUT,
+            });
 
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-            }
-        });
+            return (response.data.webPages?.value || []).map(r => ({
+                title: r.name,
+                url: r.url,
+                snippet: r.snippet || '',
+            }));
+        },
+    };
+}
+
+/**
+ * Self-hosted SearXNG instance (JSON output must be enabled)
+ */
+function createSearxngProvider() {
+    return {
+        name: 'searxng',
+        isConfigured: () => Boolean(SEARXNG_URL),
+        async search(query, { count, excludeDomains, lane }) {
+            const response = await get(lane, `${SEARXNG_URL.replace(/\/+$/, '')}/search`, {
+                params: { q: withExclusions(query + ' blog article', excludeDomains), format: 'json' },
+                timeout: REQUEST_TIMEOUT,
+            });
+
+            return (response.data.results || []).slice(0, count).map(r => ({
+                title: r.title,
+                url: r.url,
+                snippet: r.content || '',
+            }));
+        },
+    };
+}
 
-        const $ = cheerio.load(response.data);
-        const results = [];
+/**
+ * DuckDuckGo HTML results (free, no API key)
+ */
+function createDuckDuckGoProvider() {
+    return {
+        name: 'duckduckgo',
+        isConfigured: () => true,
+        async search(query, { count, excludeDomains, lane }) {
+            const searchQuery = encodeURIComponent(withExclusions(query + ' blog article guide', excludeDomains));
+            const url = `https://html.duckduckgo.com/html/?q=${searchQuery}`;
 
-        $('.result').each((i, element) => {
-            if (results.length >= count + 5) return false;
+            const response = await get(lane, url, {
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+                },
+                timeout: REQUEST_TIMEOUT,
+            });
 
-            const titleEl = $(element).find('.result__title a');
-            const snippetEl = $(element).find('.result__snippet');
+            const $ = cheerio.load(response.data);
+            const results = [];
 
-            const title = titleEl.text().trim();
-            let url = titleEl.attr('href');
-            const snippet = snippetEl.text().trim();
+            $('.result').each((i, element) => {
+                if (results.length >= count) return false;
 
-            // DuckDuckGo uses redirect URLs, extract the actual URL
-            if (url && url.includes('uddg=')) {
-                const match = url.match(/uddg=([^&]+)/);
-                if (match) {
-                    url = decodeURIComponent(match[1]);
+                const titleEl = $(element).find('.result__title a');
+                let resultUrl = titleEl.attr('href');
+
+                // DuckDuckGo uses redirect URLs, extract the actual URL
+                if (resultUrl && resultUrl.includes('uddg=')) {
+                    const match = resultUrl.match(/uddg=([^&]+)/);
+                    if (match) {
+                        resultUrl = decodeURIComponent(match[1]);
+                    }
                 }
-            }
 
-            // Exclude beyondchats.com from results
-            if (url && title && isBlogOrArticle(url, title) && !url.toLowerCase().includes('beyondchats.com')) {
-                results.push({ title, url, snippet });
+                results.push({
+                    title: titleEl.text().trim(),
+                    url: resultUrl,
+                    snippet: $(element).find('.result__snippet').text().trim(),
+                });
+            });
+
+            return results;
+        },
+    };
+}
+
+/**
+ * Offline provider reading fixtures/search/<query-slug>.json, falling back to default.json
+ * Each file is an array of { title, url, snippet }
+ */
+function createFixtureProvider() {
+    return {
+        name: 'fixture',
+        isConfigured: () => fs.existsSync(SEARCH_FIXTURES_DIR),
+        async search(query) {
+            const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const candidates = [`${slug}.json`, 'default.json'].map(file => path.join(SEARCH_FIXTURES_DIR, file));
+            const file = candidates.find(candidate => fs.existsSync(candidate));
+
+            if (!file) {
+                throw new Error(`No search fixture for "${query}" in ${SEARCH_FIXTURES_DIR}`);
             }
-        });
-
-        const finalResults = results.slice(0, count);
-        console.log(`✅ Found ${finalResults.length} competitor articles via DuckDuckGo (excluding BeyondChats)`);
-        return finalResults;
-    } catch (error) {
-        console.error('DuckDuckGo search failed:', error.message);
-        return [];
-    }
+
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        },
+    };
 }
 
 /**
@@ -0,0 +1,163 @@
+/**
+ * Job Queue Service
+ * File-backed queue for batch enhancement. Every article is a job and every
+ * pipeline stage is a checkpoint, so an interrupted run resumes at the stage
+ * that failed instead of repeating finished (and paid-for) LLM calls.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_QUEUE_FILE = process.env.QUEUE_FILE
+    || path.join(__dirname, '..', '.queue', 'enhance-queue.json');
+
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+/**
+ * Open (or create) a queue persisted at the given path
+ */
+export function createJobQueue(file = DEFAULT_QUEUE_FILE) {
+    let state = load(file);
+
+    function save() {
+        state.updated_at = new Date().toISOString();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        // Write-then-rename so a crash mid-write never corrupts the queue
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpFile, file);
+    }
+
+    return {
+        file,
+
+        /**
+         * Add an article as a job. Existing jobs keep their checkpoints.
+         */
+        enqueue(article) {
+            const id = String(article.id);
+            if (!state.jobs[id]) {
+                state.jobs[id] = {
+                    id,
+                    title: article.title,
+                    status: JOB_STATUS.PENDING,
+                    stages: {},
+                    error: null,
+                    created_at: new Date().toISOString(),
+                    finished_at: null,
+                };
+            }
+            return state.jobs[id];
+        },
+
+        getJob(id) {
+            return state.jobs[String(id)] || null;
+        },
+
+        listJobs() {
+            return Object.values(state.jobs);
+        },
+
+        /**
+         * Jobs that still need work. Jobs left "running" by a crashed process are picked up again.
+         */
+        pendingJobs() {
+            return Object.values(state.jobs).filter(job => job.status !== JOB_STATUS.DONE);
+        },
+
+        /**
+         * First stage of the job that has not completed
+         */
+        nextStage(id, stageNames) {
+            const job = this.getJob(id);
+            return stageNames.find(name => job?.stages[name]?.status !== JOB_STATUS.DONE) || null;
+        },
+
+        stageOutput(id, stage) {
+            return this.getJob(id)?.stages[stage]?.output;
+        },
+
+        /**
+         * Drop a job's checkpoints and result so it runs from the first stage again
+         */
+        reset(id) {
+            const job = this.getJob(id);
+            Object.assign(job, { status: JOB_STATUS.PENDING, stages: {}, error: null, result: undefined, finished_at: null });
+            save();
+        },
+
+        markRunning(id) {
+            const job = this.getJob(id);
+            job.status = JOB_STATUS.RUNNING;
+            job.error = null;
+            save();
+        },
+
+        recordAttempt(id, stage, error) {
+            const job = this.getJob(id);
+            const entry = job.stages[stage] || { status: JOB_STATUS.PENDING, attempts: 0 };
+            entry.attempts += 1;
+            entry.status = error ? JOB_STATUS.FAILED : entry.status;
+            entry.error = error ? error.message : null;
+            job.stages[stage] = entry;
+            save();
+        },
+
+        checkpoint(id, stage, output) {
+            const job = this.getJob(id);
+            job.stages[stage] = {
+                ...job.stages[stage],
+                status: JOB_STATUS.DONE,
+                error: null,
+                output,
+                completed_at: new Date().toISOString(),
+            };
+            save();
+        },
+
+        markDone(id, result) {
+            const job = this.getJob(id);
+            job.status = JOB_STATUS.DONE;
+            job.result = result;
+            job.finished_at = new Date().toISOString();
+            save();
+        },
+
+        markFailed(id, stage, error) {
+            const job = this.getJob(id);
+            job.status = JOB_STATUS.FAILED;
+            job.error = { stage, message: error.message };
+            if (error.report) {
+                job.error.report = error.report;
+            }
+            job.finished_at = new Date().toISOString();
+            save();
+        },
+
+        save,
+    };
+}
+
+/**
+ * Read queue state from disk, starting fresh if missing
+ */
+function load(file) {
+    if (!fs.existsSync(file)) {
+        return { version: 1, jobs: {}, updated_at: null };
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Queue file ${file} is corrupt (${error.message}). Delete it to start a fresh batch.`);
+    }
+}
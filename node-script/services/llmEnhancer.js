@@ -1,48 +1,125 @@
 /**
  * LLM Enhancer Service
- * Uses Groq (free tier) with Llama 3 for article enhancement
+ * Builds the enhancement and gap-analysis prompts and sends them through
+ * the configured LLM provider (Groq by default, see llmProvider.js)
  */
 
-import Groq from 'groq-sdk';
+import { complete, getProvider, getTaskConfig } from './llmProvider.js';
+import { describeSchema, GapAnalysisError, parseModelJson, validateGapAnalysis } from './gapAnalysisSchema.js';
+import {
+    chunkTokenBudget,
+    estimateTokens,
+    fitToTokens,
+    groupSections,
+    normalizeFragment,
+    selectRelevantMaterial,
+    splitIntoSections,
+} from './articleChunker.js';
+import { describeStructure, extractStructure } from './structuredExtractor.js';
+import { logger } from './logger.js';
+
+const GAP_ANALYSIS_MAX_ATTEMPTS = parseInt(process.env.GAP_ANALYSIS_MAX_ATTEMPTS, 10) || 3;
+
+// Bump whenever the enhancement or gap-analysis prompts change; recorded with every published version
+export const PROMPT_VERSION = 'v4';
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
+/**
+ * Enhance article content using competitor articles as reference
+ *
+ * Articles that fit the model's token budget are enhanced in one call.
+ * Longer ones are split on headings and enhanced section by section, each
+ * with only the competitor passages relevant to it, then stitched back.
+ * Competitor material never takes more than the task's reference budget.
+ */
+export async function enhanceArticle(originalArticle, competitorArticles) {
+    const config = getTaskConfig('enhance');
+    const provider = getProvider().name;
+    logger.info('Enhancing article', { model: config.model, provider });
+
+    // References get at most half of what the context window leaves for the prompt
+    const templateTokens = estimateTokens(buildEnhancePrompt({ title: originalArticle.title, content: '', competitorContent: '' }));
+    const referenceBudget = Math.min(
+        config.referenceTokens,
+        Math.floor((config.contextTokens - config.maxTokens - templateTokens) / 2)
+    );
+
+    const budget = chunkTokenBudget({
+        contextTokens: config.contextTokens,
+        maxTokens: config.maxTokens,
+        promptOverheadTokens: templateTokens + referenceBudget,
+    });
 
-let groq = null;
+    try {
+        let enhancedContent;
+
+        if (estimateTokens(originalArticle.content) <= budget) {
+            const competitorContent = buildReferenceMaterial(originalArticle.content, competitorArticles, referenceBudget);
+            const prompt = buildEnhancePrompt({ title: originalArticle.title, content: originalArticle.content, competitorContent });
+            const completion = await complete('enhance', [{ role: 'user', content: prompt }], {
+                vars: { title: originalArticle.title, content: originalArticle.content },
+            });
+            enhancedContent = stripCodeFences(completion.content);
+        } else {
+            enhancedContent = await enhanceInSections(originalArticle, competitorArticles, budget, referenceBudget);
+        }
+
+        logger.info('Enhancement generated');
+
+        return {
+            content: enhancedContent,
+            title: extractTitle(enhancedContent) || `Enhanced: ${originalArticle.title}`,
+            prompt_version: PROMPT_VERSION,
+            provider,
+            model: config.model,
+            enhanced_at: new Date().toISOString(),
+        };
+    } catch (error) {
+        logger.error('Error enhancing article', { error });
+        throw error;
+    }
+}
 
 /**
- * Initialize the Groq client
+ * Enhance a long article one heading-delimited chunk at a time
  */
-function initializeClient() {
-    if (!GROQ_API_KEY || GROQ_API_KEY === 'your_groq_api_key_here') {
-        throw new Error('GROQ_API_KEY is not set. Get a free key at https://console.groq.com/keys');
-    }
+async function enhanceInSections(originalArticle, competitorArticles, budget, referenceBudget) {
+    const { sections, wrap } = splitIntoSections(originalArticle.content);
+    const chunks = groupSections(sections, budget);
+
+    logger.info('Enhancing in chunks', {
+        article_tokens: estimateTokens(originalArticle.content),
+        chunks: chunks.length,
+        chunk_budget: budget,
+    });
+
+    const enhancedChunks = [];
+    for (const [index, chunk] of chunks.entries()) {
+        const prompt = buildEnhancePrompt({
+            title: originalArticle.title,
+            content: chunk.html,
+            competitorContent: selectRelevantMaterial(chunk.html, competitorArticles, referenceBudget),
+            section: { index, total: chunks.length, headings: chunk.headings },
+        });
 
-    if (!groq) {
-        groq = new Groq({ apiKey: GROQ_API_KEY });
+        const completion = await complete('enhance', [{ role: 'user', content: prompt }], {
+            vars: { title: originalArticle.title, content: chunk.html },
+        });
+
+        enhancedChunks.push(normalizeFragment(stripCodeFences(completion.content)));
+        logger.debug('Chunk enhanced', { chunk: index + 1, chunks: chunks.length });
     }
 
-    return groq;
+    return wrap(enhancedChunks.join('\n'));
 }
 
 /**
- * Enhance article content using competitor articles as reference
+ * Build the enhancement prompt for a whole article or one section of it
  */
-export async function enhanceArticle(originalArticle, competitorArticles) {
-    console.log('🤖 Enhancing article with Llama 3 (via Groq)...');
+function buildEnhancePrompt({ title, content, competitorContent, section = null }) {
+    const scope = section ? 'section' : 'article';
+    const sectionLabel = section ? ` - Section ${section.index + 1} of ${section.total}` : '';
 
-    const client = initializeClient();
-
-    // Prepare competitor content summaries
-    const competitorContent = competitorArticles
-        .map((c, i) => `
---- Reference Article ${i + 1}: "${c.title}" ---
-URL: ${c.url}
-Content Summary:
-${c.content?.substring(0, 2000) || c.snippet}
-`)
-        .join('\n');
-
-    const prompt = `You are an expert Content Editor & SEO Specialist. Your task is to scientifically enhance a blog article by comparing it against top-ranking competitors text-by-text.
+    return `You are an expert Content Editor & SEO Specialist. Your task is to scientifically enhance a blog article by comparing it against top-ranking competitors text-by-text.
 
 ## CORE OBJECTIVE
 1. **Understand**: Fully scan the Original Article's header and content to grasp the core topic and flow.
@@ -58,10 +135,10 @@ ${c.content?.substring(0, 2000) || c.snippet}
    - Your job is ONLY to INSERT new paragraphs BETWEEN existing ones.
    - The original article MUST remain 100% intact in the output.
 
-## 1. Original Article (PRESERVE EVERY WORD)
-Title: ${originalArticle.title}
-Full Content:
-${originalArticle.content.substring(0, 100000)}
+## 1. Original Article${sectionLabel} (PRESERVE EVERY WORD)
+Title: ${title}
+${section ? `This is only part of the article (headings: ${section.headings.join(' / ') || 'introduction'}). Enhance THIS PART ONLY: do not add an introduction, conclusion or title for the whole article.\nSection Content:` : 'Full Content:'}
+${content}
 
 ## 2. Top Ranking Competitors (SOURCE MATERIAL)
 ${competitorContent}
@@ -76,7 +153,7 @@ ${competitorContent}
     - DO NOT highlight original content. Only highlight what YOU wrote.
 
 ## 4. Output Requirements
-- Return the **FULL HTML** of the article with your enhancements.
+- Return the **FULL HTML** of the ${scope} with your enhancements.
 - **Keep ALL original <img> tags exactly where they are.**
 - **Keep ALL original <iframe> tags (YouTube embeds, videos) EXACTLY as they are. DO NOT REMOVE THEM.**
 - **Keep ALL original <video> and <embed> tags intact.**
@@ -94,106 +171,139 @@ Your writing MUST pass AI detection tools. Follow these rules strictly:
 - **Break grammar rules occasionally**: Start sentences with "And" or "But". Use fragments for emphasis.
 - **Reference real-world context**: "Think about the last time you..." or "We've all been there..."
 - **Avoid overly formal synonyms**: use "use" not "utilize", "help" not "facilitate", "show" not "demonstrate"`;
-
-    try {
-        const chatCompletion = await client.chat.completions.create({
-            messages: [{ role: 'user', content: prompt }],
-            model: 'llama-3.3-70b-versatile',
-            temperature: 0.7,
-            max_tokens: 30000,
-        });
-
-        const enhancedContent = chatCompletion.choices[0]?.message?.content || '';
-
-        console.log('✅ Article enhanced successfully');
-
-        return {
-            content: enhancedContent,
-            title: extractTitle(enhancedContent) || `Enhanced: ${originalArticle.title}`,
-        };
-    } catch (error) {
-        console.error('Error enhancing article:', error.message);
-        throw error;
-    }
 }
 
 /**
  * Perform gap analysis comparing original article to competitors
+ *
+ * The model output is validated against GAP_ANALYSIS_SCHEMA; malformed or
+ * out-of-range answers are sent back with the errors for a corrected answer.
+ * Throws GapAnalysisError when no valid analysis is produced.
  */
 export async function performGapAnalysis(originalArticle, competitorArticles) {
-    console.log('🔍 Performing gap analysis with Llama 3...');
+    const config = getTaskConfig('analysis');
+    logger.info('Performing gap analysis', { model: config.model });
 
-    const client = initializeClient();
+    const competitorContent = buildReferenceMaterial(originalArticle.content, competitorArticles, config.referenceTokens);
 
-    const competitorContent = competitorArticles
-        .map((c, i) => `
-Article ${i + 1}: "${c.title}"
-Key Topics: ${c.content?.substring(0, 1500) || c.snippet}
-`)
-        .join('\n');
-
-    const prompt = `Analyze the original article against these competitor articles and identify gaps.
+    const buildPrompt = (originalText) => `Analyze the original article against these competitor articles and identify gaps.
 
 ## Original Article
 Title: ${originalArticle.title}
-Content Summary:
-${stripHtml(originalArticle.content).substring(0, 3000)}
+Outline:
+${describeStructure(extractStructure(originalArticle.content))}
+Content:
+${originalText}
 
 ## Competitor Articles
 ${competitorContent}
 
 ## Analysis Task
-Compare the original with competitors and return a JSON object with:
+Compare the outlines section by section: a competitor section, FAQ or statistic with no
+counterpart in the original is a candidate for "missing", a thinner matching section for "improve".
+Then compare the original with competitors and return a JSON object with:
 1. "missing" - Topics/points competitors cover that the original doesn't (array of strings)
 2. "improve" - Areas where original could be stronger (array of strings)
 3. "strengths" - What the original does well (array of strings)
 4. "keywords_missing" - Important keywords/phrases competitors use that we don't (array)
-5. "overall_score" - Quality score 1-10 compared to competitors
+5. "overall_score" - Quality score 1-10 compared to competitors (integer)
 6. "recommendations" - Top 3 specific improvements (array)
 
+The JSON must satisfy these rules:
+${describeSchema()}
+
 Return ONLY valid JSON, no markdown formatting or explanation.`;
 
-    try {
-        const chatCompletion = await client.chat.completions.create({
-            messages: [{ role: 'user', content: prompt }],
-            model: 'llama-3.3-70b-versatile',
-            temperature: 0.3,
-            max_tokens: 2000,
+    // The original goes in whole unless it would overflow the context window
+    const originalText = stripHtml(originalArticle.content);
+    const room = config.contextTokens - config.maxTokens - estimateTokens(buildPrompt(''));
+    let prompt = buildPrompt(originalText);
+
+    if (estimateTokens(originalText) > room) {
+        logger.warn('Original article shortened to fit the gap analysis prompt', {
+            article_tokens: estimateTokens(originalText),
+            room_tokens: room,
         });
+        prompt = buildPrompt(`${fitToTokens(originalText, room)} [...]`);
+    }
 
-        let analysisText = chatCompletion.choices[0]?.message?.content || '{}';
+    const messages = [{ role: 'user', content: prompt }];
+    let lastErrors = [];
+    let lastResponse = null;
 
-        // Clean up potential markdown formatting
-        analysisText = analysisText
-            .replace(/```json\n?/g, '')
-            .replace(/```\n?/g, '')
-            .trim();
+    for (let attempt = 1; attempt <= GAP_ANALYSIS_MAX_ATTEMPTS; attempt++) {
+        const completion = await complete('analysis', messages, {
+            vars: { title: originalArticle.title },
+        });
+        lastResponse = completion.content;
+
+        let result;
+        try {
+            result = validateGapAnalysis(parseModelJson(lastResponse));
+        } catch (error) {
+            result = { valid: false, errors: [`Response is not valid JSON (${error.message})`] };
+        }
+
+        if (result.valid) {
+            logger.info('Gap analysis complete', { overall_score: result.value.overall_score, attempt });
+            return result.value;
+        }
+
+        lastErrors = result.errors;
+
+        logger.warn('Gap analysis invalid', { attempt, errors: lastErrors });
+
+        // Re-ask with the concrete validation errors
+        messages.push(
+            { role: 'assistant', content: lastResponse },
+            {
+                role: 'user',
+                content: `Your previous response was rejected:\n- ${lastErrors.join('\n- ')}\n\n`
+                    + `Return ONLY the corrected JSON object that satisfies these rules:\n${describeSchema()}`,
+            }
+        );
+    }
 
-        const analysis = JSON.parse(analysisText);
-        console.log('✅ Gap analysis complete');
+    throw new GapAnalysisError(
+        `Gap analysis failed validation after ${GAP_ANALYSIS_MAX_ATTEMPTS} attempts: ${lastErrors.join('; ')}`,
+        { errors: lastErrors, raw: lastResponse }
+    );
+}
 
-        return {
-            missing: analysis.missing || [],
-            improve: analysis.improve || [],
-            strengths: analysis.strengths || [],
-            keywords_missing: analysis.keywords_missing || [],
-            overall_score: analysis.overall_score || 5,
-            recommendations: analysis.recommendations || [],
-        };
-    } catch (error) {
-        console.error('Error in gap analysis:', error.message);
+/**
+ * Competitor material for a prompt, within a token budget. Every reference goes
+ * in whole when they all fit; otherwise each keeps its outline, and the rest of
+ * the budget goes to the passages most related to the article.
+ */
+function buildReferenceMaterial(articleHtml, competitorArticles, tokenBudget) {
+    const full = competitorArticles
+        .map((c, i) => formatReference(c, i, c.content || c.snippet || ''))
+        .join('\n');
 
-        // Return a default structure if parsing fails
-        return {
-            missing: ['Unable to analyze - please check API key'],
-            improve: [],
-            strengths: [],
-            keywords_missing: [],
-            overall_score: 0,
-            recommendations: [],
-            error: error.message,
-        };
+    if (estimateTokens(full) <= tokenBudget) {
+        return full;
     }
+
+    const outlines = competitorArticles.map((c, i) => formatReference(c, i, null)).join('\n');
+    const passages = selectRelevantMaterial(articleHtml, competitorArticles, tokenBudget - estimateTokens(outlines));
+
+    logger.info('Reference material reduced to fit the prompt', {
+        reference_tokens: estimateTokens(full),
+        budget_tokens: tokenBudget,
+        kept_tokens: estimateTokens(outlines) + estimateTokens(passages),
+    });
+
+    return `${outlines}\n## Most Relevant Passages\n${passages}`;
+}
+
+/**
+ * One competitor's block in a prompt; `text` null leaves out its content
+ */
+function formatReference(c, index, text) {
+    return `
+--- Reference Article ${index + 1}: "${c.title}" ---
+URL: ${c.url}
+${c.structure ? `Outline:\n${describeStructure(c.structure, 800)}\n` : ''}${text === null ? '' : `Content:\n${text}\n`}`;
 }
 
 /**
@@ -206,6 +316,16 @@ function stripHtml(html) {
         .trim() || '';
 }
 
+/**
+ * Remove a markdown code fence the model may wrap its HTML in
+ */
+function stripCodeFences(text) {
+    return (text || '')
+        .replace(/^\s*```(?:html)?\s*\n?/i, '')
+        .replace(/\n?```\s*$/, '')
+        .trim();
+}
+
 /**
  * Extract H1 title from HTML content
  */
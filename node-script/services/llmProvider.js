@@ -0,0 +1,263 @@
+/**
+ * LLM Provider Service
+ * Pluggable chat-completion backends selected by config:
+ * - groq:   Groq SDK (free tier, default)
+ * - openai: any OpenAI-compatible HTTP endpoint (OpenAI, llama.cpp server, Ollama, vLLM)
+ * - stub:   deterministic fixture-backed responses for CI and offline runs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import Groq from 'groq-sdk';
+import { logger } from './logger.js';
+import { schedule } from './rateLimiter.js';
+import { checkBudget, estimatePromptTokens, recordUsage } from './usageTracker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+/**
+ * Per-task defaults, overridable with LLM_<TASK>_MODEL / _TEMPERATURE / _MAX_TOKENS / _CONTEXT_TOKENS /
+ * _REFERENCE_TOKENS (the share of the prompt competitor material may take)
+ */
+const TASK_DEFAULTS = {
+    enhance: {
+        model: 'llama-3.3-70b-versatile',
+        temperature: 0.7,
+        maxTokens: 30000,
+        contextTokens: 128000,
+        referenceTokens: 8000,
+    },
+    analysis: {
+        model: 'llama-3.3-70b-versatile',
+        temperature: 0.3,
+        maxTokens: 2000,
+        contextTokens: 128000,
+        referenceTokens: 6000,
+    },
+    tagging: {
+        model: 'llama-3.1-8b-instant',
+        temperature: 0,
+        maxTokens: 200,
+        contextTokens: 128000,
+    },
+};
+
+const providers = {
+    groq: createGroqProvider,
+    openai: createOpenAICompatibleProvider,
+    stub: createStubProvider,
+};
+
+const instances = new Map();
+
+/**
+ * Resolve model, temperature, max_tokens, context window and reference budget for a task
+ */
+export function getTaskConfig(task) {
+    const defaults = TASK_DEFAULTS[task];
+    if (!defaults) {
+        throw new Error(`Unknown LLM task "${task}". Known tasks: ${Object.keys(TASK_DEFAULTS).join(', ')}`);
+    }
+
+    const prefix = `LLM_${task.toUpperCase()}_`;
+    const env = process.env;
+
+    return {
+        model: env[`${prefix}MODEL`] || env.LLM_MODEL || defaults.model,
+        temperature: parseNumber(env[`${prefix}TEMPERATURE`], defaults.temperature),
+        maxTokens: parseNumber(env[`${prefix}MAX_TOKENS`], defaults.maxTokens),
+        contextTokens: parseNumber(env[`${prefix}CONTEXT_TOKENS`], defaults.contextTokens),
+        referenceTokens: parseNumber(env[`${prefix}REFERENCE_TOKENS`], defaults.referenceTokens),
+    };
+}
+
+/**
+ * Get the configured provider (LLM_PROVIDER, defaults to groq)
+ */
+export function getProvider(name = process.env.LLM_PROVIDER || 'groq') {
+    const key = name.toLowerCase();
+    const factory = providers[key];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+
+    if (!instances.has(key)) {
+        instances.set(key, factory());
+    }
+
+    return instances.get(key);
+}
+
+/**
+ * Register an additional provider factory
+ */
+export function registerProvider(name, factory) {
+    providers[name.toLowerCase()] = factory;
+    instances.delete(name.toLowerCase());
+}
+
+/**
+ * Run a chat completion for a task using the configured provider
+ *
+ * @param {string} task - 'enhance' or 'analysis'
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options]
+ * @param {Object} [options.vars] - Values substituted into stub fixtures ({{name}})
+ * @returns {Promise<{content: string, model: string, provider: string, usage: Object}>}
+ *   `usage` is the accounted usage (see usageTracker.recordUsage)
+ * @throws {BudgetExceededError} When the call would exceed a token or cost budget
+ * @throws {RateLimitError} When the provider asks for a longer pause than RATE_LIMIT_MAX_WAIT_MS
+ */
+export async function complete(task, messages, options = {}) {
+    const provider = getProvider(options.provider);
+    const config = { ...getTaskConfig(task), ...options.overrides };
+
+    // Refuse the call up front if its prompt plus a full-length answer could break a budget cap
+    const promptTokens = estimatePromptTokens(messages);
+    checkBudget({ model: config.model, promptTokens, maxTokens: config.maxTokens });
+
+    // Calls to one provider share a lane, so concurrent articles never overrun its quota
+    const startedAt = Date.now();
+    const completion = await schedule(
+        `llm:${provider.name}`,
+        lane => provider.complete({ task, messages, vars: options.vars || {}, lane, ...config }),
+        { limits: provider.rateLimits || {}, tokens: promptTokens }
+    );
+    const usage = recordUsage({ model: completion.model, messages, content: completion.content, usage: completion.usage });
+
+    logger.info('LLM call', {
+        task,
+        provider: completion.provider,
+        model: completion.model,
+        duration_ms: Date.now() - startedAt,
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+        cost_usd: usage.cost_usd,
+        ...(usage.estimated && { estimated: true }),
+    });
+
+    return { ...completion, usage };
+}
+
+/**
+ * Groq SDK provider
+ */
+function createGroqProvider() {
+    const apiKey = process.env.GROQ_API_KEY;
+    let client = null;
+
+    return {
+        name: 'groq',
+        rateLimits: getRateLimits(),
+        async complete({ messages, model, temperature, maxTokens, lane }) {
+            if (!apiKey || apiKey === 'your_groq_api_key_here') {
+                throw new Error('GROQ_API_KEY is not set. Get a free key at https://console.groq.com/keys');
+            }
+
+            if (!client) {
+                // 429s are retried by the rate limiter, anything else by the pipeline's stage retries
+                client = new Groq({ apiKey, maxRetries: 0 });
+            }
+
+            const { data: chatCompletion, response } = await client.chat.completions.create({
+                messages,
+                model,
+                temperature,
+                max_tokens: maxTokens,
+            }).withResponse();
+            lane.update(response.headers);
+
+            return {
+                content: chatCompletion.choices[0]?.message?.content || '',
+                model: chatCompletion.model || model,
+                provider: 'groq',
+                usage: chatCompletion.usage || null,
+            };
+        },
+    };
+}
+
+/**
+ * OpenAI-compatible HTTP provider (POST {LLM_BASE_URL}/chat/completions)
+ */
+function createOpenAICompatibleProvider() {
+    const baseUrl = (process.env.LLM_BASE_URL || 'http://127.0.0.1:8080/v1').replace(/\/+$/, '');
+    const apiKey = process.env.LLM_API_KEY;
+    const timeout = parseNumber(process.env.LLM_TIMEOUT_MS, 300000);
+
+    return {
+        name: 'openai',
+        rateLimits: getRateLimits(),
+        async complete({ messages, model, temperature, maxTokens, lane }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await axios.post(`${baseUrl}/chat/completions`, {
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+            }, { headers, timeout });
+            lane.update(response.headers);
+
+            return {
+                content: response.data.choices?.[0]?.message?.content || '',
+                model: response.data.model || model,
+                provider: 'openai',
+                usage: response.data.usage || null,
+            };
+        },
+    };
+}
+
+/**
+ * Fixture-backed stub provider
+ * Reads fixtures/llm/<task>.txt (or LLM_FIXTURES_DIR) and fills {{var}} placeholders
+ */
+function createStubProvider() {
+    const fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+    return {
+        name: 'stub',
+        async complete({ task, vars, model }) {
+            const fixturePath = path.join(fixturesDir, `${task}.txt`);
+
+            if (!fs.existsSync(fixturePath)) {
+                throw new Error(`No stub fixture for task "${task}" at ${fixturePath}`);
+            }
+
+            const template = fs.readFileSync(fixturePath, 'utf8');
+            const content = template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+                vars[name] !== undefined ? String(vars[name]) : match
+            );
+
+            return { content, model: `stub:${model}`, provider: 'stub', usage: null };
+        },
+    };
+}
+
+/**
+ * Request and prompt-token quotas per minute (LLM_RPM, default 30 as on Groq's free tier; LLM_TPM)
+ */
+function getRateLimits() {
+    return {
+        requestsPerMinute: parseNumber(process.env.LLM_RPM, 30),
+        tokensPerMinute: parseNumber(process.env.LLM_TPM, 0),
+    };
+}
+
+/**
+ * Parse a numeric env value with fallback
+ */
+function parseNumber(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
@@ -0,0 +1,114 @@
+/**
+ * Logger Service
+ * Levelled, structured logging for the worker. Pretty lines for terminals,
+ * one JSON object per line with LOG_FORMAT=json. Fields bound with
+ * withLogContext() (e.g. the article's correlation ID) are attached to every
+ * line logged inside it, however deep in the service stack.
+ *
+ * All output goes to stderr so stdout stays free for command results.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+    level: LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info,
+    json: (process.env.LOG_FORMAT || '').toLowerCase() === 'json',
+};
+
+const contextStore = new AsyncLocalStorage();
+
+// Shown inside the [brackets] of pretty lines rather than as key=value pairs
+const PREFIX_FIELDS = ['correlation_id', 'stage'];
+
+/**
+ * Create a logger with fields bound to every line
+ *
+ * @param {Object} [bindings]
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+export function createLogger(bindings = {}) {
+    const log = level => (message, fields = {}) => write(level, message, { ...bindings, ...fields });
+
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: fields => createLogger({ ...bindings, ...fields }),
+    };
+}
+
+export const logger = createLogger();
+
+/**
+ * Run `fn` with fields attached to every line it (and anything it awaits) logs
+ */
+export function withLogContext(fields, fn) {
+    return contextStore.run({ ...contextStore.getStore(), ...fields }, fn);
+}
+
+/**
+ * Short random ID to tie together the log lines of one article
+ */
+export function newCorrelationId() {
+    return crypto.randomUUID().slice(0, 8);
+}
+
+/**
+ * Override LOG_LEVEL / LOG_FORMAT at runtime
+ */
+export function configureLogger({ level, format } = {}) {
+    if (level && LEVELS[level] !== undefined) settings.level = LEVELS[level];
+    if (format) settings.json = format === 'json';
+}
+
+function write(level, message, fields) {
+    if (LEVELS[level] < settings.level) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...contextStore.getStore(),
+        ...serializeFields(fields),
+    };
+
+    process.stderr.write(`${settings.json ? JSON.stringify(entry) : formatPretty(entry)}\n`);
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+    const prefix = PREFIX_FIELDS.map(key => fields[key]).filter(Boolean).join(' ');
+    const details = Object.entries(fields)
+        .filter(([key, value]) => !PREFIX_FIELDS.includes(key) && value !== undefined)
+        .map(([key, value]) => `${key}=${formatValue(value)}`)
+        .join(' ');
+
+    return [
+        time.slice(11, 19),
+        level.toUpperCase().padEnd(5),
+        prefix && `[${prefix}]`,
+        msg,
+        details,
+    ].filter(Boolean).join(' ');
+}
+
+function formatValue(value) {
+    if (typeof value === 'string') return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+    return JSON.stringify(value);
+}
+
+/**
+ * Errors don't survive JSON.stringify; keep their message and pipeline stage
+ */
+function serializeFields(fields) {
+    const serialized = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        serialized[key] = value instanceof Error
+            ? { name: value.name, message: value.message, ...(value.stage && { stage: value.stage }) }
+            : value;
+    });
+    return serialized;
+}
@@ -0,0 +1,153 @@
+/**
+ * Metadata Extractor Service
+ * Reads page metadata from JSON-LD (Article/BlogPosting), Open Graph,
+ * Twitter cards, standard meta tags and <time> elements, in that order of
+ * preference, and resolves URLs against the page address.
+ */
+
+import * as cheerio from 'cheerio';
+
+const ARTICLE_TYPES = new Set([
+    'article', 'blogposting', 'newsarticle', 'techarticle', 'report', 'scholarlyarticle',
+]);
+
+/**
+ * @typedef {Object} PageMetadata
+ * @property {?string} canonical_url
+ * @property {?string} title
+ * @property {?string} description
+ * @property {?string} published_at - ISO 8601
+ * @property {?string} modified_at - ISO 8601
+ * @property {?string} author
+ * @property {?string} site_name
+ * @property {?string} language
+ * @property {?string} image_url - Absolute URL
+ */
+
+/**
+ * Extract metadata from a full HTML page
+ *
+ * @param {string} html - The whole page, not just the main content
+ * @param {string} pageUrl - Used to resolve relative canonical and image URLs
+ * @returns {PageMetadata}
+ */
+export function extractMetadata(html, pageUrl) {
+    const $ = cheerio.load(html || '');
+    const ld = findJsonLdArticle($);
+    const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content')?.trim() || null;
+
+    const image = firstOf(
+        ldImage(ld?.image),
+        meta('og:image:secure_url'),
+        meta('og:image'),
+        meta('twitter:image'),
+        meta('twitter:image:src'),
+        $('link[rel="image_src"]').attr('href'),
+        $('article img, main img, .post-content img, .entry-content img').first().attr('src'),
+    );
+
+    return {
+        canonical_url: absoluteUrl(firstOf($('link[rel="canonical"]').attr('href'), meta('og:url'), ld?.url), pageUrl) || pageUrl,
+        title: firstOf(ld?.headline, meta('og:title'), meta('twitter:title'), $('title').first().text()),
+        description: firstOf(ld?.description, meta('og:description'), meta('twitter:description'), meta('description')),
+        published_at: toIsoDate(firstOf(
+            ld?.datePublished,
+            meta('article:published_time'),
+            meta('datePublished'),
+            $('[itemprop="datePublished"]').attr('content') || $('[itemprop="datePublished"]').attr('datetime'),
+            $('article time[datetime], time[datetime]').first().attr('datetime'),
+            ld?.dateCreated,
+        )),
+        modified_at: toIsoDate(firstOf(
+            ld?.dateModified,
+            meta('article:modified_time'),
+            meta('og:updated_time'),
+            $('[itemprop="dateModified"]').attr('content') || $('[itemprop="dateModified"]').attr('datetime'),
+        )),
+        author: firstOf(
+            ldName(ld?.author),
+            meta('author'),
+            meta('article:author'),
+            $('[rel="author"]').first().text(),
+            twitterHandle(meta('twitter:creator')),
+        ),
+        site_name: firstOf(meta('og:site_name'), ldName(ld?.publisher), meta('application-name')),
+        language: firstOf($('html').attr('lang'), ld?.inLanguage, meta('og:locale')?.replace('_', '-')),
+        image_url: absoluteUrl(image, pageUrl),
+    };
+}
+
+/**
+ * The first JSON-LD node describing an article, looking inside arrays and @graph
+ */
+function findJsonLdArticle($) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+        try {
+            collectNodes(JSON.parse($(el).contents().text()), nodes);
+        } catch {
+            // Broken JSON-LD is common; the other sources still apply
+        }
+    });
+
+    return nodes.find(node => types(node).some(type => ARTICLE_TYPES.has(type)))
+        // Plain pages still carry dates and authors
+        || nodes.find(node => types(node).includes('webpage'))
+        || null;
+}
+
+function collectNodes(value, nodes) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectNodes(item, nodes));
+    } else if (value && typeof value === 'object') {
+        nodes.push(value);
+        if (value['@graph']) collectNodes(value['@graph'], nodes);
+    }
+}
+
+function types(node) {
+    return [].concat(node['@type'] || []).map(type => String(type).toLowerCase());
+}
+
+/**
+ * Names from a JSON-LD person/organisation, a list of them, or a plain string
+ */
+function ldName(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.map(ldName).filter(Boolean).join(', ') || null;
+    return value.name || null;
+}
+
+function ldImage(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return ldImage(value[0]);
+    return value.url || value.contentUrl || null;
+}
+
+function twitterHandle(value) {
+    return value ? value.replace(/^@/, '') : null;
+}
+
+function firstOf(...values) {
+    for (const value of values) {
+        if (typeof value === 'string' && value.trim()) return value.trim();
+    }
+    return null;
+}
+
+function absoluteUrl(value, base) {
+    if (!value) return null;
+    try {
+        return new URL(value, base).href;
+    } catch {
+        return null;
+    }
+}
+
+function toIsoDate(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
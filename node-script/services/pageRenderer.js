@@ -0,0 +1,142 @@
+/**
+ * Page Renderer Service
+ * Optional headless-browser backend for pages that render their content
+ * client-side. Uses Puppeteer, an optional dependency that downloads its own
+ * Chromium on install (`npx puppeteer browsers install chrome` fetches it
+ * later; RENDER_EXECUTABLE_PATH points at a browser already on the machine).
+ * Without Puppeteer or a browser, rendering is simply unavailable and
+ * scraping stays static.
+ */
+
+import { isAllowedByRobots, waitForTurn } from './politeFetcher.js';
+
+const MODE = (process.env.RENDERER || 'auto').toLowerCase();
+const TIMEOUT_MS = parseInt(process.env.RENDER_TIMEOUT_MS, 10) || 30000;
+const WAIT = process.env.RENDER_WAIT || 'networkidle';
+// Resource types not needed to read the article text
+const BLOCKED_RESOURCES = new Set(
+    (process.env.RENDER_BLOCK_RESOURCES ?? 'image,media,font,stylesheet')
+        .split(',').map(type => type.trim()).filter(Boolean)
+);
+const USER_AGENT = process.env.SCRAPER_USER_AGENT || 'BeyondChatsBot/1.0 (+https://beyondchats.com)';
+// Competitor pages are untrusted, so Chromium's sandbox stays on unless it cannot start (root in a container)
+const NO_SANDBOX = process.env.RENDER_NO_SANDBOX === '1';
+
+let browserPromise = null;
+let unavailableReason = MODE === 'off' ? 'disabled by RENDERER=off' : null;
+
+export class RendererUnavailableError extends Error {
+    constructor(reason) {
+        super(`Headless rendering unavailable: ${reason}`);
+        this.name = 'RendererUnavailableError';
+    }
+}
+
+/**
+ * Whether rendering can be attempted (it may still fail to launch)
+ */
+export function isRendererEnabled() {
+    return unavailableReason === null;
+}
+
+/**
+ * Render a page in headless Chromium and return the resulting HTML
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.wait] - "networkidle", "load", "domcontentloaded", "selector:<css>" or a delay in ms
+ * @param {number} [options.timeoutMs]
+ * @param {Set<string>|string[]} [options.blockResources] - Puppeteer resource types to abort
+ * @returns {Promise<{url: string, finalUrl: string, body: string}>}
+ * @throws {RendererUnavailableError} When no browser driver can be loaded or launched
+ */
+export async function renderPage(url, { wait = WAIT, timeoutMs = TIMEOUT_MS, blockResources = BLOCKED_RESOURCES } = {}) {
+    const browser = await getBrowser();
+
+    if (!(await isAllowedByRobots(url))) {
+        throw new Error(`robots.txt disallows ${url}`);
+    }
+    await waitForTurn(url);
+
+    const blocked = new Set(blockResources);
+    const page = await browser.newPage();
+
+    try {
+        await page.setUserAgent(USER_AGENT);
+        if (blocked.size > 0) {
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                if (blocked.has(request.resourceType())) request.abort();
+                else request.continue();
+            });
+        }
+
+        const { waitUntil, selector, delayMs } = parseWait(wait);
+        await page.goto(url, { waitUntil, timeout: timeoutMs });
+        if (selector) await page.waitForSelector(selector, { timeout: timeoutMs });
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+        return { url, finalUrl: page.url(), body: await page.content() };
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+/**
+ * Close the shared browser so the process can exit
+ */
+export async function closeRenderer() {
+    if (!browserPromise) return;
+
+    const pending = browserPromise;
+    browserPromise = null;
+    const browser = await pending.catch(() => null);
+    await browser?.close().catch(() => {});
+}
+
+/**
+ * Launch (once) the shared browser, loading the driver on first use
+ */
+function getBrowser() {
+    if (unavailableReason) {
+        return Promise.reject(new RendererUnavailableError(unavailableReason));
+    }
+
+    if (!browserPromise) {
+        browserPromise = launchBrowser().catch(error => {
+            browserPromise = null;
+            unavailableReason = error.message;
+            throw new RendererUnavailableError(error.message);
+        });
+    }
+    return browserPromise;
+}
+
+async function launchBrowser() {
+    const driver = await loadDriver();
+    return driver.launch({
+        headless: true,
+        executablePath: process.env.RENDER_EXECUTABLE_PATH || undefined,
+        args: ['--disable-dev-shm-usage', ...(NO_SANDBOX ? ['--no-sandbox'] : [])],
+    });
+}
+
+async function loadDriver() {
+    for (const name of ['puppeteer', 'puppeteer-core']) {
+        try {
+            const module = await import(name);
+            return module.default || module;
+        } catch (error) {
+            if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+        }
+    }
+    throw new Error('puppeteer is not installed (it is an optional dependency: npm install --include=optional)');
+}
+
+function parseWait(wait) {
+    const value = String(wait);
+    if (/^\d+$/.test(value)) return { waitUntil: 'load', delayMs: Number(value) };
+    if (value.startsWith('selector:')) return { waitUntil: 'domcontentloaded', selector: value.slice('selector:'.length) };
+    if (value === 'networkidle') return { waitUntil: 'networkidle2' };
+    return { waitUntil: value };
+}
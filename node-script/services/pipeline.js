@@ -0,0 +1,360 @@
+/**
+ * Enhancement Pipeline
+ * The one search → scrape → rank → analyse → enhance → publish → tag workflow shared by
+ * the single-article and batch entry points. Entry points observe progress
+ * through lifecycle hooks and can resume from earlier stage outputs.
+ */
+
+import { buildSearchQueries, searchWithQueries } from './queryBuilder.js';
+import { scrapeMultipleArticles } from './contentScraper.js';
+import { enhanceArticle, performGapAnalysis } from './llmEnhancer.js';
+import { publishEnhancedArticle, saveArticleTags } from './articleFetcher.js';
+import { generateCitations } from './citations.js';
+import { rankCompetitors } from './competitorRanker.js';
+import { classifyArticle } from './tagClassifier.js';
+import { assertValidGapAnalysis } from './gapAnalysisSchema.js';
+import { describeReport, PreservationError, verifyPreservation } from './preservationVerifier.js';
+import { logger } from './logger.js';
+import { BudgetExceededError } from './usageTracker.js';
+
+/**
+ * @typedef {Object} Article
+ * @property {number} id
+ * @property {string} title
+ * @property {string} content - HTML
+ * @property {string} [original_url]
+ * @property {string} [excerpt]
+ * @property {string} [author]
+ * @property {string} [published_at]
+ * @property {string} [featured_image]
+ * @property {?{id: number, slug: string, gap_analysis: ?Object}} [enhanced_article] - Its enhanced version, if there is one
+ */
+
+/**
+ * @typedef {Object} SearchResult  - output of the "search" stage (array)
+ * @property {string} title
+ * @property {string} url
+ * @property {string} snippet
+ * @property {Array<{query: string, source: string}>} queries - The generated queries that found it
+ */
+
+/**
+ * @typedef {SearchResult & {
+ *   content: string, htmlContent: string, excerpt: string, image_url: ?string,
+ *   canonical_url: string, published_at: ?string, modified_at: ?string,
+ *   author: ?string, site_name: ?string, language: ?string,
+ *   structure: import('./structuredExtractor.js').StructuredDocument
+ * }} CompetitorArticle           - output of the "scrape" stage (array)
+ */
+
+/**
+ * @typedef {CompetitorArticle & {
+ *   ranking: {score: number, similarity: number, length: number, freshness: number, words: number}
+ * }} RankedCompetitor            - output of the "rank" stage (array, best first)
+ */
+
+/**
+ * @typedef {Object} GapAnalysis   - output of the "analyse" stage
+ * @property {string[]} missing
+ * @property {string[]} improve
+ * @property {string[]} strengths
+ * @property {string[]} keywords_missing
+ * @property {number} overall_score
+ * @property {string[]} recommendations
+ */
+
+/**
+ * @typedef {Object} EnhancedContent - output of the "enhance" stage
+ * @property {string} title
+ * @property {string} content - HTML with new paragraphs wrapped in <mark>
+ * @property {string} prompt_version - llmEnhancer.PROMPT_VERSION at the time
+ * @property {string} provider
+ * @property {string} model
+ * @property {string} enhanced_at - ISO timestamp
+ * @property {Object} preservation - Passing report from verifyPreservation()
+ */
+
+/**
+ * @typedef {Object} PublishResult - output of the "publish" stage
+ * @property {number} id
+ * @property {?string} slug
+ * @property {boolean} replaced - True if an earlier enhancement of the article was updated in place
+ * @property {string} review_status - 'draft' until an editor reviews it
+ */
+
+/**
+ * @typedef {Object} TagResult    - output of the "tag" stage
+ * @property {Array<{slug: string, source: string, score: number}>} tags
+ */
+
+/**
+ * @typedef {Object} StageContext
+ * @property {Article} article
+ * @property {Object<string, *>} outputs - Outputs of the stages that already ran, by stage name
+ * @property {PipelineOptions} options
+ */
+
+/**
+ * @typedef {Object} PipelineOptions
+ * @property {number} [competitorCount=2] - Competitors kept after ranking
+ * @property {number} [candidateCount] - Search results to scrape and rank (default 3x competitorCount)
+ * @property {number} [maxQueries=4] - Search queries generated from the article
+ * @property {number} [minCompetitorWords=250] - Candidates shorter than this are only used as a last resort
+ * @property {number} [maxCompetitorAgeDays=1095] - Candidates last updated longer ago are only used as a last resort
+ * @property {boolean} [requireCompetitors=true] - Fail instead of enhancing without competitors
+ * @property {number} [retries=0] - Extra attempts per stage
+ * @property {number} [retryDelay=5000] - Base backoff in ms, doubled per attempt
+ * @property {number} [enhanceAttempts=2] - Enhancements to try before holding back an article
+ *                                          whose original text was not preserved
+ */
+
+/**
+ * @typedef {Object} PipelineHooks
+ * @property {(event: {stage: string, article: Article, attempt: number}) => void} [onStageStart]
+ * @property {(event: {stage: string, article: Article, output: *, durationMs: number, cached: boolean}) => void} [onStageEnd]
+ * @property {(event: {stage: string, article: Article, error: Error, attempt: number, willRetry: boolean}) => void} [onError]
+ */
+
+const DEFAULT_OPTIONS = {
+    competitorCount: 2,
+    candidateCount: null,
+    maxQueries: 4,
+    minCompetitorWords: 250,
+    maxCompetitorAgeDays: 3 * 365,
+    requireCompetitors: true,
+    retries: 0,
+    retryDelay: 5000,
+    enhanceAttempts: 2,
+};
+
+/**
+ * Pipeline stages, in order. Each stage receives a StageContext and returns
+ * a JSON-serialisable output so it can be checkpointed.
+ */
+export const STAGES = [
+    {
+        name: 'search',
+        /** @returns {Promise<SearchResult[]>} */
+        async run({ article, options }) {
+            // Over-fetch so the rank stage has candidates to choose from
+            const candidateCount = options.candidateCount || options.competitorCount * 3;
+            // Re-enhancing an article can also search for the keywords its last analysis found missing
+            const queries = buildSearchQueries(article, {
+                gapAnalysis: article.enhanced_article?.gap_analysis,
+                maxQueries: options.maxQueries,
+            });
+            const searchResults = await searchWithQueries(queries, candidateCount);
+            if (searchResults.length === 0 && options.requireCompetitors) {
+                throw new Error('No competitors found');
+            }
+            return searchResults;
+        },
+    },
+    {
+        name: 'scrape',
+        /** @returns {Promise<CompetitorArticle[]>} */
+        async run({ outputs, options }) {
+            const competitorArticles = await scrapeMultipleArticles(outputs.search);
+            if (competitorArticles.length === 0 && options.requireCompetitors) {
+                throw new Error('Scraping failed');
+            }
+            return competitorArticles;
+        },
+    },
+    {
+        name: 'rank',
+        /** @returns {Promise<RankedCompetitor[]>} */
+        async run({ article, outputs, options }) {
+            return rankCompetitors(article, outputs.scrape, options.competitorCount, {
+                minWords: options.minCompetitorWords,
+                maxAgeDays: options.maxCompetitorAgeDays,
+            });
+        },
+    },
+    {
+        name: 'analyse',
+        /** @returns {Promise<GapAnalysis>} */
+        async run({ article, outputs }) {
+            return await performGapAnalysis(article, outputs.rank);
+        },
+    },
+    {
+        name: 'enhance',
+        /** @returns {Promise<EnhancedContent>} */
+        async run({ article, outputs, options }) {
+            let report = null;
+
+            for (let attempt = 1; attempt <= options.enhanceAttempts; attempt++) {
+                const enhanced = await enhanceArticle(article, outputs.rank);
+                report = verifyPreservation(article.content, enhanced.content);
+
+                if (report.passed) {
+                    return { ...enhanced, preservation: report };
+                }
+
+                logger.warn('Enhancement did not preserve the original', { attempt, report: describeReport(report) });
+            }
+
+            throw new PreservationError(
+                `Enhancement held back: ${describeReport(report)} after ${options.enhanceAttempts} attempt(s)`,
+                report
+            );
+        },
+    },
+    {
+        name: 'publish',
+        /** @returns {Promise<PublishResult>} */
+        async run({ article, outputs }) {
+            // Never publish a placeholder or a checkpoint from before validation existed
+            assertValidGapAnalysis(outputs.analyse);
+
+            const report = verifyPreservation(article.content, outputs.enhance.content);
+            if (!report.passed) {
+                throw new PreservationError(`Refusing to publish: ${describeReport(report)}`, report);
+            }
+
+            const enhancedArticle = await publishEnhancedArticle(article.id, buildPublishPayload(article, outputs));
+            return {
+                id: enhancedArticle.id,
+                slug: enhancedArticle.slug || null,
+                replaced: enhancedArticle.replaced,
+                review_status: enhancedArticle.review_status || null,
+            };
+        },
+    },
+    {
+        name: 'tag',
+        /** @returns {Promise<TagResult>} */
+        async run({ article, outputs }) {
+            // The enhanced text covers the original and the gaps it filled; both
+            // versions get the same tags so a tag page lists them side by side
+            const tags = await classifyArticle({
+                title: outputs.enhance.title,
+                excerpt: article.excerpt,
+                content: outputs.enhance.content,
+            });
+
+            await saveArticleTags(outputs.publish.id, tags);
+            await saveArticleTags(article.id, tags);
+
+            return { tags: tags.map(({ slug, source, score }) => ({ slug, source, score })) };
+        },
+    },
+];
+
+export const STAGE_NAMES = STAGES.map(stage => stage.name);
+
+/**
+ * Build the Laravel `upsertEnhanced` payload for an enhanced article
+ */
+export function buildPublishPayload(article, { rank, analyse, enhance }) {
+    return {
+        title: enhance.title,
+        content: enhance.content + generateCitations(rank),
+        original_url: article.original_url,
+        // Preserve original article metadata
+        excerpt: article.excerpt,
+        author: article.author,
+        published_at: article.published_at,
+        featured_image: article.featured_image,
+        status: 'updated',
+        references: rank.map(c => c.url),
+        gap_analysis: analyse,
+        // Recorded by the API as a new version of the enhanced article
+        enhancement: {
+            prompt_version: enhance.prompt_version || null,
+            provider: enhance.provider || null,
+            model: enhance.model || null,
+            enhanced_at: enhance.enhanced_at || null,
+            competitors: rank.map(c => ({ url: c.url, title: c.title, score: c.ranking?.score ?? null })),
+        },
+        competitor_articles: rank.map(c => ({
+            source_url: c.url,
+            title: c.title,
+            content_summary: c.excerpt || c.content?.substring(0, 300),
+            image_url: c.image_url || null,
+            author: c.author || null,
+            site_name: c.site_name || null,
+            published_at: c.published_at || null,
+        })),
+    };
+}
+
+/**
+ * Create a pipeline
+ *
+ * @param {Object} [config]
+ * @param {Array<{name: string, run: Function}>} [config.stages=STAGES]
+ * @param {PipelineHooks} [config.hooks]
+ * @param {PipelineOptions} [config.options]
+ */
+export function createPipeline({ stages = STAGES, hooks = {}, options = {} } = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    return {
+        stages,
+        stageNames: stages.map(stage => stage.name),
+
+        /**
+         * Run the stages for one article
+         *
+         * @param {Article} article
+         * @param {Object} [runOptions]
+         * @param {Object<string, *>} [runOptions.checkpoints] - Stage outputs from a previous run to reuse
+         * @param {string} [runOptions.stopAfter] - Last stage to run (e.g. 'analyse' for a dry analysis)
+         * @returns {Promise<Object<string, *>>} Outputs by stage name
+         */
+        async run(article, { checkpoints = {}, stopAfter = null } = {}) {
+            const outputs = {};
+
+            for (const stage of stages) {
+                if (stage.name in checkpoints) {
+                    outputs[stage.name] = checkpoints[stage.name];
+                    hooks.onStageEnd?.({ stage: stage.name, article, output: outputs[stage.name], durationMs: 0, cached: true });
+                } else {
+                    outputs[stage.name] = await runStage(stage, { article, outputs, options: settings }, hooks);
+                }
+
+                if (stage.name === stopAfter) break;
+            }
+
+            return outputs;
+        },
+    };
+}
+
+/**
+ * Run one stage, retrying with exponential backoff
+ */
+async function runStage(stage, context, hooks) {
+    const { article, options } = context;
+
+    for (let attempt = 1; ; attempt++) {
+        hooks.onStageStart?.({ stage: stage.name, article, attempt });
+        const startedAt = Date.now();
+
+        try {
+            const output = await stage.run(context);
+            hooks.onStageEnd?.({ stage: stage.name, article, output, durationMs: Date.now() - startedAt, cached: false });
+            return output;
+        } catch (error) {
+            // Waiting won't refill a token or cost budget
+            const willRetry = attempt <= options.retries && !(error instanceof BudgetExceededError);
+            hooks.onError?.({ stage: stage.name, article, error, attempt, willRetry });
+
+            if (!willRetry) {
+                error.stage = stage.name;
+                throw error;
+            }
+
+            await sleep(options.retryDelay * 2 ** (attempt - 1));
+        }
+    }
+}
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
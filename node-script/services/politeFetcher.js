@@ -0,0 +1,328 @@
+/**
+ * Polite Fetcher Service
+ * HTTP layer for scraping competitor pages: honours robots.txt, throttles
+ * requests per host (one rate-limiter lane per host), retries transient failures with backoff, and keeps raw
+ * responses in an on-disk cache (with ETag/Last-Modified revalidation) so
+ * re-running a batch doesn't download every page again.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { logger } from './logger.js';
+import { getLane, retryAfterMs } from './rateLimiter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USER_AGENT = process.env.SCRAPER_USER_AGENT
+    || 'BeyondChatsBot/1.0 (+https://beyondchats.com)';
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = USER_AGENT.split('/')[0].toLowerCase();
+
+const CACHE_DIR = process.env.SCRAPER_CACHE_DIR || path.join(__dirname, '..', '.cache', 'pages');
+const CACHE_TTL_MS = (parseFloat(process.env.SCRAPER_CACHE_TTL_HOURS) || 24) * 3600000;
+const CACHE_ENABLED = process.env.SCRAPER_CACHE !== 'off';
+
+const TIMEOUT_MS = parseInt(process.env.SCRAPER_TIMEOUT_MS, 10) || 15000;
+const RETRIES = parseInt(process.env.SCRAPER_RETRIES ?? '2', 10);
+const RETRY_DELAY_MS = 1000;
+// Minimum gap between requests to the same host (robots.txt Crawl-delay can raise it)
+const MIN_INTERVAL_MS = parseInt(process.env.SCRAPER_MIN_INTERVAL_MS ?? '2000', 10);
+// Never wait longer than this for Crawl-delay or Retry-After
+const MAX_WAIT_MS = 60000;
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Per-process state: parsed robots.txt per origin
+const robotsByOrigin = new Map();
+
+export class FetchError extends Error {
+    constructor(message, { url, status = null } = {}) {
+        super(message);
+        this.name = 'FetchError';
+        this.url = url;
+        this.status = status;
+    }
+}
+
+export class RobotsDisallowedError extends FetchError {
+    constructor(url) {
+        super(`robots.txt disallows ${url}`, { url });
+        this.name = 'RobotsDisallowedError';
+    }
+}
+
+/**
+ * Fetch a page politely, from the cache when it is fresh enough
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache] - Defaults to on unless SCRAPER_CACHE=off
+ * @returns {Promise<{url: string, finalUrl: string, status: number, body: string,
+ *   contentType: ?string, fetchedAt: string, fromCache: boolean}>}
+ * @throws {RobotsDisallowedError} When robots.txt forbids the URL
+ * @throws {FetchError} On HTTP errors, or network failures after the last retry
+ */
+export async function fetchPage(url, { useCache = CACHE_ENABLED } = {}) {
+    const cached = useCache ? readCache(url) : null;
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < CACHE_TTL_MS) {
+        return { ...cached, fromCache: true };
+    }
+
+    const robots = await getRobots(url);
+    if (!robots.isAllowed(url)) {
+        throw new RobotsDisallowedError(url);
+    }
+
+    // Revalidate a stale cache entry instead of downloading it again
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await requestWithRetry(url, headers, robots.crawlDelayMs);
+
+    if (response.status === 304 && cached) {
+        const refreshed = { ...cached, fetchedAt: new Date().toISOString() };
+        writeCache(refreshed);
+        return { ...refreshed, fromCache: true };
+    }
+    if (response.status >= 400) {
+        throw new FetchError(`HTTP ${response.status} for ${url}`, { url, status: response.status });
+    }
+
+    const entry = toEntry(url, response);
+    if (useCache) writeCache(entry);
+    return { ...entry, fromCache: false };
+}
+
+/**
+ * Whether robots.txt lets us fetch a URL
+ */
+export async function isAllowedByRobots(url) {
+    return (await getRobots(url)).isAllowed(url);
+}
+
+/**
+ * Wait for our turn to hit a URL's host, for requests made outside fetchPage (e.g. a headless browser)
+ */
+export async function waitForTurn(url) {
+    const robots = await getRobots(url);
+    await hostLane(url, robots.crawlDelayMs).acquire();
+}
+
+/**
+ * Parse robots.txt into the rules that apply to our user agent
+ *
+ * @returns {{isAllowed: (url: string) => boolean, crawlDelayMs: number}}
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', length: value.length, pattern: robotsPattern(value) });
+        } else if (field === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+            current.crawlDelay = parseFloat(value);
+        }
+    }
+
+    const specific = groups.filter(g => g.agents.some(a => a !== '*' && agent.includes(a)));
+    const applicable = specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'));
+    const rules = applicable.flatMap(g => g.rules);
+    const crawlDelay = Math.max(0, ...applicable.map(g => g.crawlDelay || 0));
+
+    return {
+        crawlDelayMs: Math.min(crawlDelay * 1000, MAX_WAIT_MS),
+        isAllowed(url) {
+            const { pathname, search } = new URL(url);
+            const target = pathname + search;
+
+            // Longest matching rule wins; Allow wins a tie
+            let best = null;
+            for (const rule of rules) {
+                if (!rule.pattern.test(target)) continue;
+                if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) {
+                    best = rule;
+                }
+            }
+            return best ? best.allow : true;
+        },
+    };
+}
+
+/**
+ * Robots rules for a URL's origin, fetched once per process (and cached on disk)
+ */
+function getRobots(url) {
+    const origin = new URL(url).origin;
+    if (!robotsByOrigin.has(origin)) {
+        robotsByOrigin.set(origin, loadRobots(origin));
+    }
+    return robotsByOrigin.get(origin);
+}
+
+async function loadRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const cached = CACHE_ENABLED ? readCache(robotsUrl) : null;
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < CACHE_TTL_MS) {
+        return robotsFromStatus(cached.status, cached.body);
+    }
+
+    try {
+        const response = await requestWithRetry(robotsUrl, {}, 0);
+        if (CACHE_ENABLED && response.status < 500) writeCache(toEntry(robotsUrl, response));
+        return robotsFromStatus(response.status, response.data);
+    } catch (error) {
+        logger.warn('robots.txt unreachable, skipping host', { origin, error });
+        return parseRobots('User-agent: *\nDisallow: /');
+    }
+}
+
+/**
+ * A missing robots.txt allows everything; a server error means "stay away for now"
+ */
+function robotsFromStatus(status, body) {
+    if (status >= 500) return parseRobots('User-agent: *\nDisallow: /');
+    if (status >= 400) return parseRobots('');
+    return parseRobots(body);
+}
+
+/**
+ * Turn a robots.txt path (with * and $ wildcards) into a prefix regex
+ */
+function robotsPattern(value) {
+    const anchored = value.endsWith('$');
+    const body = (anchored ? value.slice(0, -1) : value)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * The rate-limiter lane shared by every request to a URL's host
+ */
+function hostLane(url, crawlDelayMs) {
+    return getLane(`host:${new URL(url).host}`, { minIntervalMs: Math.max(MIN_INTERVAL_MS, crawlDelayMs) });
+}
+
+/**
+ * GET with per-host throttling and retries on network errors, timeouts, 429 and 5xx
+ */
+async function requestWithRetry(url, headers, crawlDelayMs) {
+    const lane = hostLane(url, crawlDelayMs);
+
+    for (let attempt = 0; ; attempt++) {
+        await lane.acquire();
+
+        let response = null;
+        let networkError = null;
+        try {
+            response = await axios.get(url, {
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                    'Accept-Language': 'en-US,en;q=0.5',
+                    ...headers,
+                },
+                timeout: TIMEOUT_MS,
+                responseType: 'text',
+                transformResponse: data => data,
+                validateStatus: () => true,
+            });
+        } catch (error) {
+            networkError = error;
+        }
+
+        const retryable = networkError || RETRYABLE_STATUSES.has(response.status);
+        if (!retryable) {
+            lane.update(response.headers);
+            return response;
+        }
+        if (attempt >= RETRIES) {
+            if (networkError) throw new FetchError(networkError.message, { url });
+            return response;
+        }
+
+        const backoff = RETRY_DELAY_MS * 2 ** attempt;
+        const delay = Math.min(MAX_WAIT_MS, Math.max(backoff, retryAfterMs(response?.headers) || 0));
+        logger.info('Retrying request', {
+            url,
+            reason: networkError ? networkError.message : `HTTP ${response.status}`,
+            delay_ms: delay,
+        });
+
+        // A 429 or 503 is about the whole host, so hold back every request to it, not just this one
+        if (response && [429, 503].includes(response.status)) {
+            lane.pauseFor(delay, `HTTP ${response.status}`);
+        } else {
+            await sleep(delay);
+        }
+    }
+}
+
+function toEntry(url, response) {
+    return {
+        url,
+        finalUrl: response.request?.res?.responseUrl || url,
+        status: response.status,
+        body: typeof response.data === 'string' ? response.data : String(response.data ?? ''),
+        contentType: response.headers['content-type'] || null,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        fetchedAt: new Date().toISOString(),
+    };
+}
+
+function cacheFile(url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    return path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+function readCache(url) {
+    try {
+        return JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function writeCache(entry) {
+    const file = cacheFile(entry.url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // Write-then-rename so concurrent workers never read a half-written entry
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(entry));
+    fs.renameSync(tmpFile, file);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,171 @@
+/**
+ * Preservation Verifier
+ * Checks that an enhanced article kept the original intact: every original
+ * paragraph, heading, list item and embed must survive unchanged, and the
+ * only new content allowed is inside <mark> tags.
+ */
+
+import * as cheerio from 'cheerio';
+
+const TEXT_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote';
+const MEDIA_SELECTOR = 'img, iframe, video, embed';
+
+// Blocks this similar to a missing original block are reported as "altered"
+const ALTERED_SIMILARITY = 0.6;
+
+/**
+ * Thrown when an enhancement does not preserve the original
+ */
+export class PreservationError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'PreservationError';
+        this.report = report;
+    }
+}
+
+/**
+ * Compare original and enhanced HTML and build a preservation report
+ *
+ * @returns {{
+ *   passed: boolean,
+ *   summary: { textBlocks: {original: number, preserved: number}, media: {original: number, preserved: number}, marked: number },
+ *   missing: Array<{type: string, tag: string, text: string}>,
+ *   altered: Array<{tag: string, original: string, enhanced: string}>,
+ *   unmarkedAdditions: Array<{tag: string, text: string}>
+ * }}
+ */
+export function verifyPreservation(originalHtml, enhancedHtml) {
+    const original = extractBlocks(cheerio.load(originalHtml || ''));
+
+    const $enhanced = cheerio.load(enhancedHtml || '');
+    const marked = $enhanced('mark').length;
+    $enhanced('mark').remove();
+    const enhanced = extractBlocks($enhanced);
+
+    // Match text blocks as multisets so repeated paragraphs are counted correctly
+    const remaining = countBy(enhanced.text.map(b => b.text));
+    const missingText = [];
+    for (const block of original.text) {
+        if (remaining.get(block.text) > 0) {
+            remaining.set(block.text, remaining.get(block.text) - 1);
+        } else {
+            missingText.push(block);
+        }
+    }
+
+    const unmarkedAdditions = [];
+    for (const block of enhanced.text) {
+        if (remaining.get(block.text) > 0) {
+            remaining.set(block.text, remaining.get(block.text) - 1);
+            unmarkedAdditions.push(block);
+        }
+    }
+
+    const remainingMedia = countBy(enhanced.media.map(m => m.key));
+    const missingMedia = [];
+    for (const media of original.media) {
+        if (remainingMedia.get(media.key) > 0) {
+            remainingMedia.set(media.key, remainingMedia.get(media.key) - 1);
+        } else {
+            missingMedia.push(media);
+        }
+    }
+
+    // A missing block with a close unmarked counterpart was rewritten rather than dropped
+    const altered = [];
+    for (const block of missingText) {
+        const match = unmarkedAdditions.find(added => similarity(block.text, added.text) >= ALTERED_SIMILARITY);
+        if (match) {
+            altered.push({ tag: block.tag, original: block.text, enhanced: match.text });
+        }
+    }
+
+    const missing = [
+        ...missingText
+            .filter(block => !altered.some(a => a.original === block.text))
+            .map(block => ({ type: 'text', tag: block.tag, text: block.text })),
+        ...missingMedia.map(media => ({ type: 'media', tag: media.tag, text: media.key })),
+    ];
+
+    return {
+        passed: missing.length === 0 && altered.length === 0 && unmarkedAdditions.length === 0,
+        summary: {
+            textBlocks: { original: original.text.length, preserved: original.text.length - missingText.length },
+            media: { original: original.media.length, preserved: original.media.length - missingMedia.length },
+            marked,
+        },
+        missing,
+        altered,
+        unmarkedAdditions: unmarkedAdditions
+            .filter(block => !altered.some(a => a.enhanced === block.text))
+            .map(block => ({ tag: block.tag, text: block.text })),
+    };
+}
+
+/**
+ * One-line description of a failed report, for logs and errors
+ */
+export function describeReport(report) {
+    if (report.passed) return 'original fully preserved';
+
+    return [
+        report.missing.length && `${report.missing.length} original block(s) missing`,
+        report.altered.length && `${report.altered.length} altered`,
+        report.unmarkedAdditions.length && `${report.unmarkedAdditions.length} unmarked addition(s)`,
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Collect the text blocks and embeds of a document
+ */
+function extractBlocks($) {
+    const text = [];
+    $(TEXT_SELECTOR).each((i, el) => {
+        // Only leaf-level text: a <li> wrapping a <p> is checked through the <p>
+        if ($(el).find(TEXT_SELECTOR).length > 0) return;
+
+        const value = normalizeText($(el).text());
+        if (value) {
+            text.push({ tag: el.tagName, text: value });
+        }
+    });
+
+    const media = [];
+    $(MEDIA_SELECTOR).each((i, el) => {
+        const src = $(el).attr('src') || $(el).find('source').attr('src') || $(el).attr('data-src') || '';
+        media.push({ tag: el.tagName, key: `${el.tagName}:${src.trim()}` });
+    });
+
+    return { text, media };
+}
+
+/**
+ * Normalise whitespace and typographic quotes so formatting noise isn't flagged
+ */
+function normalizeText(text) {
+    return text
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201C\u201D]/g, '"')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Word-set Jaccard similarity
+ */
+function similarity(a, b) {
+    const wordsA = new Set(a.toLowerCase().split(/\W+/).filter(Boolean));
+    const wordsB = new Set(b.toLowerCase().split(/\W+/).filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function countBy(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return counts;
+}
@@ -0,0 +1,150 @@
+/**
+ * Query Builder Service
+ * Derives several search queries from an article instead of searching by
+ * its raw (often clickbait) title: a cleaned title, key phrases from the
+ * headings, named entities from the body, and the gap analysis's missing
+ * keywords. Results from every query are merged with provenance.
+ */
+
+import * as cheerio from 'cheerio';
+import { searchRelatedArticles, normalizeUrl } from './googleSearcher.js';
+import { STOP_WORDS, termFrequencies, tokenize } from './textUtils.js';
+
+const MAX_QUERY_WORDS = 8;
+
+// Title filler that says nothing about the topic
+const TITLE_NOISE = [
+    /\?+$/,
+    /^(?:(?:why|how|what|when|where|who|is|are|can|should|do|does)\s+)+/i,
+    /\b(you|your|we|our|everything|really|actually|ever|need to know|must know|in \d{4})\b/gi,
+    /^\d+\s+/,
+    /[:|–—-]\s*(the )?(ultimate|complete|definitive|quick)?\s*guide.*$/i,
+];
+
+/**
+ * Build search queries for an article
+ *
+ * @param {Object} article - `title` and HTML `content`
+ * @param {Object} [options]
+ * @param {Object} [options.gapAnalysis] - A previous analysis whose `keywords_missing` (up to two) are searched on top
+ * @param {number} [options.maxQueries=4] - Queries from the article itself
+ * @returns {Array<{query: string, source: string}>} Unique queries, most specific first
+ */
+export function buildSearchQueries(article, { gapAnalysis = null, maxQueries = 4 } = {}) {
+    const $ = cheerio.load(article.content || '');
+    const headings = $('h2, h3').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+    const bodyText = $.root().text();
+
+    const seen = new Set();
+    const unique = candidates => candidates
+        .map(c => ({ ...c, query: truncateWords(c.query.replace(/\s+/g, ' ').trim(), MAX_QUERY_WORDS) }))
+        .filter(c => {
+            const key = c.query.toLowerCase();
+            if (!c.query || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+    const fromArticle = unique([
+        { query: cleanTitle(article.title), source: 'title' },
+        ...keyPhrases(headings.join('. '), bodyText, 2).map(query => ({ query, source: 'headings' })),
+        ...extractEntities(bodyText, 2).map(query => ({ query, source: 'entities' })),
+    ]).slice(0, maxQueries);
+
+    const missing = (gapAnalysis?.keywords_missing || []).map(query => ({ query, source: 'keywords_missing' }));
+    return [...fromArticle, ...unique(missing).slice(0, 2)];
+}
+
+/**
+ * Run every query and merge the results round-robin, so each query contributes
+ *
+ * @returns {Promise<Array<Object>>} Search results with `queries`: the queries (and sources) that found them
+ */
+export async function searchWithQueries(queries, count) {
+    const perQuery = [];
+    for (const { query, source } of queries) {
+        const results = await searchRelatedArticles(query, count);
+        perQuery.push(results.map(result => ({ ...result, query, source })));
+    }
+
+    const merged = new Map();
+    const longest = Math.max(0, ...perQuery.map(results => results.length));
+
+    for (let i = 0; i < longest; i++) {
+        for (const results of perQuery) {
+            const result = results[i];
+            if (!result) continue;
+
+            const key = normalizeUrl(result.url);
+            const found = { query: result.query, source: result.source };
+
+            if (merged.has(key)) {
+                merged.get(key).queries.push(found);
+            } else if (merged.size < count) {
+                const { query, source, ...rest } = result;
+                merged.set(key, { ...rest, queries: [found] });
+            }
+        }
+    }
+
+    return [...merged.values()];
+}
+
+/**
+ * Strip question words and clickbait filler from a title
+ */
+export function cleanTitle(title) {
+    let cleaned = title || '';
+    TITLE_NOISE.forEach(pattern => { cleaned = cleaned.replace(pattern, ' '); });
+    cleaned = cleaned.replace(/[^\w\s'&+-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    // Fall back to the original if cleaning removed nearly everything
+    return tokenize(cleaned).length >= 2 ? cleaned : (title || '').replace(/\?+$/, '').trim();
+}
+
+/**
+ * Most frequent two/three-word phrases from `text`, weighted by how often they recur in `context`
+ */
+function keyPhrases(text, context, limit) {
+    const phrases = new Map();
+    const contextLower = context.toLowerCase();
+
+    text.split(/[.!?:;,\n]+/).forEach(sentence => {
+        const words = sentence.toLowerCase().split(/[^a-z0-9'&+-]+/).filter(Boolean);
+        for (let size = 2; size <= 3; size++) {
+            for (let i = 0; i + size <= words.length; i++) {
+                const gram = words.slice(i, i + size);
+                if (STOP_WORDS.has(gram[0]) || STOP_WORDS.has(gram[size - 1])) continue;
+                if (gram.some(word => word.length < 3)) continue;
+
+                const phrase = gram.join(' ');
+                const occurrences = contextLower.split(phrase).length - 1;
+                phrases.set(phrase, (phrases.get(phrase) || 0) + 1 + occurrences * size);
+            }
+        }
+    });
+
+    return [...phrases.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([phrase]) => phrase)
+        .filter((phrase, i, all) => !all.slice(0, i).some(prev => prev.includes(phrase) || phrase.includes(prev)))
+        .slice(0, limit);
+}
+
+/**
+ * Capitalised multi-word names (products, companies, standards) mentioned more than once
+ */
+function extractEntities(text, limit) {
+    const matches = text.match(/(?<![.!?]\s)\b[A-Z][a-zA-Z0-9&]+(?:\s+[A-Z][a-zA-Z0-9&]+){1,3}\b/g) || [];
+    const counts = termFrequencies(matches.map(m => m.trim()));
+
+    return [...counts.entries()]
+        .filter(([entity, count]) => count >= 2 && !STOP_WORDS.has(entity.split(' ')[0].toLowerCase()))
+        .sort((a, b) => b[1] - a[1])
+        .map(([entity]) => entity)
+        .slice(0, limit);
+}
+
+function truncateWords(text, max) {
+    return text.split(' ').slice(0, max).join(' ');
+}
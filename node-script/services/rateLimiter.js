@@ -0,0 +1,253 @@
+/**
+ * Rate Limiter Service
+ * Paces calls to every rate-limited resource on its own lane: the LLM
+ * provider, each search provider and each scraped host. A lane spaces calls
+ * by a minimum interval and optional per-minute request/token quotas, and
+ * pauses for everyone sharing it when a response says the quota is used up
+ * (429, Retry-After, x-ratelimit-* / RateLimit-* headers). Concurrent
+ * articles therefore share one view of each quota instead of each sleeping
+ * a fixed time.
+ *
+ * Config:
+ * - LLM_RPM / LLM_TPM: LLM requests / prompt tokens per minute (default 30 / unlimited)
+ * - SEARCH_RATE_LIMITS: requests per minute per search provider, e.g. "brave:60,duckduckgo:12"
+ * - RATE_LIMIT_RETRIES: 429 responses retried per call (default 3)
+ * - RATE_LIMIT_MAX_WAIT_MS: longest pause worth waiting out (default 120000)
+ */
+
+import { logger } from './logger.js';
+
+const WINDOW_MS = 60000;
+const RETRIES = parseInt(process.env.RATE_LIMIT_RETRIES ?? '3', 10);
+const MAX_WAIT_MS = parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS, 10) || 120000;
+const BACKOFF_MS = 2000;
+
+// Pauses shorter than this are routine pacing, not worth a log line
+const LOG_PAUSE_MS = 5000;
+
+const lanes = new Map();
+
+export class RateLimitError extends Error {
+    constructor(message, { lane, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.lane = lane;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Get (or create) the lane for a resource, e.g. "llm:groq", "search:brave", "host:example.com"
+ *
+ * @param {string} key
+ * @param {Object} [limits] - Applied when given; a later call can tighten or relax them
+ * @param {number} [limits.minIntervalMs=0] - Gap between the start of two calls
+ * @param {number} [limits.requestsPerMinute]
+ * @param {number} [limits.tokensPerMinute]
+ */
+export function getLane(key, limits = {}) {
+    if (!lanes.has(key)) {
+        lanes.set(key, createLane(key));
+    }
+
+    const lane = lanes.get(key);
+    lane.configure(limits);
+    return lane;
+}
+
+/**
+ * Run `fn` on a lane: wait for a slot, and when it fails with a 429 pause the
+ * lane for as long as the server asks and try again
+ *
+ * @param {string} key - Lane key
+ * @param {(lane: Object) => Promise<*>} fn - Receives the lane so it can report response headers
+ * @param {Object} [options]
+ * @param {Object} [options.limits] - See getLane()
+ * @param {number} [options.tokens=0] - Tokens this call counts against tokensPerMinute
+ * @throws {RateLimitError} When the server asks for a longer pause than RATE_LIMIT_MAX_WAIT_MS
+ */
+export async function schedule(key, fn, { limits, tokens = 0 } = {}) {
+    const lane = getLane(key, limits);
+
+    for (let attempt = 0; ; attempt++) {
+        await lane.acquire(tokens);
+
+        try {
+            return await fn(lane);
+        } catch (error) {
+            const status = error.status ?? error.response?.status;
+            if (status !== 429) throw error;
+
+            const headers = error.headers || error.response?.headers;
+            const waitMs = retryAfterMs(headers) ?? resetMs(headers) ?? BACKOFF_MS * 2 ** attempt;
+
+            if (waitMs > MAX_WAIT_MS) {
+                throw new RateLimitError(`${key} is rate limited for another ${Math.ceil(waitMs / 1000)}s`, {
+                    lane: key,
+                    retryAfterMs: waitMs,
+                });
+            }
+            if (attempt >= RETRIES) throw error;
+
+            lane.pauseFor(waitMs, 'HTTP 429');
+        }
+    }
+}
+
+/**
+ * Retry-After as milliseconds (it may be seconds or an HTTP date)
+ */
+export function retryAfterMs(headers) {
+    const header = headerValue(headers, 'retry-after');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Current state of every lane, for logs and debugging
+ */
+export function describeLanes() {
+    return [...lanes.values()].map(lane => lane.describe());
+}
+
+function createLane(key) {
+    const limits = { minIntervalMs: 0, requestsPerMinute: null, tokensPerMinute: null };
+    // Calls started in the last minute: { at, tokens }
+    const recent = [];
+    let nextSlot = 0;
+    let pausedUntil = 0;
+
+    // Earliest time at or after `from` when one more call fits the per-minute quotas
+    const windowSlot = (from, tokens) => {
+        let at = from;
+        for (;;) {
+            const inWindow = recent.filter(call => call.at > at - WINDOW_MS);
+            const usedTokens = inWindow.reduce((sum, call) => sum + call.tokens, 0);
+            const overRequests = limits.requestsPerMinute && inWindow.length >= limits.requestsPerMinute;
+            // A call bigger than the whole token quota still runs, alone in its window
+            const overTokens = limits.tokensPerMinute && inWindow.length > 0
+                && usedTokens + tokens > limits.tokensPerMinute;
+
+            if (!overRequests && !overTokens) return at;
+            at = inWindow[0].at + WINDOW_MS;
+        }
+    };
+
+    return {
+        key,
+
+        configure({ minIntervalMs, requestsPerMinute, tokensPerMinute } = {}) {
+            if (minIntervalMs !== undefined) limits.minIntervalMs = minIntervalMs;
+            if (requestsPerMinute !== undefined) limits.requestsPerMinute = requestsPerMinute || null;
+            if (tokensPerMinute !== undefined) limits.tokensPerMinute = tokensPerMinute || null;
+        },
+
+        /**
+         * Reserve the next slot on this lane and wait for it
+         */
+        async acquire(tokens = 0) {
+            for (;;) {
+                const now = Date.now();
+                const slot = windowSlot(Math.max(now, nextSlot, pausedUntil), tokens);
+                const call = { at: slot, tokens };
+
+                nextSlot = slot + limits.minIntervalMs;
+                recent.push(call);
+                while (recent.length > 0 && recent[0].at <= slot - WINDOW_MS) recent.shift();
+
+                if (slot > now) await sleep(slot - now);
+                if (Date.now() >= pausedUntil) return;
+
+                // A 429 elsewhere on the lane paused it while we slept: queue again behind the pause.
+                // Another caller may already have aged our entry out of the window.
+                const index = recent.indexOf(call);
+                if (index !== -1) recent.splice(index, 1);
+            }
+        },
+
+        /**
+         * Stop everyone on this lane for `ms`
+         */
+        pauseFor(ms, reason) {
+            const until = Date.now() + Math.min(ms, MAX_WAIT_MS);
+            if (until <= pausedUntil) return;
+
+            pausedUntil = until;
+            const log = ms >= LOG_PAUSE_MS ? logger.info : logger.debug;
+            log('Rate limit reached, pausing', { lane: key, wait_ms: Math.round(ms), reason });
+        },
+
+        /**
+         * Read rate-limit headers from a response and pause if the quota is spent
+         */
+        update(headers) {
+            const waitMs = retryAfterMs(headers) ?? resetMs(headers);
+            if (waitMs) this.pauseFor(waitMs, 'quota spent');
+        },
+
+        describe() {
+            return {
+                lane: key,
+                ...limits,
+                calls_last_minute: recent.filter(call => call.at > Date.now() - WINDOW_MS).length,
+                paused_ms: Math.max(0, pausedUntil - Date.now()),
+            };
+        },
+    };
+}
+
+/**
+ * Time until an exhausted quota resets, from x-ratelimit-* (Groq, OpenAI, GitHub)
+ * or IETF RateLimit-* headers; null while requests remain
+ */
+function resetMs(headers) {
+    const quotas = [
+        ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+        ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens'],
+        ['x-ratelimit-remaining', 'x-ratelimit-reset'],
+        ['ratelimit-remaining', 'ratelimit-reset'],
+    ];
+
+    const waits = quotas
+        .filter(([remaining]) => headerValue(headers, remaining) !== null && Number(headerValue(headers, remaining)) <= 0)
+        .map(([, reset]) => parseReset(headerValue(headers, reset)))
+        .filter(ms => ms !== null);
+
+    return waits.length > 0 ? Math.max(...waits) : null;
+}
+
+/**
+ * Reset values come as durations ("1m30.5s", "250ms"), seconds, or epoch seconds
+ */
+function parseReset(value) {
+    if (!value) return null;
+
+    const number = Number(value);
+    if (!Number.isNaN(number)) {
+        // Epoch seconds rather than a delta
+        return number > 1e9 ? Math.max(0, number * 1000 - Date.now()) : number * 1000;
+    }
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...String(value).matchAll(/([\d.]+)(ms|h|m|s)/g)];
+    if (parts.length === 0) return null;
+    return parts.reduce((sum, [, amount, unit]) => sum + parseFloat(amount) * units[unit], 0);
+}
+
+/**
+ * Header lookup for plain objects (axios, SDK errors) and fetch Headers
+ */
+function headerValue(headers, name) {
+    if (!headers) return null;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,137 @@
+/**
+ * Run Report Service
+ * Collects what a batch run did to each article (outcome, score, competitors,
+ * stage timings, LLM usage, failure reason) and writes it as a JSON file for auditing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_REPORT_DIR = process.env.REPORT_DIR || path.join(__dirname, '..', '.reports');
+
+export const OUTCOME = {
+    ENHANCED: 'enhanced',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+};
+
+/**
+ * Start a report for one batch run
+ *
+ * @param {Object} [config]
+ * @param {Object} [config.options] - Batch options, recorded as-is
+ * @param {string} [config.file] - Defaults to <REPORT_DIR>/batch-<timestamp>.json
+ */
+export function createRunReport({ options = {}, file = null } = {}) {
+    const startedAt = new Date();
+    const reportFile = file || path.join(DEFAULT_REPORT_DIR, `batch-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+    const articles = new Map();
+
+    const entry = (article) => {
+        if (!articles.has(article.id)) {
+            articles.set(article.id, {
+                id: article.id,
+                title: article.title,
+                correlation_id: null,
+                outcome: null,
+                started_at: null,
+                finished_at: null,
+                duration_ms: null,
+                stages: {},
+                score: null,
+                new_article_id: null,
+                competitor_urls: [],
+                usage: null,
+                failure: null,
+            });
+        }
+        return articles.get(article.id);
+    };
+
+    return {
+        file: reportFile,
+
+        startArticle(article, correlationId) {
+            Object.assign(entry(article), { correlation_id: correlationId, started_at: new Date().toISOString() });
+        },
+
+        recordStage(article, stage, { durationMs, cached }) {
+            entry(article).stages[stage] = { duration_ms: durationMs, cached };
+        },
+
+        /**
+         * @param {Object} article
+         * @param {Object} result
+         * @param {string} result.outcome - One of OUTCOME
+         * @param {number} [result.score]
+         * @param {number} [result.newArticleId]
+         * @param {string[]} [result.competitorUrls]
+         * @param {Object} [result.usage] - Usage meter totals for the article
+         * @param {Error} [result.error]
+         * @param {string} [result.reason] - Why an article was skipped
+         */
+        finishArticle(article, { outcome, score = null, newArticleId = null, competitorUrls = [], usage = null, error = null, reason = null }) {
+            const item = entry(article);
+            const finishedAt = new Date();
+
+            Object.assign(item, {
+                outcome,
+                finished_at: finishedAt.toISOString(),
+                duration_ms: item.started_at ? finishedAt - Date.parse(item.started_at) : null,
+                score,
+                new_article_id: newArticleId,
+                competitor_urls: competitorUrls,
+                usage,
+                failure: error ? { stage: error.stage || null, message: error.message } : null,
+                ...(reason && { reason }),
+            });
+        },
+
+        /**
+         * Totals plus every article, in the order they were recorded
+         */
+        toJSON() {
+            const items = [...articles.values()];
+            const count = outcome => items.filter(item => item.outcome === outcome).length;
+
+            return {
+                started_at: startedAt.toISOString(),
+                finished_at: new Date().toISOString(),
+                duration_ms: Date.now() - startedAt,
+                options,
+                totals: {
+                    enhanced: count(OUTCOME.ENHANCED),
+                    failed: count(OUTCOME.FAILED),
+                    skipped: count(OUTCOME.SKIPPED),
+                    usage: sumUsage(items.map(item => item.usage).filter(Boolean)),
+                },
+                articles: items,
+            };
+        },
+
+        /**
+         * Write the report (write-then-rename, like the job queue)
+         *
+         * @returns {string} The report file path
+         */
+        write() {
+            fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+            const tmpFile = `${reportFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.toJSON(), null, 2));
+            fs.renameSync(tmpFile, reportFile);
+            return reportFile;
+        },
+    };
+}
+
+function sumUsage(usages) {
+    const totals = { calls: 0, estimated_calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+    usages.forEach(usage => {
+        Object.keys(totals).forEach(key => { totals[key] += usage[key] || 0; });
+    });
+    totals.cost_usd = Math.round(totals.cost_usd * 1e6) / 1e6;
+    return totals;
+}
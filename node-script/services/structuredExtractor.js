@@ -0,0 +1,231 @@
+/**
+ * Structured Extractor Service
+ * Turns article HTML into a structured document (heading outline, sections
+ * with their paragraphs/lists/tables, FAQ, statistics, outbound links) so
+ * competitors can be compared outline by outline instead of as a text blob.
+ */
+
+import * as cheerio from 'cheerio';
+
+const WORDS_PER_MINUTE = 200;
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+const BLOCKS = `${HEADINGS}, p, ul, ol, table, details, dl, blockquote`;
+
+// Percentages, money, multipliers and large quantities ("3x", "$2.5M", "40%", "1.2 million")
+const STATISTIC_PATTERN = /(?:[$€£]\s?\d[\d,.]*\s?(?:[kmb]n?|million|billion|thousand)?\b|\b\d[\d,.]*\s?(?:%|percent\b|x\b|times\b|million\b|billion\b|thousand\b))/gi;
+
+/**
+ * @typedef {Object} StructuredDocument
+ * @property {Array<{level: number, text: string, children: Array}>} outline - Heading tree
+ * @property {Array<{heading: ?string, level: number, paragraphs: string[], lists: string[][],
+ *   tables: Array<{headers: string[], rows: string[][]}>, wordCount: number}>} sections
+ * @property {Array<{question: string, answer: string}>} faq
+ * @property {Array<{value: string, sentence: string, section: ?string}>} statistics
+ * @property {Array<{url: string, text: string}>} links - Links to other sites
+ * @property {number} wordCount
+ * @property {number} readingTimeMinutes
+ */
+
+/**
+ * Extract the structure of an article's main content
+ *
+ * @param {string} html - Main content HTML (e.g. Readability output)
+ * @param {string} [baseUrl] - Page URL, to resolve relative links and tell outbound ones apart
+ * @returns {StructuredDocument}
+ */
+export function extractStructure(html, baseUrl = null) {
+    const $ = cheerio.load(html || '', null, false);
+    $('script, style, noscript').remove();
+
+    const sections = [];
+    let current = newSection(null, 0);
+
+    // Only outermost blocks; lists/tables inside a <details> belong to the FAQ entry
+    $(BLOCKS).filter((i, el) => $(el).parents(BLOCKS).length === 0).each((i, el) => {
+        const $el = $(el);
+        const tag = el.tagName;
+
+        if (/^h[1-6]$/.test(tag)) {
+            if (hasContent(current)) sections.push(current);
+            current = newSection(text($el), Number(tag[1]));
+        } else if (tag === 'ul' || tag === 'ol') {
+            const items = $el.children('li').map((j, li) => text($(li))).get().filter(Boolean);
+            if (items.length > 0) current.lists.push(items);
+        } else if (tag === 'table') {
+            current.tables.push(extractTable($, $el));
+        } else if (tag === 'p' || tag === 'blockquote') {
+            const paragraph = text($el);
+            if (paragraph) current.paragraphs.push(paragraph);
+        }
+    });
+    if (hasContent(current)) sections.push(current);
+
+    sections.forEach(section => {
+        section.wordCount = countWords([
+            section.heading || '',
+            ...section.paragraphs,
+            ...section.lists.flat(),
+            ...section.tables.flatMap(t => [...t.headers, ...t.rows.flat()]),
+        ].join(' '));
+    });
+
+    const wordCount = countWords($.root().text());
+
+    return {
+        outline: buildOutline(sections.filter(s => s.heading)),
+        sections,
+        faq: extractFaq($, sections),
+        statistics: extractStatistics(sections),
+        links: extractOutboundLinks($, baseUrl),
+        wordCount,
+        readingTimeMinutes: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+    };
+}
+
+/**
+ * Compact, prompt-ready outline: headings with word counts, then FAQ and statistics
+ *
+ * @param {StructuredDocument} structure
+ * @param {number} [charBudget=1500]
+ */
+export function describeStructure(structure, charBudget = 1500) {
+    if (!structure) return '';
+
+    const lines = structure.sections
+        .filter(s => s.heading)
+        .map(s => `${'  '.repeat(Math.max(0, s.level - 2))}- ${s.heading} (${s.wordCount} words)`);
+
+    if (structure.faq.length > 0) {
+        lines.push(`FAQ: ${structure.faq.map(f => f.question).join(' | ')}`);
+    }
+    if (structure.statistics.length > 0) {
+        lines.push(`Statistics: ${structure.statistics.slice(0, 5).map(s => s.sentence).join(' | ')}`);
+    }
+    lines.push(`Total: ${structure.wordCount} words, ${structure.sections.reduce((n, s) => n + s.tables.length, 0)} tables`);
+
+    const described = lines.join('\n');
+    return described.length > charBudget ? `${described.substring(0, charBudget)}…` : described;
+}
+
+function newSection(heading, level) {
+    return { heading, level, paragraphs: [], lists: [], tables: [] };
+}
+
+function hasContent(section) {
+    return section.heading || section.paragraphs.length || section.lists.length || section.tables.length;
+}
+
+/**
+ * Nest flat sections into a heading tree by level
+ */
+function buildOutline(sections) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    sections.forEach(section => {
+        const node = { level: section.level, text: section.heading, children: [] };
+        while (stack.length > 1 && stack[stack.length - 1].level >= node.level) stack.pop();
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+
+    return root.children;
+}
+
+function extractTable($, $table) {
+    const rows = $table.find('tr').map((i, tr) => [
+        $(tr).children('th, td').map((j, cell) => text($(cell))).get(),
+    ]).get();
+
+    const hasHeaderRow = $table.find('tr').first().children('th').length > 0;
+    return {
+        headers: hasHeaderRow ? rows[0] : [],
+        rows: hasHeaderRow ? rows.slice(1) : rows,
+    };
+}
+
+/**
+ * Question/answer pairs from <details>, definition lists, and question headings
+ */
+function extractFaq($, sections) {
+    const faq = [];
+
+    $('details').each((i, el) => {
+        const $summary = $(el).children('summary');
+        const question = text($summary);
+        $summary.remove();
+        if (question) faq.push({ question, answer: text($(el)) });
+    });
+
+    $('dl').each((i, el) => {
+        $(el).children('dt').each((j, dt) => {
+            const question = text($(dt));
+            if (question.endsWith('?')) faq.push({ question, answer: text($(dt).next('dd')) });
+        });
+    });
+
+    sections
+        .filter(s => s.heading?.endsWith('?') && s.paragraphs.length > 0)
+        .forEach(s => faq.push({ question: s.heading, answer: s.paragraphs.join(' ') }));
+
+    return faq;
+}
+
+/**
+ * Sentences quoting numbers, tagged with the section they appear in
+ */
+function extractStatistics(sections) {
+    const statistics = [];
+
+    sections.forEach(section => {
+        [...section.paragraphs, ...section.lists.flat()].forEach(block => {
+            block.split(/(?<=[.!?])\s+/).forEach(sentence => {
+                const values = sentence.match(STATISTIC_PATTERN);
+                if (values) {
+                    statistics.push({ value: values[0].trim(), sentence, section: section.heading });
+                }
+            });
+        });
+    });
+
+    return statistics;
+}
+
+function extractOutboundLinks($, baseUrl) {
+    const baseHost = hostOf(baseUrl);
+    const seen = new Set();
+    const links = [];
+
+    $('a[href]').each((i, el) => {
+        let url;
+        try {
+            url = new URL($(el).attr('href'), baseUrl || undefined).href;
+        } catch {
+            return;
+        }
+
+        const host = hostOf(url);
+        if (!/^https?:/.test(url) || !host || host === baseHost || seen.has(url)) return;
+
+        seen.add(url);
+        links.push({ url, text: text($(el)) });
+    });
+
+    return links;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+function text($el) {
+    return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function countWords(value) {
+    return (value || '').split(/\s+/).filter(Boolean).length;
+}
@@ -0,0 +1,161 @@
+/**
+ * Tag Classifier Service
+ * Classifies an article into the managed taxonomy (services/tagTaxonomy.js):
+ * keyword rules always run, and with TAGGER_LLM=on the model labels it too.
+ * Tags both agree on come first, then rule matches by score, then the model's.
+ */
+
+import { complete } from './llmProvider.js';
+import { parseModelJson } from './gapAnalysisSchema.js';
+import { logger } from './logger.js';
+import { TAG_TAXONOMY, findTag } from './tagTaxonomy.js';
+import { stripTags } from './textUtils.js';
+
+const DEFAULT_OPTIONS = {
+    maxTags: 4,
+    // A title mention alone is enough; the body needs a few
+    minScore: 3,
+};
+
+// Weight of a keyword match by where it is found
+const WEIGHTS = { title: 3, heading: 2, body: 1 };
+
+// Repeated body mentions stop counting after this many, so one long section can't swamp the rest
+const MAX_BODY_HITS = 5;
+
+/**
+ * @typedef {Object} ArticleTag
+ * @property {string} slug
+ * @property {string} name
+ * @property {string} description
+ * @property {'rules'|'llm'} source - Rules when the keyword rules matched it
+ * @property {number} score - Keyword rule score (below minScore for a tag only the model chose)
+ */
+
+/**
+ * Classify an article into taxonomy tags
+ *
+ * @param {{title: string, content: string, excerpt?: string}} article
+ * @param {Object} [options]
+ * @param {number} [options.maxTags=4]
+ * @param {number} [options.minScore=3]
+ * @param {boolean} [options.llm] - Ask the model as well (default: TAGGER_LLM=on)
+ * @returns {Promise<ArticleTag[]>}
+ */
+export async function classifyArticle(article, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, llm: process.env.TAGGER_LLM === 'on', ...options };
+    const scores = scoreTags(article);
+
+    const ruleSlugs = [...scores.entries()]
+        .filter(([, score]) => score >= settings.minScore)
+        .sort((a, b) => b[1] - a[1])
+        .map(([slug]) => slug);
+
+    let llmSlugs = [];
+    if (settings.llm) {
+        try {
+            llmSlugs = await labelWithLlm(article, ruleSlugs);
+        } catch (error) {
+            // Tagging never holds an article back; the rules still apply
+            logger.warn('LLM tagging failed, using keyword rules only', { error });
+        }
+    }
+
+    const ordered = [
+        ...ruleSlugs.filter(slug => llmSlugs.includes(slug)),
+        ...ruleSlugs.filter(slug => !llmSlugs.includes(slug)),
+        ...llmSlugs.filter(slug => !ruleSlugs.includes(slug)),
+    ].slice(0, settings.maxTags);
+
+    const tags = ordered.map(slug => {
+        const { name, description } = findTag(slug);
+        return {
+            slug,
+            name,
+            description,
+            source: ruleSlugs.includes(slug) ? 'rules' : 'llm',
+            score: scores.get(slug),
+        };
+    });
+
+    logger.info('Article classified', {
+        tags: tags.map(tag => tag.slug),
+        rules: ruleSlugs.length,
+        ...(settings.llm && { llm: llmSlugs.length }),
+    });
+
+    return tags;
+}
+
+/**
+ * Keyword rule score for every taxonomy tag
+ *
+ * @returns {Map<string, number>}
+ */
+export function scoreTags({ title = '', content = '', excerpt = '' }) {
+    // Competitor titles in the appended references would skew the body
+    const html = (content || '').split('<section class="related-articles-section"')[0];
+    const headings = [...html.matchAll(/<h[1-4][^>]*>([\s\S]*?)<\/h[1-4]>/gi)].map(match => stripTags(match[1]));
+
+    const fields = {
+        title: (title || '').toLowerCase(),
+        heading: headings.join(' \n ').toLowerCase(),
+        body: `${excerpt || ''} ${stripTags(html)}`.toLowerCase(),
+    };
+
+    return new Map(TAG_TAXONOMY.map(tag => {
+        const score = tag.keywords.reduce((total, keyword) => {
+            const pattern = keywordPattern(keyword);
+            return total
+                + countMatches(fields.title, pattern) * WEIGHTS.title
+                + countMatches(fields.heading, pattern) * WEIGHTS.heading
+                + Math.min(countMatches(fields.body, pattern), MAX_BODY_HITS) * WEIGHTS.body;
+        }, 0);
+        return [tag.slug, score];
+    }));
+}
+
+/**
+ * Ask the model which taxonomy tags fit; anything outside the taxonomy is dropped
+ */
+async function labelWithLlm(article, ruleSlugs) {
+    const taxonomy = TAG_TAXONOMY.map(tag => `- ${tag.slug}: ${tag.name} (${tag.description})`).join('\n');
+
+    const prompt = `Classify this blog article into the tags below. Pick the 1-3 tags that
+describe what the article is mainly about; skip tags it only mentions in passing.
+
+## Tags
+${taxonomy}
+
+## Article
+Title: ${article.title}
+${article.excerpt ? `Excerpt: ${article.excerpt}\n` : ''}Text:
+${stripTags(article.content).substring(0, 3000)}
+
+Keyword matching suggested: ${ruleSlugs.join(', ') || 'none'}
+
+Return ONLY a JSON object like {"tags": ["slug", "slug"]}, using slugs from the list above.`;
+
+    const completion = await complete('tagging', [{ role: 'user', content: prompt }], {
+        vars: { title: article.title },
+    });
+
+    const { tags } = parseModelJson(completion.content);
+    if (!Array.isArray(tags)) {
+        throw new Error('Tagging response has no "tags" array');
+    }
+
+    return [...new Set(tags.map(String).filter(slug => findTag(slug)))];
+}
+
+/**
+ * Whole-word (or whole-phrase) pattern for a keyword
+ */
+function keywordPattern(keyword) {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'g');
+}
+
+function countMatches(text, pattern) {
+    return text.match(pattern)?.length ?? 0;
+}
@@ -0,0 +1,79 @@
+/**
+ * Tag Taxonomy
+ * The managed list of tags articles are classified into. Only these tags are
+ * ever saved; the API creates each one (by slug) the first time it is used.
+ *
+ * Keywords are matched as whole words or phrases, case-insensitively, by the
+ * rule classifier (services/tagClassifier.js). Add a tag here, then run
+ * `beyondchats tag --all` to classify existing articles.
+ */
+
+export const TAG_TAXONOMY = [
+    {
+        slug: 'ai-chatbots',
+        name: 'AI Chatbots',
+        description: 'Building, choosing and running AI chatbots',
+        keywords: ['chatbot', 'chatbots', 'chat bot', 'bot builder', 'gpt', 'chatgpt'],
+    },
+    {
+        slug: 'conversational-ai',
+        name: 'Conversational AI',
+        description: 'Language models, NLP and how machines hold a conversation',
+        keywords: ['conversational ai', 'natural language processing', 'nlp', 'large language model', 'llm', 'generative ai', 'machine learning'],
+    },
+    {
+        slug: 'customer-support',
+        name: 'Customer Support',
+        description: 'Help desks, support teams and answering customer questions',
+        keywords: ['customer support', 'customer service', 'support team', 'help desk', 'helpdesk', 'support tickets', 'live chat', 'agents'],
+    },
+    {
+        slug: 'customer-experience',
+        name: 'Customer Experience',
+        description: 'Satisfaction, engagement and the journey customers take',
+        keywords: ['customer experience', 'customer satisfaction', 'customer engagement', 'customer journey', 'personalization', 'personalisation'],
+    },
+    {
+        slug: 'lead-generation',
+        name: 'Lead Generation',
+        description: 'Capturing, qualifying and converting leads',
+        keywords: ['lead generation', 'leads', 'lead qualification', 'conversion rate', 'conversions', 'sales funnel', 'prospects'],
+    },
+    {
+        slug: 'virtual-assistants',
+        name: 'Virtual Assistants',
+        description: 'AI assistants that act on behalf of people and businesses',
+        keywords: ['virtual assistant', 'virtual assistants', 'ai assistant', 'ai agent', 'ai agents', 'voice assistant'],
+    },
+    {
+        slug: 'healthcare',
+        name: 'Healthcare',
+        description: 'Chatbots and AI in clinics, hospitals and patient care',
+        keywords: ['healthcare', 'health care', 'patients', 'patient', 'clinic', 'clinics', 'hospital', 'medical', 'doctors'],
+    },
+    {
+        slug: 'e-commerce',
+        name: 'E-commerce',
+        description: 'Online stores, shopping and order support',
+        keywords: ['e-commerce', 'ecommerce', 'online store', 'online shopping', 'shopify', 'cart', 'orders', 'retail'],
+    },
+    {
+        slug: 'small-business',
+        name: 'Small Business',
+        description: 'Automation and growth for small teams and startups',
+        keywords: ['small business', 'small businesses', 'smb', 'smbs', 'startup', 'startups', 'entrepreneurs'],
+    },
+    {
+        slug: 'seo',
+        name: 'SEO',
+        description: 'Search rankings, content and organic traffic',
+        keywords: ['seo', 'search engine optimization', 'search rankings', 'organic traffic', 'google ranking', 'keywords'],
+    },
+];
+
+/**
+ * Look up a taxonomy tag by slug
+ */
+export function findTag(slug) {
+    return TAG_TAXONOMY.find(tag => tag.slug === slug) || null;
+}
@@ -0,0 +1,74 @@
+/**
+ * Text Utilities
+ * Tokenising and term statistics shared by the chunker, ranker and query builder
+ */
+
+export const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'that', 'this', 'from',
+    'they', 'have', 'has', 'was', 'were', 'will', 'can', 'our', 'their', 'what', 'when',
+    'which', 'who', 'how', 'why', 'about', 'into', 'more', 'also', 'than', 'then', 'them',
+    'its', 'it\'s', 'all', 'any', 'just', 'like', 'there', 'these', 'those', 'been', 'being',
+    'does', 'did', 'doing', 'should', 'could', 'would', 'may', 'might', 'must', 'here',
+    'out', 'over', 'under', 'very', 'most', 'some', 'such', 'only', 'own', 'same', 'each',
+    'other', 'get', 'got', 'make', 'made', 'one', 'two', 'use', 'using', 'used', 'way',
+]);
+
+/**
+ * Remove tags and collapse whitespace
+ */
+export function stripTags(html) {
+    return (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lower-case content words (3+ chars, no stop words)
+ */
+export function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9']+/)
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Term frequency map
+ */
+export function termFrequencies(tokens) {
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+}
+
+/**
+ * TF-IDF vectors for a set of documents (arrays of tokens)
+ */
+export function tfidfVectors(documents) {
+    const documentFrequency = new Map();
+    documents.forEach(tokens => {
+        new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+    });
+
+    return documents.map(tokens => {
+        const vector = new Map();
+        termFrequencies(tokens).forEach((count, token) => {
+            const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(token))) + 1;
+            vector.set(token, (count / tokens.length) * idf);
+        });
+        return vector;
+    });
+}
+
+/**
+ * Cosine similarity of two sparse vectors
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    a.forEach((value, key) => {
+        if (b.has(key)) dot += value * b.get(key);
+    });
+
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator === 0 ? 0 : dot / denominator;
+}
@@ -0,0 +1,239 @@
+/**
+ * Usage Tracker Service
+ * Accounts for the tokens and cost of every LLM call: per call (logged),
+ * per article and per batch (usage meters), and per UTC day (a ledger on
+ * disk, so the daily budget holds across runs). Budget caps stop work
+ * before a call that would go over them.
+ *
+ * Config:
+ * - LLM_DAILY_TOKEN_BUDGET / LLM_DAILY_COST_BUDGET: daily caps (tokens / USD)
+ * - LLM_PRICING: JSON of USD per million tokens by model, e.g. {"my-model": {"input": 0.5, "output": 1.5}}
+ * - USAGE_DIR: where daily ledgers are kept (default node-script/.usage)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { estimateTokens } from './articleChunker.js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE_DIR = process.env.USAGE_DIR || path.join(__dirname, '..', '.usage');
+
+// USD per million tokens (Groq on-demand list prices)
+const DEFAULT_PRICING = {
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'llama3-70b-8192': { input: 0.59, output: 0.79 },
+    'llama3-8b-8192': { input: 0.05, output: 0.08 },
+    'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+};
+
+const meterStore = new AsyncLocalStorage();
+const unpricedModels = new Set();
+
+export class BudgetExceededError extends Error {
+    constructor(message, { limit, used, scope }) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.limit = limit;
+        this.used = used;
+        this.scope = scope;
+    }
+}
+
+/**
+ * USD per million input/output tokens for a model (0 for stub and unknown models)
+ */
+export function getPricing(model) {
+    const pricing = { ...DEFAULT_PRICING, ...parsePricing(process.env.LLM_PRICING) };
+    return pricing[model] || { input: 0, output: 0, unknown: !String(model).startsWith('stub:') };
+}
+
+/**
+ * A running total of usage, optionally with its own caps
+ *
+ * @param {Object} [limits]
+ * @param {number} [limits.tokens]
+ * @param {number} [limits.cost] - USD
+ */
+export function createUsageMeter(limits = {}) {
+    const totals = emptyTotals();
+
+    return {
+        limits,
+        add(record) {
+            addTo(totals, record);
+        },
+        totals() {
+            return { ...totals, cost_usd: roundCost(totals.cost_usd) };
+        },
+    };
+}
+
+/**
+ * Run `fn` with a meter collecting every LLM call made inside it (meters nest)
+ */
+export function withUsageMeter(meter, fn) {
+    return meterStore.run([...(meterStore.getStore() || []), meter], fn);
+}
+
+/**
+ * Account for one completed call
+ *
+ * @param {Object} call
+ * @param {string} call.model
+ * @param {Array<{content: string}>} call.messages - To estimate prompt tokens if the provider gave no usage
+ * @param {string} call.content - To estimate completion tokens if the provider gave no usage
+ * @param {?{prompt_tokens: number, completion_tokens: number}} call.usage - As reported by the provider
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, cost_usd: number, estimated: boolean}}
+ */
+export function recordUsage({ model, messages, content, usage }) {
+    const estimated = !usage || usage.prompt_tokens === undefined;
+    const promptTokens = estimated ? estimatePromptTokens(messages) : usage.prompt_tokens;
+    const completionTokens = estimated ? estimateTokens(content) : (usage.completion_tokens || 0);
+
+    const pricing = getPricing(model);
+    if (pricing.unknown && !unpricedModels.has(model)) {
+        unpricedModels.add(model);
+        logger.warn('No pricing for model, counting its cost as $0 (set LLM_PRICING)', { model });
+    }
+
+    const record = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        cost_usd: (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6,
+        estimated,
+    };
+
+    (meterStore.getStore() || []).forEach(meter => meter.add(record));
+
+    const ledger = readLedger();
+    addTo(ledger, record);
+    writeLedger(ledger);
+
+    return { ...record, cost_usd: roundCost(record.cost_usd) };
+}
+
+/**
+ * Throw before a call if it could take today's usage, or any active meter, over its cap.
+ * The call is projected at its full completion allowance, since the model may use all of it.
+ *
+ * @param {Object} [call] - The next call
+ * @param {string} [call.model] - For its input and output prices
+ * @param {number} [call.promptTokens=0]
+ * @param {number} [call.maxTokens=0] - Completion allowance (max_tokens)
+ * @throws {BudgetExceededError}
+ */
+export function checkBudget({ model = null, promptTokens = 0, maxTokens = 0 } = {}) {
+    const pricing = model ? getPricing(model) : { input: 0, output: 0 };
+    const tokens = promptTokens + maxTokens;
+    const cost = (promptTokens * pricing.input + maxTokens * pricing.output) / 1e6;
+
+    const scopes = [
+        { scope: 'daily', limits: getDailyLimits(), totals: getDailyUsage() },
+        ...(meterStore.getStore() || []).map(meter => ({ scope: 'batch', limits: meter.limits, totals: meter.totals() })),
+    ];
+
+    for (const { scope, limits, totals } of scopes) {
+        if (limits.tokens && totals.total_tokens + tokens > limits.tokens) {
+            throw new BudgetExceededError(
+                `${scope} token budget of ${limits.tokens} would be exceeded (${totals.total_tokens} used)`,
+                { limit: limits.tokens, used: totals.total_tokens, scope }
+            );
+        }
+        if (limits.cost && totals.cost_usd + cost > limits.cost) {
+            throw new BudgetExceededError(
+                `${scope} cost budget of $${limits.cost} would be exceeded ($${roundCost(totals.cost_usd)} used)`,
+                { limit: limits.cost, used: totals.cost_usd, scope }
+            );
+        }
+    }
+}
+
+/**
+ * Tokens and USD left before the tightest cap (daily or meter); Infinity when uncapped
+ */
+export function remainingBudget(meter = null) {
+    const daily = getDailyLimits();
+    const dailyUsed = getDailyUsage();
+    const meterUsed = meter?.totals();
+
+    const left = (limit, used) => (limit ? Math.max(0, limit - used) : Infinity);
+    return {
+        tokens: Math.min(left(daily.tokens, dailyUsed.total_tokens), left(meter?.limits.tokens, meterUsed?.total_tokens)),
+        cost: Math.min(left(daily.cost, dailyUsed.cost_usd), left(meter?.limits.cost, meterUsed?.cost_usd)),
+    };
+}
+
+/**
+ * Today's (UTC) usage across all runs
+ */
+export function getDailyUsage() {
+    const ledger = readLedger();
+    return { ...ledger, cost_usd: roundCost(ledger.cost_usd) };
+}
+
+/**
+ * Rough prompt size of a message list
+ */
+export function estimatePromptTokens(messages = []) {
+    return messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+}
+
+function getDailyLimits() {
+    return {
+        tokens: parseFloat(process.env.LLM_DAILY_TOKEN_BUDGET) || null,
+        cost: parseFloat(process.env.LLM_DAILY_COST_BUDGET) || null,
+    };
+}
+
+function emptyTotals() {
+    return { calls: 0, estimated_calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+function addTo(totals, record) {
+    totals.calls += 1;
+    totals.estimated_calls += record.estimated ? 1 : 0;
+    totals.prompt_tokens += record.prompt_tokens;
+    totals.completion_tokens += record.completion_tokens;
+    totals.total_tokens += record.total_tokens;
+    totals.cost_usd += record.cost_usd;
+}
+
+function ledgerFile() {
+    return path.join(USAGE_DIR, `${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+function readLedger() {
+    try {
+        return { ...emptyTotals(), ...JSON.parse(fs.readFileSync(ledgerFile(), 'utf8')) };
+    } catch {
+        return emptyTotals();
+    }
+}
+
+function writeLedger(ledger) {
+    const file = ledgerFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+function parsePricing(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new Error('LLM_PRICING must be JSON, e.g. {"model": {"input": 0.5, "output": 1.5}}');
+    }
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,142 @@
+/**
+ * Long-article chunking: split at headings, group within a token budget, stitch back together
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    chunkTokenBudget,
+    estimateTokens,
+    fitToTokens,
+    groupSections,
+    normalizeFragment,
+    selectRelevantMaterial,
+    splitIntoSections,
+} from '../services/articleChunker.js';
+
+const paragraph = (text, times = 1) => `<p>${Array(times).fill(text).join(' ')}</p>`;
+
+const article = `
+<article><div class="post-body">
+    ${paragraph('Live chat keeps customers on the page.')}
+    <h2>Response times</h2>
+    ${paragraph('Agents answer chats in under a minute.', 20)}
+    <h2>Costs</h2>
+    ${paragraph('One agent can handle several chats at once.', 20)}
+    <h3>Tooling</h3>
+    ${paragraph('Most tools charge per seat.', 5)}
+</div></article>`;
+
+describe('splitIntoSections', () => {
+    test('starts a section at every h1-h3, keeping the intro before the first heading', () => {
+        const { sections } = splitIntoSections(article);
+
+        assert.deepEqual(sections.map(section => section.heading), [null, 'Response times', 'Costs', 'Tooling']);
+        assert.match(sections[0].html, /^<p>Live chat keeps customers on the page\.<\/p>$/);
+        sections.forEach(section => assert.equal(section.tokens, estimateTokens(section.html)));
+    });
+
+    test('stitching the sections back restores the wrapper elements', () => {
+        const { sections, wrap } = splitIntoSections(article);
+        const stitched = wrap(sections.map(section => section.html).join('\n')).trim();
+
+        assert.match(stitched, /^<article><div class="post-body">/);
+        assert.match(stitched, /<\/div><\/article>$/);
+        assert.equal(
+            normalizeFragment(stitched).replace(/\s+/g, ''),
+            normalizeFragment(article).replace(/\s+/g, '')
+        );
+    });
+
+    test('leaves unwrapped articles unwrapped', () => {
+        const { sections, wrap } = splitIntoSections('<h2>One</h2><p>First.</p><h2>Two</h2><p>Second.</p>');
+
+        assert.equal(sections.length, 2);
+        assert.equal(wrap('<p>Stitched.</p>'), '<p>Stitched.</p>');
+    });
+});
+
+describe('groupSections', () => {
+    test('merges neighbouring sections up to the budget, in order', () => {
+        const { sections } = splitIntoSections(article);
+        const chunks = groupSections(sections, 300);
+
+        assert.deepEqual(chunks.map(chunk => chunk.headings), [['Response times'], ['Costs', 'Tooling']]);
+        chunks.forEach(chunk => assert.ok(chunk.tokens <= 300, `chunk of ${chunk.tokens} tokens`));
+        assert.equal(
+            chunks.map(chunk => chunk.html).join('\n').replace(/\s+/g, ''),
+            sections.map(section => section.html).join('').replace(/\s+/g, '')
+        );
+    });
+
+    test('splits a section over the budget between its blocks', () => {
+        const longSection = `<h2>Setup</h2>${Array.from({ length: 6 }, (_, i) => paragraph(`Step ${i} takes a while.`, 10)).join('')}`;
+        const { sections } = splitIntoSections(longSection);
+
+        const chunks = groupSections(sections, 150);
+
+        assert.ok(chunks.length > 1);
+        assert.equal(chunks[0].headings[0], 'Setup');
+        assert.deepEqual(chunks[1].headings, ['Setup (continued)']);
+        assert.equal((chunks.map(chunk => chunk.html).join('').match(/<p>/g) || []).length, 6);
+    });
+});
+
+describe('token budgets', () => {
+    test('a chunk is limited by the answer it must echo back, then by the context window', () => {
+        assert.equal(chunkTokenBudget({ contextTokens: 128000, maxTokens: 6000, promptOverheadTokens: 2000 }), 4000);
+        assert.equal(chunkTokenBudget({ contextTokens: 8000, maxTokens: 6000, promptOverheadTokens: 1000 }), 1000);
+        assert.equal(chunkTokenBudget({ contextTokens: 4000, maxTokens: 4000, promptOverheadTokens: 1000 }), 500);
+    });
+
+    test('fitToTokens cuts at a sentence end when there is one in the second half', () => {
+        const text = 'Live chat is fast. Chatbots are faster. Email is slow and nobody likes waiting for it.';
+
+        assert.equal(fitToTokens(text, 100), text);
+        assert.equal(fitToTokens(text, 12), 'Live chat is fast. Chatbots are faster.');
+        assert.equal(fitToTokens('no sentence ends here at all', 2), 'no sente');
+    });
+});
+
+describe('selectRelevantMaterial', () => {
+    const competitors = [
+        {
+            title: 'Chat costs',
+            url: 'https://one.example/costs',
+            content: 'Seats cost money. Per seat pricing adds up for large support teams.',
+        },
+        {
+            title: 'Gardening',
+            url: 'https://two.example/tomatoes',
+            content: 'Tomatoes need sun and water every day.',
+        },
+    ];
+
+    test('keeps passages that share words with the chunk, labelled by source', () => {
+        const material = selectRelevantMaterial('<h2>Costs</h2><p>Most tools charge per seat.</p>', competitors);
+
+        assert.match(material, /^--- From Reference Article 1: "Chat costs" \(https:\/\/one\.example\/costs\) ---/);
+        assert.doesNotMatch(material, /Tomatoes/);
+    });
+
+    test('stays within the token budget', () => {
+        const many = Array.from({ length: 10 }, (_, i) => ({
+            title: `Pricing ${i}`,
+            url: `https://example.com/${i}`,
+            content: 'Per seat pricing for support teams. '.repeat(10),
+        }));
+
+        const material = selectRelevantMaterial('<p>Per seat pricing for support teams.</p>', many, 300);
+        const passages = material.split('\n\n').map(block => block.split('\n')[1]);
+
+        assert.ok(passages.length > 0);
+        assert.ok(passages.reduce((sum, text) => sum + estimateTokens(text), 0) <= 300);
+    });
+});
+
+describe('normalizeFragment', () => {
+    test('closes tags a chunk left open', () => {
+        assert.equal(normalizeFragment('<p>Open <mark>insertion'), '<p>Open <mark>insertion</mark></p>');
+    });
+});
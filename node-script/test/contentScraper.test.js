@@ -0,0 +1,56 @@
+/**
+ * Static extraction from the HTML fixtures, served over HTTP by fixtures/server.js
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the scraper modules are loaded: no cache, no throttling, no browser
+process.env.SCRAPER_CACHE = 'off';
+process.env.SCRAPER_MIN_INTERVAL_MS = '0';
+process.env.SCRAPER_RETRIES = '0';
+process.env.RENDERER = 'off';
+
+const { configureLogger } = await import('../services/logger.js');
+const { startFixtureServer } = await import('../fixtures/server.js');
+const { scrapeArticleContent } = await import('../services/contentScraper.js');
+
+configureLogger({ level: 'error' });
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('extracts the text, outline and metadata of a static article', async () => {
+    const result = await scrapeArticleContent(`${server.url}/static-article.html`);
+
+    assert.equal(result.title, 'Live Chat vs Chatbots');
+    assert.match(result.textContent, /62% of customers/);
+    assert.equal(result.rendered, undefined);
+    assert.deepEqual(
+        result.structure.sections.map(section => section.heading).filter(Boolean),
+        ['Response times', 'Costs', 'When to hand off to a human', 'Can a chatbot replace live chat entirely?']
+    );
+
+    assert.equal(result.metadata.author, 'Priya Raman');
+    assert.equal(result.metadata.published_at, '2025-06-02T09:00:00.000Z');
+    assert.equal(result.metadata.canonical_url, `${server.url}/static-article.html`);
+    assert.equal(result.image_url, `${server.url}/images/live-chat.png`);
+});
+
+test('keeps the static text of a client-rendered page when rendering is off', async () => {
+    const result = await scrapeArticleContent(`${server.url}/client-rendered.html`);
+
+    assert.equal(result.rendered, undefined);
+    assert.doesNotMatch(result.textContent, /Connect your help centre/);
+});
+
+test('skips pages robots.txt disallows', async () => {
+    assert.equal(await scrapeArticleContent(`${server.url}/private/members-only.html`), null);
+});
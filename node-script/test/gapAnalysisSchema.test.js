@@ -0,0 +1,155 @@
+/**
+ * Gap analysis: schema validation, repair of sloppy model JSON, and the re-ask loop
+ */
+
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read when the LLM modules are loaded: a scripted provider, usage kept out of the repo
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gap-usage-'));
+process.env.USAGE_DIR = usageDir;
+process.env.LLM_PROVIDER = 'scripted';
+process.env.GAP_ANALYSIS_MAX_ATTEMPTS = '2';
+
+const { configureLogger } = await import('../services/logger.js');
+const { registerProvider } = await import('../services/llmProvider.js');
+const { performGapAnalysis } = await import('../services/llmEnhancer.js');
+const {
+    GapAnalysisError,
+    assertValidGapAnalysis,
+    parseModelJson,
+    validateGapAnalysis,
+} = await import('../services/gapAnalysisSchema.js');
+const { normalizeGapAnalysis } = await import('../../shared/gapAnalysisSchema.js');
+
+configureLogger({ level: 'error' });
+
+after(() => {
+    fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+const valid = {
+    missing: ['Pricing comparison'],
+    improve: ['Add response-time data'],
+    strengths: ['Clear structure'],
+    keywords_missing: ['chatbot handoff'],
+    overall_score: 6,
+    recommendations: ['Compare plans', 'Cite benchmarks'],
+};
+
+describe('validateGapAnalysis', () => {
+    test('accepts a valid analysis, trimming strings and reading numeric score strings', () => {
+        const result = validateGapAnalysis({ ...valid, strengths: ['  Clear structure '], overall_score: ' 6 ' });
+
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.value, valid);
+    });
+
+    test('treats an omitted optional list as empty', () => {
+        const { strengths, ...rest } = valid;
+        const result = validateGapAnalysis(rest);
+
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.value.strengths, []);
+    });
+
+    test('reports every broken field', () => {
+        const result = validateGapAnalysis({
+            ...valid,
+            missing: 'Pricing comparison',
+            improve: ['Add data', ''],
+            overall_score: 11,
+            recommendations: [],
+        });
+
+        assert.equal(result.valid, false);
+        assert.equal(result.value, null);
+        assert.deepEqual(result.errors, [
+            '"missing" must be an array of strings',
+            '"improve" must only contain non-empty strings',
+            '"overall_score" must be between 1 and 10, got 11',
+            '"recommendations" must have 1-3 items, got 0',
+        ]);
+    });
+
+    test('rejects anything but an object', () => {
+        assert.deepEqual(validateGapAnalysis([valid]).errors, ['Analysis must be a JSON object']);
+    });
+
+    test('assertValidGapAnalysis refuses to publish an invalid analysis', () => {
+        assert.throws(() => assertValidGapAnalysis({ ...valid, overall_score: 7.5 }), GapAnalysisError);
+    });
+});
+
+describe('parseModelJson', () => {
+    test('repairs fences, surrounding prose, smart quotes and trailing commas', () => {
+        const text = 'Here is the analysis:\n```json\n{“overall_score”: 6, "strengths": ["Clear",],}\n```\nHope it helps!';
+
+        assert.deepEqual(parseModelJson(text), { overall_score: 6, strengths: ['Clear'] });
+    });
+
+    test('throws when there is no object at all', () => {
+        assert.throws(() => parseModelJson('I cannot compare these articles.'), /No JSON object found/);
+    });
+});
+
+describe('normalizeGapAnalysis', () => {
+    test('maps legacy fields and a 0-100 score onto the schema', () => {
+        const analysis = normalizeGapAnalysis({ missing_topics: ['FAQ'], improvements: ['Intro'], score: 73 });
+
+        assert.deepEqual(analysis.missing, ['FAQ']);
+        assert.deepEqual(analysis.improve, ['Intro']);
+        assert.equal(analysis.overall_score, 7);
+        assert.deepEqual(analysis.recommendations, []);
+    });
+});
+
+describe('performGapAnalysis', () => {
+    const article = { title: 'Live chat vs chatbots', content: '<h2>Response times</h2><p>Live chat is fast.</p>' };
+
+    /**
+     * A provider answering with the given responses in turn, keeping the messages it was sent
+     */
+    function scriptedProvider(responses) {
+        const provider = {
+            name: 'scripted',
+            calls: [],
+            async complete({ messages, model }) {
+                provider.calls.push(messages.map(message => ({ ...message })));
+                return { content: responses[provider.calls.length - 1], model: `stub:${model}`, provider: 'scripted', usage: null };
+            },
+        };
+        registerProvider('scripted', () => provider);
+        return provider;
+    }
+
+    test('re-asks with the validation errors and returns the corrected analysis', async () => {
+        const provider = scriptedProvider([
+            JSON.stringify({ ...valid, overall_score: 0 }),
+            JSON.stringify(valid),
+        ]);
+
+        const analysis = await performGapAnalysis(article, []);
+
+        assert.deepEqual(analysis, valid);
+        assert.equal(provider.calls.length, 2);
+        const reAsk = provider.calls[1].at(-1);
+        assert.equal(reAsk.role, 'user');
+        assert.match(reAsk.content, /"overall_score" must be between 1 and 10, got 0/);
+    });
+
+    test('gives up after the last attempt with the errors and the raw answer', async () => {
+        scriptedProvider(['Sorry, no JSON today.', '{"overall_score": "high"}']);
+
+        await assert.rejects(performGapAnalysis(article, []), error => {
+            assert.ok(error instanceof GapAnalysisError);
+            assert.match(error.message, /after 2 attempts/);
+            assert.equal(error.raw, '{"overall_score": "high"}');
+            assert.ok(error.errors.includes('"overall_score" must be an integer, got "high"'));
+            return true;
+        });
+    });
+});
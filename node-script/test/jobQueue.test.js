@@ -0,0 +1,141 @@
+/**
+ * File-backed job queue: checkpoints survive a restart, and a run resumes at the stage that failed
+ */
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createJobQueue, JOB_STATUS } from '../services/jobQueue.js';
+import { createPipeline } from '../services/pipeline.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+let files = 0;
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function queueFile() {
+    return path.join(dir, `queue-${++files}.json`);
+}
+
+/**
+ * Three stages counting their runs; "analyse" fails while `failing.analyse` is set
+ */
+function countingStages(calls, failing) {
+    return ['search', 'analyse', 'publish'].map(name => ({
+        name,
+        async run({ article, outputs }) {
+            calls[name] = (calls[name] || 0) + 1;
+            if (failing[name]) throw new Error(`${name} is down`);
+            return { stage: name, article: article.id, inputs: Object.keys(outputs) };
+        },
+    }));
+}
+
+/**
+ * Run one article the way the batch does: restore done stages, checkpoint new ones
+ */
+async function runJob(queue, stages, article) {
+    const checkpoints = Object.fromEntries(
+        Object.entries(queue.getJob(article.id).stages)
+            .filter(([, stage]) => stage.status === JOB_STATUS.DONE)
+            .map(([name, stage]) => [name, stage.output])
+    );
+
+    const pipeline = createPipeline({
+        stages,
+        options: { retries: 0 },
+        hooks: {
+            onStageEnd: ({ stage, output, cached }) => {
+                if (cached) return;
+                queue.recordAttempt(article.id, stage, null);
+                queue.checkpoint(article.id, stage, output);
+            },
+            onError: ({ stage, error }) => queue.recordAttempt(article.id, stage, error),
+        },
+    });
+
+    queue.markRunning(article.id);
+    try {
+        const outputs = await pipeline.run(article, { checkpoints });
+        queue.markDone(article.id, { published: outputs.publish.stage });
+    } catch (error) {
+        queue.markFailed(article.id, error.stage, error);
+    }
+}
+
+test('a failed run resumes at the failed stage after a restart, reusing earlier checkpoints', async () => {
+    const file = queueFile();
+    const article = { id: 7, title: 'Live chat vs chatbots' };
+    const calls = {};
+    const failing = { analyse: true };
+    const stages = countingStages(calls, failing);
+
+    const first = createJobQueue(file);
+    first.enqueue(article);
+    await runJob(first, stages, article);
+
+    assert.equal(first.getJob(7).status, JOB_STATUS.FAILED);
+    assert.deepEqual(first.getJob(7).error, { stage: 'analyse', message: 'analyse is down' });
+
+    // A new process opens the same file
+    failing.analyse = false;
+    const second = createJobQueue(file);
+    assert.equal(second.nextStage(7, ['search', 'analyse', 'publish']), 'analyse');
+
+    await runJob(second, stages, article);
+
+    assert.deepEqual(calls, { search: 1, analyse: 2, publish: 1 });
+    assert.equal(second.getJob(7).status, JOB_STATUS.DONE);
+    assert.equal(second.getJob(7).stages.analyse.attempts, 2);
+    // The restored output still feeds the later stages
+    assert.deepEqual(second.stageOutput(7, 'publish').inputs, ['search', 'analyse']);
+    assert.equal(second.pendingJobs().length, 0);
+});
+
+test('enqueueing again keeps a job\'s checkpoints', () => {
+    const queue = createJobQueue(queueFile());
+    queue.enqueue({ id: 3, title: 'Chatbot pricing' });
+    queue.checkpoint(3, 'search', ['https://example.com/pricing']);
+
+    queue.enqueue({ id: 3, title: 'Chatbot pricing' });
+
+    assert.deepEqual(queue.stageOutput(3, 'search'), ['https://example.com/pricing']);
+});
+
+test('jobs left running by a crashed process are pending again', () => {
+    const file = queueFile();
+    const crashed = createJobQueue(file);
+    crashed.enqueue({ id: 1, title: 'One' });
+    crashed.enqueue({ id: 2, title: 'Two' });
+    crashed.markRunning(1);
+    crashed.markDone(2, {});
+
+    const restarted = createJobQueue(file);
+
+    assert.deepEqual(restarted.pendingJobs().map(job => job.id), ['1']);
+});
+
+test('reset drops the checkpoints so the job starts over', () => {
+    const queue = createJobQueue(queueFile());
+    queue.enqueue({ id: 4, title: 'Four' });
+    queue.checkpoint(4, 'search', []);
+    queue.markDone(4, { published: true });
+
+    queue.reset(4);
+
+    assert.equal(queue.getJob(4).status, JOB_STATUS.PENDING);
+    assert.equal(queue.nextStage(4, ['search', 'analyse']), 'search');
+});
+
+test('a corrupt queue file is reported rather than overwritten', () => {
+    const file = queueFile();
+    fs.writeFileSync(file, '{"jobs": {');
+
+    assert.throws(() => createJobQueue(file), /is corrupt .*Delete it to start a fresh batch/);
+    assert.equal(fs.readFileSync(file, 'utf8'), '{"jobs": {');
+});
@@ -0,0 +1,61 @@
+/**
+ * Rendered extraction: client-rendered fixtures through headless Chromium.
+ * Skipped when Puppeteer or its browser is not installed.
+ */
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the scraper modules are loaded: no cache, no throttling
+process.env.SCRAPER_CACHE = 'off';
+process.env.SCRAPER_MIN_INTERVAL_MS = '0';
+process.env.SCRAPER_RETRIES = '0';
+process.env.RENDER_WAIT = 'selector:article h1';
+process.env.RENDER_TIMEOUT_MS = '15000';
+
+const { configureLogger } = await import('../services/logger.js');
+const { startFixtureServer } = await import('../fixtures/server.js');
+const { scrapeArticleContent } = await import('../services/contentScraper.js');
+const { closeRenderer, renderPage, RendererUnavailableError } = await import('../services/pageRenderer.js');
+
+configureLogger({ level: 'error' });
+
+const server = await startFixtureServer();
+
+// The reason rendering can't run here, or null when a browser launches
+const unavailable = await renderPage(`${server.url}/static-article.html`, { wait: 'load' }).then(
+    () => null,
+    error => {
+        if (error instanceof RendererUnavailableError) return error.message;
+        throw error;
+    }
+);
+
+after(async () => {
+    await closeRenderer();
+    await server.close();
+});
+
+test('renders a client-side page and extracts the article it builds', { skip: unavailable }, async () => {
+    const result = await scrapeArticleContent(`${server.url}/client-rendered.html`);
+
+    assert.equal(result.rendered, true);
+    assert.match(result.textContent, /Connect your help centre/);
+    assert.deepEqual(
+        result.structure.sections.map(section => section.heading).filter(Boolean),
+        ['Connect your help centre', 'Define the hand-off']
+    );
+    // Static metadata is kept, with relative URLs resolved against the page
+    assert.equal(result.image_url, `${server.url}/images/onboarding.png`);
+});
+
+test('does not render pages with enough static text', { skip: unavailable }, async () => {
+    const result = await scrapeArticleContent(`${server.url}/static-article.html`);
+
+    assert.equal(result.rendered, undefined);
+    assert.match(result.textContent, /62% of customers/);
+});
+
+test('renderPage respects robots.txt', { skip: unavailable }, async () => {
+    await assert.rejects(renderPage(`${server.url}/private/members-only.html`), /robots\.txt disallows/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Preservation checks: the original survives, and new content is only inside <mark>
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeReport, verifyPreservation } from '../services/preservationVerifier.js';
+
+const original = `
+    <h2>Response times</h2>
+    <p>Live chat answers in under a minute on average.</p>
+    <ul><li>Chatbots reply instantly.</li><li>Agents take longer at peak times.</li></ul>
+    <img src="/images/response-times.png" alt="Response times">
+    <p>Costs depend on the number of agents.</p>
+`;
+
+test('passes when the original is kept and additions are marked', () => {
+    const enhanced = `
+        <h2>Response times</h2>
+        <p>Live chat answers in under a minute on average. <mark>Email takes hours.</mark></p>
+        <mark><p>Customers notice the difference.</p></mark>
+        <ul><li>Chatbots reply instantly.</li><li>Agents take longer at peak times.</li></ul>
+        <img src="/images/response-times.png" alt="Response times">
+        <p>Costs depend on the number of agents.</p>
+    `;
+
+    const report = verifyPreservation(original, enhanced);
+
+    assert.equal(report.passed, true);
+    assert.deepEqual(report.summary, {
+        textBlocks: { original: 5, preserved: 5 },
+        media: { original: 1, preserved: 1 },
+        marked: 2,
+    });
+    assert.equal(describeReport(report), 'original fully preserved');
+});
+
+test('ignores whitespace and typographic quotes', () => {
+    const report = verifyPreservation(
+        '<p>It\'s "fast".</p>',
+        '<p>It’s\n   “fast”.</p>'
+    );
+
+    assert.equal(report.passed, true);
+});
+
+test('reports dropped blocks and embeds as missing', () => {
+    const enhanced = `
+        <h2>Response times</h2>
+        <p>Live chat answers in under a minute on average.</p>
+        <ul><li>Chatbots reply instantly.</li><li>Agents take longer at peak times.</li></ul>
+    `;
+
+    const report = verifyPreservation(original, enhanced);
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.missing, [
+        { type: 'text', tag: 'p', text: 'Costs depend on the number of agents.' },
+        { type: 'media', tag: 'img', text: 'img:/images/response-times.png' },
+    ]);
+    assert.equal(describeReport(report), '2 original block(s) missing');
+});
+
+test('reports a reworded block as altered, not as missing plus added', () => {
+    const enhanced = original.replace(
+        'Costs depend on the number of agents.',
+        'Costs depend mostly on the number of agents.'
+    );
+
+    const report = verifyPreservation(original, enhanced);
+
+    assert.deepEqual(report.altered, [{
+        tag: 'p',
+        original: 'Costs depend on the number of agents.',
+        enhanced: 'Costs depend mostly on the number of agents.',
+    }]);
+    assert.deepEqual(report.missing, []);
+    assert.deepEqual(report.unmarkedAdditions, []);
+    assert.equal(describeReport(report), '1 altered');
+});
+
+test('reports new content outside <mark> as an unmarked addition', () => {
+    const enhanced = `${original}<p>Book a demo today.</p>`;
+
+    const report = verifyPreservation(original, enhanced);
+
+    assert.deepEqual(report.unmarkedAdditions, [{ tag: 'p', text: 'Book a demo today.' }]);
+    assert.equal(describeReport(report), '1 unmarked addition(s)');
+});
+
+test('counts repeated paragraphs, so dropping one copy is caught', () => {
+    const repeated = '<p>Try it free.</p><p>Pricing below.</p><p>Try it free.</p>';
+
+    const report = verifyPreservation(repeated, '<p>Try it free.</p><p>Pricing below.</p>');
+
+    assert.deepEqual(report.missing, [{ type: 'text', tag: 'p', text: 'Try it free.' }]);
+});
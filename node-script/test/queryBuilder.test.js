@@ -0,0 +1,56 @@
+/**
+ * Search queries derived from an article, and from its last gap analysis on a re-enhancement
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSearchQueries } from '../services/queryBuilder.js';
+
+const article = {
+    title: 'Why You Need Live Chat in 2025: The Ultimate Guide',
+    content: `
+        <p>Both Zendesk Suite and Intercom Fin report faster replies with live chat.
+        In a survey by Zendesk Suite, 62% of customers expected an answer within
+        minutes, and Intercom Fin saw the same on its own help centre.</p>
+        <h2>Response times for customer support</h2>
+        <p>Customers wait less on live chat than on email support.</p>
+        <h2>Costs of customer support teams</h2>
+        <p>One agent can handle several chats at once.</p>
+    `,
+};
+
+// As the API returns an original that was enhanced before
+const reEnhanced = {
+    ...article,
+    enhanced_article: {
+        id: 12,
+        slug: 'live-chat-guide-enhanced',
+        gap_analysis: { keywords_missing: ['chatbot handoff', 'live chat pricing', 'CSAT benchmarks'] },
+    },
+};
+
+test('builds queries from the title, headings and entities', () => {
+    const queries = buildSearchQueries(article);
+
+    assert.deepEqual(queries.map(({ source }) => source), ['title', 'headings', 'headings', 'entities']);
+    assert.equal(queries[0].query, 'Need Live Chat');
+});
+
+test('the missing keywords of the last gap analysis are searched on top of a full set', () => {
+    const base = buildSearchQueries(article);
+    const queries = buildSearchQueries(reEnhanced, { gapAnalysis: reEnhanced.enhanced_article.gap_analysis });
+
+    assert.deepEqual(queries.slice(0, base.length), base);
+    assert.deepEqual(queries.slice(base.length), [
+        { query: 'chatbot handoff', source: 'keywords_missing' },
+        { query: 'live chat pricing', source: 'keywords_missing' },
+    ]);
+});
+
+test('a missing keyword already searched for is not repeated', () => {
+    const [title] = buildSearchQueries(article);
+    const queries = buildSearchQueries(article, { gapAnalysis: { keywords_missing: [title.query.toUpperCase()] } });
+
+    assert.equal(queries.filter(({ source }) => source === 'keywords_missing').length, 0);
+});
@@ -0,0 +1,176 @@
+/**
+ * Rate limiter lanes: per-minute quotas, spacing, and pauses shared by everyone on a lane.
+ * Runs on mocked timers, so a minute of pacing takes no real time.
+ */
+
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when rateLimiter.js is loaded
+process.env.RATE_LIMIT_MAX_WAIT_MS = '30000';
+process.env.RATE_LIMIT_RETRIES = '2';
+
+const { configureLogger } = await import('../services/logger.js');
+const { RateLimitError, describeLanes, getLane, retryAfterMs, schedule } = await import('../services/rateLimiter.js');
+
+configureLogger({ level: 'error' });
+
+// Lanes live for the whole process, so every test takes a fresh key
+let lanes = 0;
+const laneKey = () => `test:${++lanes}`;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+/**
+ * Move the mocked clock forward in steps, letting woken callers run in between
+ */
+async function advance(ms, step = 250) {
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    for (let elapsed = 0; elapsed < ms; elapsed += step) {
+        await settle();
+        mock.timers.tick(step);
+    }
+    await settle();
+}
+
+/**
+ * Schedule calls on a lane, recording when each one started (ms after the test began)
+ */
+function startCalls(key, count, options) {
+    const begin = Date.now();
+    const started = [];
+    const done = Array.from({ length: count }, (_, i) => schedule(key, async () => {
+        started[i] = Date.now() - begin;
+        return i;
+    }, options));
+    return { started, done: Promise.all(done) };
+}
+
+describe('pacing', () => {
+    test('requestsPerMinute holds calls over the quota until the window moves on', async () => {
+        const { started, done } = startCalls(laneKey(), 3, { limits: { requestsPerMinute: 2 } });
+
+        await advance(61000);
+        await done;
+
+        assert.deepEqual(started, [0, 0, 60000]);
+    });
+
+    test('minIntervalMs spaces the start of each call', async () => {
+        const { started, done } = startCalls(laneKey(), 3, { limits: { minIntervalMs: 1000 } });
+
+        await advance(2500);
+        await done;
+
+        assert.deepEqual(started, [0, 1000, 2000]);
+    });
+
+    test('tokensPerMinute counts each call\'s tokens, and an oversized call still runs alone', async () => {
+        const key = laneKey();
+        const limits = { tokensPerMinute: 1000 };
+        const { started: first, done: firstDone } = startCalls(key, 2, { limits, tokens: 600 });
+        const { started: big, done: bigDone } = startCalls(key, 1, { limits, tokens: 5000 });
+
+        await advance(121000);
+        await Promise.all([firstDone, bigDone]);
+
+        assert.deepEqual(first, [0, 60000]);
+        assert.deepEqual(big, [120000]);
+    });
+});
+
+describe('pauses', () => {
+    test('a 429 with Retry-After pauses the whole lane, then the call is retried', async () => {
+        const key = laneKey();
+        const begin = Date.now();
+        const attempts = [];
+
+        const limited = schedule(key, async () => {
+            attempts.push(Date.now() - begin);
+            if (attempts.length === 1) {
+                throw Object.assign(new Error('Too Many Requests'), { status: 429, headers: { 'retry-after': '5' } });
+            }
+            return 'ok';
+        });
+        await advance(250);
+        const { started: other, done } = startCalls(key, 1);
+
+        await advance(6000);
+
+        assert.equal(await limited, 'ok');
+        await done;
+        assert.deepEqual(attempts, [0, 5000]);
+        // Queued 250ms into the pause, it waits for the rest of it
+        assert.deepEqual(other, [4750]);
+    });
+
+    test('a pause longer than RATE_LIMIT_MAX_WAIT_MS fails fast with RateLimitError', async () => {
+        const key = laneKey();
+        const error = Object.assign(new Error('Too Many Requests'), {
+            response: { status: 429, headers: { 'retry-after': '3600' } },
+        });
+
+        await assert.rejects(schedule(key, async () => { throw error; }), thrown => {
+            assert.ok(thrown instanceof RateLimitError);
+            assert.equal(thrown.lane, key);
+            assert.equal(thrown.retryAfterMs, 3600000);
+            return true;
+        });
+    });
+
+    test('other errors are not retried', async () => {
+        let calls = 0;
+        const failing = schedule(laneKey(), async () => {
+            calls++;
+            throw Object.assign(new Error('Server Error'), { status: 500 });
+        });
+
+        await assert.rejects(failing, /Server Error/);
+        assert.equal(calls, 1);
+    });
+
+    test('a spent quota in the response headers pauses the lane until it resets', async () => {
+        const key = laneKey();
+        await schedule(key, async lane => lane.update({
+            'x-ratelimit-remaining-requests': '0',
+            'x-ratelimit-reset-requests': '7.5s',
+        }));
+
+        assert.equal(describeLanes().find(lane => lane.lane === key).paused_ms, 7500);
+
+        const { started, done } = startCalls(key, 1);
+        await advance(8000);
+        await done;
+
+        assert.deepEqual(started, [7500]);
+    });
+
+    test('a caller woken into a pause queues again behind it, giving up only its own reservation', async () => {
+        const key = laneKey();
+        const lane = getLane(key, { requestsPerMinute: 2 });
+        const { started, done } = startCalls(key, 3, { limits: { requestsPerMinute: 2 } });
+
+        // The third call sleeps until the next window, which a pause then pushes back
+        await advance(40000);
+        lane.pauseFor(25000, 'test');
+        await advance(30000);
+        await done;
+
+        assert.deepEqual(started, [0, 0, 65000]);
+        assert.equal(describeLanes().find(described => described.lane === key).calls_last_minute, 1);
+    });
+});
+
+describe('retryAfterMs', () => {
+    test('reads seconds and HTTP dates', () => {
+        assert.equal(retryAfterMs({ 'retry-after': '2' }), 2000);
+        assert.equal(retryAfterMs(new Headers({ 'retry-after': new Date(Date.now() + 4000).toUTCString() })), 4000);
+        assert.equal(retryAfterMs({}), null);
+    });
+});
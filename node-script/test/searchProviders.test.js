@@ -0,0 +1,186 @@
+/**
+ * Search provider registry, de-duplication, fallback chain and daily quotas
+ */
+
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read when googleSearcher.js is loaded
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-usage-'));
+process.env.USAGE_DIR = usageDir;
+process.env.OWN_DOMAINS = 'beyondchats.com';
+
+const { configureLogger } = await import('../services/logger.js');
+const {
+    getProviderChain,
+    getSearchProvider,
+    getSearchUsage,
+    normalizeUrl,
+    registerSearchProvider,
+    searchRelatedArticles,
+} = await import('../services/googleSearcher.js');
+
+configureLogger({ level: 'error' });
+
+/**
+ * A provider returning fixed results (or throwing) and counting its calls
+ */
+function fakeProvider(name, results, { configured = true } = {}) {
+    const provider = {
+        name,
+        calls: 0,
+        isConfigured: () => configured,
+        async search() {
+            provider.calls++;
+            if (results instanceof Error) throw results;
+            return results;
+        },
+    };
+    registerSearchProvider(name, () => provider);
+    return provider;
+}
+
+after(() => {
+    fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    delete process.env.SEARCH_QUOTAS;
+    delete process.env.SEARCH_PROVIDERS;
+});
+
+describe('provider registry', () => {
+    test('returns one instance per provider', () => {
+        assert.equal(getSearchProvider('fixture'), getSearchProvider('FIXTURE'));
+    });
+
+    test('rejects unknown providers, listing the available ones', () => {
+        assert.throws(() => getSearchProvider('altavista'), /Unknown search provider "altavista".*fixture/);
+    });
+
+    test('registered providers replace earlier instances', () => {
+        const first = fakeProvider('custom', []);
+        assert.equal(getSearchProvider('custom'), first);
+
+        const second = fakeProvider('custom', []);
+        assert.equal(getSearchProvider('custom'), second);
+    });
+
+    test('SEARCH_PROVIDERS sets the chain order', () => {
+        process.env.SEARCH_PROVIDERS = ' Brave, duckduckgo ,';
+        assert.deepEqual(getProviderChain(), ['brave', 'duckduckgo']);
+    });
+
+    test('the fixture provider reads fixtures/search', async () => {
+        const results = await searchRelatedArticles('anything at all', 3, { providers: ['fixture'] });
+
+        assert.equal(results.length, 3);
+        results.forEach(result => assert.equal(result.provider, 'fixture'));
+    });
+});
+
+describe('de-duplication', () => {
+    test('normalizeUrl drops www, hash, tracking parameters and trailing slashes', () => {
+        assert.equal(
+            normalizeUrl('https://www.Example.com/blog/post/?utm_source=x&id=3&fbclid=y#top'),
+            'example.com/blog/post?id=3'
+        );
+        assert.equal(normalizeUrl('http://example.com/blog/post'), 'example.com/blog/post');
+    });
+
+    test('the same page from two providers is kept once, and own domains are dropped', async () => {
+        fakeProvider('dupe-a', [
+            { title: 'Chatbot guide', url: 'https://www.example.com/blog/chatbots/' },
+            { title: 'Our own post', url: 'https://blog.beyondchats.com/blog/chatbots' },
+        ]);
+        fakeProvider('dupe-b', [
+            { title: 'Chatbot guide', url: 'https://example.com/blog/chatbots?utm_medium=search' },
+            { title: 'Another guide', url: 'https://other.com/blog/bots' },
+        ]);
+
+        const results = await searchRelatedArticles('chatbots', 5, { providers: ['dupe-a', 'dupe-b'] });
+
+        assert.deepEqual(results.map(result => [result.url, result.provider]), [
+            ['https://www.example.com/blog/chatbots/', 'dupe-a'],
+            ['https://other.com/blog/bots', 'dupe-b'],
+        ]);
+    });
+});
+
+describe('fallback chain', () => {
+    test('a failing provider falls through to the next one', async () => {
+        const broken = fakeProvider('broken', new Error('HTTP 500'));
+        fakeProvider('backup', [{ title: 'How to pick a chatbot', url: 'https://backup.com/blog/pick' }]);
+
+        const results = await searchRelatedArticles('chatbots', 1, { providers: ['broken', 'backup'] });
+
+        assert.equal(broken.calls, 1);
+        assert.deepEqual(results.map(result => result.provider), ['backup']);
+    });
+
+    test('unconfigured providers are skipped', async () => {
+        const unconfigured = fakeProvider('no-key', [], { configured: false });
+        fakeProvider('keyed', [{ title: 'Chatbot tips', url: 'https://keyed.com/blog/tips' }]);
+
+        const results = await searchRelatedArticles('chatbots', 1, { providers: ['no-key', 'keyed'] });
+
+        assert.equal(unconfigured.calls, 0);
+        assert.equal(results.length, 1);
+    });
+
+    test('later providers are not called once there are enough results', async () => {
+        fakeProvider('plenty', [
+            { title: 'Guide one', url: 'https://one.com/blog/a' },
+            { title: 'Guide two', url: 'https://two.com/blog/b' },
+        ]);
+        const unused = fakeProvider('unused', [{ title: 'Guide three', url: 'https://three.com/blog/c' }]);
+
+        const results = await searchRelatedArticles('chatbots', 2, { providers: ['plenty', 'unused'] });
+
+        assert.equal(results.length, 2);
+        assert.equal(unused.calls, 0);
+    });
+});
+
+describe('daily quotas', () => {
+    test('calls are counted on disk and a spent quota skips the provider', async () => {
+        process.env.SEARCH_QUOTAS = 'metered:2';
+        const metered = fakeProvider('metered', [{ title: 'Paid guide', url: 'https://paid.com/blog/guide' }]);
+        fakeProvider('free', [{ title: 'Free guide', url: 'https://free.com/blog/guide' }]);
+
+        for (let i = 0; i < 3; i++) {
+            await searchRelatedArticles('chatbots', 1, { providers: ['metered', 'free'] });
+        }
+
+        assert.equal(metered.calls, 2);
+        assert.equal(getSearchUsage().metered, 2);
+
+        const [ledger] = fs.readdirSync(usageDir).filter(file => file.startsWith('search-'));
+        assert.match(ledger, /^search-\d{4}-\d{2}-\d{2}\.json$/);
+    });
+
+    test('the count carries over to the next run', async () => {
+        process.env.SEARCH_QUOTAS = 'carried:1';
+        fakeProvider('carried', [{ title: 'Paid guide', url: 'https://paid.com/blog/guide' }]);
+        await searchRelatedArticles('chatbots', 1, { providers: ['carried'] });
+
+        // A fresh copy of the module, as a new process would load it
+        const nextRun = await import(`../services/googleSearcher.js?run=${Date.now()}`);
+        const provider = {
+            calls: 0,
+            isConfigured: () => true,
+            async search() {
+                provider.calls++;
+                return [];
+            },
+        };
+        nextRun.registerSearchProvider('carried', () => provider);
+
+        await nextRun.searchRelatedArticles('chatbots', 1, { providers: ['carried'] });
+
+        assert.equal(provider.calls, 0);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Usage accounting and budget caps: calls are projected at their full max_tokens answer
+ */
+
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read when usageTracker.js is loaded
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-usage-'));
+process.env.USAGE_DIR = usageDir;
+
+const { configureLogger } = await import('../services/logger.js');
+const {
+    BudgetExceededError,
+    checkBudget,
+    createUsageMeter,
+    getDailyUsage,
+    getPricing,
+    recordUsage,
+    remainingBudget,
+    withUsageMeter,
+} = await import('../services/usageTracker.js');
+
+configureLogger({ level: 'error' });
+
+const MODEL = 'llama-3.3-70b-versatile';
+
+after(() => {
+    fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    fs.rmSync(usageDir, { recursive: true, force: true });
+    delete process.env.LLM_DAILY_TOKEN_BUDGET;
+    delete process.env.LLM_DAILY_COST_BUDGET;
+    delete process.env.LLM_PRICING;
+});
+
+/**
+ * Record a call the provider reported usage for
+ */
+function spend(prompt, completion, model = MODEL) {
+    return recordUsage({ model, messages: [], content: '', usage: { prompt_tokens: prompt, completion_tokens: completion } });
+}
+
+describe('budget projection', () => {
+    test('counts the whole max_tokens allowance, not just the prompt', () => {
+        process.env.LLM_DAILY_TOKEN_BUDGET = '20000';
+        spend(10000, 2000);
+
+        // 12,000 used + 4,000 prompt fits; the 8,000-token answer it may write does not
+        assert.doesNotThrow(() => checkBudget({ model: MODEL, promptTokens: 4000 }));
+        assert.throws(
+            () => checkBudget({ model: MODEL, promptTokens: 4000, maxTokens: 8000 }),
+            error => error instanceof BudgetExceededError
+                && error.scope === 'daily' && error.limit === 20000 && error.used === 12000
+        );
+    });
+
+    test('prices the allowance at the output rate', () => {
+        process.env.LLM_PRICING = JSON.stringify({ pricey: { input: 1, output: 100 } });
+        process.env.LLM_DAILY_COST_BUDGET = '0.5';
+
+        // $0.001 of prompt, up to $0.5 of answer
+        assert.doesNotThrow(() => checkBudget({ model: 'pricey', promptTokens: 1000, maxTokens: 4900 }));
+        assert.throws(() => checkBudget({ model: 'pricey', promptTokens: 1000, maxTokens: 5000 }), /daily cost budget of \$0\.5/);
+    });
+
+    test('a meter\'s own cap applies to calls made inside it', async () => {
+        const meter = createUsageMeter({ tokens: 5000 });
+
+        await withUsageMeter(meter, async () => {
+            spend(3000, 500);
+            assert.throws(() => checkBudget({ model: MODEL, promptTokens: 500, maxTokens: 1500 }), /batch token budget of 5000/);
+        });
+
+        // Outside the meter only the (unset) daily cap applies
+        assert.doesNotThrow(() => checkBudget({ model: MODEL, promptTokens: 500, maxTokens: 1500 }));
+        assert.equal(remainingBudget(meter).tokens, 1500);
+    });
+});
+
+describe('accounting', () => {
+    test('adds each call to the daily ledger and to every enclosing meter', async () => {
+        const batch = createUsageMeter();
+        const article = createUsageMeter();
+
+        await withUsageMeter(batch, () => withUsageMeter(article, async () => {
+            spend(1000, 200);
+        }));
+        spend(100, 0);
+
+        assert.equal(article.totals().total_tokens, 1200);
+        assert.equal(batch.totals().total_tokens, 1200);
+        assert.equal(getDailyUsage().total_tokens, 1300);
+        assert.equal(getDailyUsage().calls, 2);
+    });
+
+    test('estimates the usage a provider did not report', () => {
+        const record = recordUsage({
+            model: 'stub:test',
+            messages: [{ role: 'user', content: 'word '.repeat(400) }],
+            content: 'word '.repeat(40),
+            usage: null,
+        });
+
+        assert.equal(record.estimated, true);
+        assert.ok(record.prompt_tokens > record.completion_tokens);
+        assert.equal(record.cost_usd, 0);
+    });
+
+    test('prices known models, and unknown ones at $0 (flagged)', () => {
+        assert.deepEqual(getPricing(MODEL), { input: 0.59, output: 0.79 });
+        assert.equal(getPricing('mystery-model').unknown, true);
+        assert.equal(getPricing('stub:llama').unknown, false);
+
+        const record = spend(1e6, 1e6);
+        assert.equal(record.cost_usd, 1.38);
+    });
+});
@@ -1,6 +1,11 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import HomePage from './pages/HomePage';
 import ArticlePage from './pages/ArticlePage';
+import DiffPage from './pages/DiffPage';
+import ReviewQueuePage from './pages/ReviewQueuePage';
+import ReviewPage from './pages/ReviewPage';
+import ModerationPage from './pages/ModerationPage';
+import TagPage from './pages/TagPage';
 import './index.css';
 
 function App() {
@@ -9,7 +14,12 @@ function App() {
       <Routes>
         <Route path="/" element={<HomePage />} />
         <Route path="/articles/:id" element={<ArticlePage />} />
+        <Route path="/articles/:id/diff" element={<DiffPage />} />
         <Route path="/blogs/:id" element={<ArticlePage />} />
+        <Route path="/tags/:tag" element={<TagPage />} />
+        <Route path="/review" element={<ReviewQueuePage />} />
+        <Route path="/review/:id" element={<ReviewPage />} />
+        <Route path="/moderation" element={<ModerationPage />} />
       </Routes>
     </Router>
   );
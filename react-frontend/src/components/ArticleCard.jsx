@@ -38,7 +38,9 @@ export default function ArticleCard({ article }) {
             <div className="article-content">
                 {/* Category Tags */}
                 <div className="article-tags">
-                    <span className="category-tag"># AI CHATBOTS</span>
+                    {article.tags?.slice(0, 2).map(tag => (
+                        <span key={tag.slug} className="category-tag"># {tag.name.toUpperCase()}</span>
+                    ))}
                     {isEnhanced && (
                         <span className="category-tag enhanced">
                             <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" style={{ marginRight: '3px' }}>
@@ -0,0 +1,268 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getComments, postComment, deleteComment } from '../services/api';
+import {
+    loadCommenter,
+    saveCommenter,
+    forgetCommenter,
+    getCommenterToken,
+    rememberCommenterToken,
+    getEditToken,
+    rememberEditToken,
+    forgetEditToken,
+} from '../utils/commentStorage';
+import './Comments.css';
+
+const EMPTY_FORM = { author_name: '', author_email: '', author_website: '', body: '', company: '' };
+
+function formatDate(value) {
+    const date = new Date(value);
+    return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }).toUpperCase()
+        + ' / ' + date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+function errorMessage(error) {
+    const data = error.response?.data;
+    if (data?.errors) return Object.values(data.errors).flat().join(' ');
+    return data?.message || error.message || 'Something went wrong';
+}
+
+function CommentItem({ comment, isReply = false, onReply, replyingTo, onDelete, children }) {
+    const canDelete = getEditToken(comment.id) !== null;
+
+    return (
+        <div className={`comment${isReply ? ' reply' : ''}`}>
+            <div className={`comment-avatar${isReply ? ' small' : ''}`}>{comment.author_name[0]?.toUpperCase()}</div>
+            <div className="comment-content">
+                <div className="comment-header">
+                    <span className="comment-author">
+                        {comment.author_website
+                            ? <a href={comment.author_website} target="_blank" rel="nofollow ugc noopener noreferrer">{comment.author_name}</a>
+                            : comment.author_name}
+                    </span>
+                    <span className="comment-meta">{formatDate(comment.created_at)}</span>
+                    <div className="comment-actions">
+                        {onReply && (
+                            <button className="comment-reply-btn" onClick={() => onReply(comment.id)}>
+                                {replyingTo === comment.id ? 'CANCEL' : 'REPLY'}
+                            </button>
+                        )}
+                        {/* Only the browser that posted a comment holds its edit token */}
+                        {canDelete && (
+                            <button className="comment-delete-btn" onClick={() => onDelete(comment.id)} title="Delete your comment">
+                                DELETE
+                            </button>
+                        )}
+                    </div>
+                </div>
+                <p className="comment-text">{comment.body}</p>
+                {children}
+            </div>
+        </div>
+    );
+}
+
+export default function Comments({ articleId }) {
+    const [comments, setComments] = useState([]);
+    const [meta, setMeta] = useState(null);
+    const [page, setPage] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(() => ({ ...EMPTY_FORM, ...loadCommenter() }));
+    const [saveInfo, setSaveInfo] = useState(() => loadCommenter() !== null);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [replyBody, setReplyBody] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [notice, setNotice] = useState(null);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async (pageToLoad) => {
+        try {
+            setLoading(true);
+            const result = await getComments(articleId, pageToLoad);
+            setComments(result.data);
+            setMeta(result.meta);
+            setPage(result.meta.current_page);
+        } catch (err) {
+            console.error('Failed to fetch comments:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [articleId]);
+
+    useEffect(() => {
+        load(1);
+    }, [load]);
+
+    const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    async function submit({ body, parentId = null }) {
+        try {
+            setSubmitting(true);
+            setError(null);
+            setNotice(null);
+
+            const { comment, editToken, commenterToken, message } = await postComment(articleId, {
+                author_name: form.author_name,
+                author_email: form.author_email,
+                author_website: form.author_website || null,
+                body,
+                parent_id: parentId,
+                company: form.company,
+            }, getCommenterToken());
+            rememberEditToken(comment.id, editToken);
+            rememberCommenterToken(commenterToken);
+
+            if (saveInfo) saveCommenter(form);
+            else forgetCommenter();
+
+            setNotice(message);
+            setReplyingTo(null);
+            setReplyBody('');
+            setForm(saveInfo ? { ...form, body: '' } : EMPTY_FORM);
+
+            // New top-level comments land on the last page
+            if (comment.status === 'approved') {
+                await load(parentId ? page : Math.ceil(((meta?.total ?? 0) + 1) / (meta?.per_page ?? 10)));
+            }
+            return true;
+        } catch (err) {
+            setError(errorMessage(err));
+            return false;
+        } finally {
+            setSubmitting(false);
+        }
+    }
+
+    async function remove(commentId) {
+        if (!window.confirm('Delete your comment? Replies to it are deleted too.')) return;
+
+        try {
+            await deleteComment(commentId, getEditToken(commentId));
+            forgetEditToken(commentId);
+            await load(comments.length === 1 && page > 1 ? page - 1 : page);
+        } catch (err) {
+            setError(errorMessage(err));
+        }
+    }
+
+    function toggleReply(commentId) {
+        setReplyingTo(replyingTo === commentId ? null : commentId);
+        setReplyBody('');
+        setError(null);
+    }
+
+    const totalComments = meta?.total_comments ?? 0;
+    const needsDetails = !form.author_name || !form.author_email;
+
+    return (
+        <section id="comments-section" className="comments-section">
+            <h2>{totalComments} comment{totalComments !== 1 ? 's' : ''}</h2>
+
+            {loading && comments.length === 0 && <div className="spinner"></div>}
+
+            <div className="comments-list">
+                {comments.map((comment) => (
+                    <CommentItem
+                        key={comment.id}
+                        comment={comment}
+                        onReply={toggleReply}
+                        replyingTo={replyingTo}
+                        onDelete={remove}
+                    >
+                        {/* Reply Form */}
+                        {replyingTo === comment.id && (
+                            <form
+                                className="reply-inline-form"
+                                onSubmit={(e) => {
+                                    e.preventDefault();
+                                    if (replyBody.trim()) submit({ body: replyBody, parentId: comment.id });
+                                }}
+                            >
+                                {needsDetails && (
+                                    <div className="reply-inline-details">
+                                        <input type="text" placeholder="Name *" required value={form.author_name} onChange={updateForm('author_name')} />
+                                        <input type="email" placeholder="Email *" required value={form.author_email} onChange={updateForm('author_email')} />
+                                    </div>
+                                )}
+                                <textarea
+                                    placeholder={`Reply to ${comment.author_name}...`}
+                                    rows="3"
+                                    required
+                                    value={replyBody}
+                                    onChange={(e) => setReplyBody(e.target.value)}
+                                />
+                                <button type="submit" className="submit-reply-btn" disabled={submitting}>
+                                    Post Reply
+                                </button>
+                            </form>
+                        )}
+
+                        {comment.replies?.map((reply) => (
+                            <CommentItem key={reply.id} comment={reply} isReply onDelete={remove} />
+                        ))}
+                    </CommentItem>
+                ))}
+            </div>
+
+            {meta && meta.last_page > 1 && (
+                <nav className="comments-pagination" aria-label="Comment pages">
+                    <button disabled={page <= 1 || loading} onClick={() => load(page - 1)}>← Older</button>
+                    <span>Page {page} of {meta.last_page}</span>
+                    <button disabled={page >= meta.last_page || loading} onClick={() => load(page + 1)}>Newer →</button>
+                </nav>
+            )}
+
+            {notice && <p className="comments-notice" role="status">{notice}</p>}
+            {error && <p className="comments-error" role="alert">{error}</p>}
+
+            {/* Leave a Reply Form */}
+            <div className="reply-form">
+                <h3>Leave a Reply</h3>
+                <p className="form-note">Your email address will not be published. Required fields are marked <span className="required">*</span></p>
+
+                <form onSubmit={(e) => {
+                    e.preventDefault();
+                    if (form.body.trim()) submit({ body: form.body });
+                }}>
+                    <div className="form-row">
+                        <div className="form-group">
+                            <input type="text" placeholder="Name" required value={form.author_name} onChange={updateForm('author_name')} />
+                            <span className="required">*</span>
+                        </div>
+                        <div className="form-group">
+                            <input type="email" placeholder="Email" required value={form.author_email} onChange={updateForm('author_email')} />
+                            <span className="required">*</span>
+                        </div>
+                        <div className="form-group">
+                            <input type="url" placeholder="Website" value={form.author_website} onChange={updateForm('author_website')} />
+                        </div>
+                    </div>
+
+                    {/* Honeypot: hidden from people, filled in by bots */}
+                    <div className="comments-hp" aria-hidden="true">
+                        <label htmlFor="comment-company">Company</label>
+                        <input id="comment-company" type="text" tabIndex="-1" autoComplete="off" value={form.company} onChange={updateForm('company')} />
+                    </div>
+
+                    <div className="form-group textarea-group">
+                        <textarea placeholder="Add Comment" rows="6" required value={form.body} onChange={updateForm('body')} />
+                        <span className="required">*</span>
+                    </div>
+
+                    <div className="form-checkbox">
+                        <input
+                            type="checkbox"
+                            id="save-info"
+                            checked={saveInfo}
+                            onChange={(e) => setSaveInfo(e.target.checked)}
+                        />
+                        <label htmlFor="save-info">Save my name, email and website in this browser for the next time I comment.</label>
+                    </div>
+
+                    <button type="submit" className="submit-btn" disabled={submitting}>
+                        {submitting ? 'Posting...' : 'Post Comment'}
+                    </button>
+                </form>
+            </div>
+        </section>
+    );
+}
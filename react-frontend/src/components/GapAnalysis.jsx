@@ -1,23 +1,47 @@
+import { normalizeGapAnalysis, SCORE_RANGE } from '@shared/gapAnalysisSchema.js';
+import { matchTopicsToInsertions } from '../utils/gapAnalysis';
 import './GapAnalysis.css';
 
-export default function GapAnalysis({ analysis }) {
+function scoreLevel(score) {
+    if (score >= 8) return 'high';
+    if (score >= 5) return 'medium';
+    return 'low';
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.analysis - The article's stored gap_analysis
+ * @param {Array<{index: number, text: string}>} [props.insertions] - The article's <mark> insertions,
+ *   to link each missing topic to the paragraph that added it
+ * @param {(index: number) => void} [props.onJumpToInsertion]
+ */
+export default function GapAnalysis({ analysis: stored, insertions = [], onJumpToInsertion }) {
+    const analysis = normalizeGapAnalysis(stored);
     if (!analysis) return null;
 
-    const score = analysis.score || 75;
+    const score = analysis.overall_score;
+    const coveredBy = matchTopicsToInsertions(analysis.missing, insertions);
 
     return (
         <div className="gap-analysis">
-            <div className="score-section">
-                <div className="score-circle" style={{ '--score': score }}>
-                    <span>{score}</span>
-                </div>
-                <div className="score-label">
-                    <h4>Content Score</h4>
-                    <p>Based on AI analysis</p>
+            {score !== null && (
+                <div className="score-section">
+                    <div
+                        className={`score-circle ${scoreLevel(score)}`}
+                        style={{ '--score': (score / SCORE_RANGE.max) * 100 }}
+                        role="img"
+                        aria-label={`Score ${score} out of ${SCORE_RANGE.max}`}
+                    >
+                        <span>{score}</span>
+                    </div>
+                    <div className="score-label">
+                        <h4>Content Score</h4>
+                        <p>The original article against the top-ranking competitors, out of {SCORE_RANGE.max}</p>
+                    </div>
                 </div>
-            </div>
+            )}
 
-            {analysis.missing_topics?.length > 0 && (
+            {analysis.missing.length > 0 && (
                 <div className="analysis-card missing">
                     <h4>
                         <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
@@ -26,14 +50,37 @@ export default function GapAnalysis({ analysis }) {
                         Missing Topics
                     </h4>
                     <ul>
-                        {analysis.missing_topics.map((topic, i) => (
-                            <li key={i}>{topic}</li>
+                        {analysis.missing.map((topic, i) => (
+                            <li key={i}>
+                                {topic}
+                                {coveredBy[i] !== null && onJumpToInsertion && (
+                                    <button className="insertion-link" onClick={() => onJumpToInsertion(coveredBy[i])}>
+                                        See what was added →
+                                    </button>
+                                )}
+                            </li>
                         ))}
                     </ul>
                 </div>
             )}
 
-            {analysis.improvements?.length > 0 && (
+            {analysis.keywords_missing.length > 0 && (
+                <div className="analysis-card keywords">
+                    <h4>
+                        <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                            <path d="M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z" />
+                        </svg>
+                        Missing Keywords
+                    </h4>
+                    <div className="keyword-chips">
+                        {analysis.keywords_missing.map((keyword, i) => (
+                            <span key={i} className="keyword-chip">{keyword}</span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {analysis.improve.length > 0 && (
                 <div className="analysis-card improvements">
                     <h4>
                         <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
@@ -42,14 +89,14 @@ export default function GapAnalysis({ analysis }) {
                         Suggested Improvements
                     </h4>
                     <ul>
-                        {analysis.improvements.map((item, i) => (
+                        {analysis.improve.map((item, i) => (
                             <li key={i}>{item}</li>
                         ))}
                     </ul>
                 </div>
             )}
 
-            {analysis.strengths?.length > 0 && (
+            {analysis.strengths.length > 0 && (
                 <div className="analysis-card strengths">
                     <h4>
                         <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
@@ -65,7 +112,7 @@ export default function GapAnalysis({ analysis }) {
                 </div>
             )}
 
-            {analysis.recommendations?.length > 0 && (
+            {analysis.recommendations.length > 0 && (
                 <div className="analysis-card recommendations">
                     <h4>
                         <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
@@ -1,9 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import DOMPurify from 'dompurify';
-import { getArticle, getCompetitors } from '../services/api';
+import { getArticle, getCompetitors, getLikes, getShareUrl, likeArticle, unlikeArticle } from '../services/api';
+import { anchorInsertions, listInsertions } from '../utils/review';
+import { canShareNatively, copyToClipboard, shareLinks, shareNatively } from '../utils/share';
+import { resetPageMeta, setPageMeta } from '../utils/pageMeta';
+import { getVisitorId } from '../utils/visitor';
 import GapAnalysis from '../components/GapAnalysis';
 import CompetitorCard from '../components/CompetitorCard';
+import Comments from '../components/Comments';
 import Footer from '../components/Footer';
 import './ArticlePage.css';
 
@@ -18,76 +22,107 @@ function getDomain(url) {
     }
 }
 
+// The page's own address, without query string or hash
+function pageUrl() {
+    return window.location.origin + window.location.pathname;
+}
+
+// Meta description: the excerpt, or the start of the text
+function describe(article) {
+    if (article.excerpt) return article.excerpt;
+    const text = new DOMParser().parseFromString(article.content || '', 'text/html').body.textContent;
+    return text.replace(/\s+/g, ' ').trim().slice(0, 200);
+}
+
 export default function ArticlePage() {
     const { id } = useParams();
     const [article, setArticle] = useState(null);
     const [competitors, setCompetitors] = useState([]);
     const [loading, setLoading] = useState(true);
     const [showAnalysis, setShowAnalysis] = useState(true);
-    const [liked, setLiked] = useState(false);
-
-    // Comments state - load from localStorage
-    const defaultComments = [
-        {
-            id: 1,
-            author: 'Siddhant',
-            avatar: 'S',
-            date: 'APRIL 10, 2025 / 4:03 AM',
-            text: 'Marketing spends need to be better managed!!!',
-            replies: []
-        }
-    ];
+    const [visitorId] = useState(getVisitorId);
+    const [likes, setLikes] = useState({ count: 0, liked: false });
+    const [likePending, setLikePending] = useState(false);
+    const [copied, setCopied] = useState(false);
 
-    const [comments, setComments] = useState(() => {
-        const saved = localStorage.getItem(`comments-${id}`);
-        return saved ? JSON.parse(saved) : defaultComments;
-    });
-    const [commentForm, setCommentForm] = useState({ name: '', email: '', website: '', comment: '' });
-    const [replyingTo, setReplyingTo] = useState(null);
-    const [saveInfo, setSaveInfo] = useState(false);
-
-    // Save comments to localStorage whenever they change
     useEffect(() => {
-        localStorage.setItem(`comments-${id}`, JSON.stringify(comments));
-    }, [comments, id]);
+        async function fetchArticle() {
+            try {
+                setLoading(true);
+                const data = await getArticle(id);
+                setArticle(data);
+
+                if (data.status === 'updated' && data.competitor_articles?.length > 0) {
+                    setCompetitors(data.competitor_articles);
+                } else {
+                    const comp = await getCompetitors(id);
+                    setCompetitors(comp);
+                }
+            } catch (error) {
+                console.error('Failed to fetch article:', error);
+            } finally {
+                setLoading(false);
+            }
+        }
 
-    // Delete comment function
-    const deleteComment = (commentId) => {
-        setComments(comments.filter(c => c.id !== commentId));
-    };
+        fetchArticle();
+    }, [id]);
 
-    // Delete reply function
-    const deleteReply = (commentId, replyId) => {
-        setComments(comments.map(c =>
-            c.id === commentId
-                ? { ...c, replies: c.replies.filter(r => r.id !== replyId) }
-                : c
-        ));
-    };
+    const articleId = article?.id;
 
     useEffect(() => {
-        fetchArticle();
-    }, [id]);
+        if (!articleId) return;
+        getLikes(articleId, visitorId)
+            .then(setLikes)
+            .catch(error => console.error('Failed to fetch likes:', error));
+    }, [articleId, visitorId]);
+
+    useEffect(() => {
+        if (!article) return;
+        setPageMeta({
+            title: article.title,
+            description: describe(article),
+            image: article.featured_image,
+            url: pageUrl(),
+            type: 'article',
+        });
+        return resetPageMeta;
+    }, [article]);
+
+    async function toggleLike() {
+        if (!visitorId || likePending) return;
+
+        const previous = likes;
+        // Show the change straight away; the API answers with the real count
+        setLikes({ count: likes.count + (likes.liked ? -1 : 1), liked: !likes.liked });
+        setLikePending(true);
 
-    async function fetchArticle() {
         try {
-            setLoading(true);
-            const data = await getArticle(id);
-            setArticle(data);
-
-            if (data.status === 'updated' && data.competitor_articles?.length > 0) {
-                setCompetitors(data.competitor_articles);
-            } else {
-                const comp = await getCompetitors(id);
-                setCompetitors(comp);
-            }
+            setLikes(await (previous.liked ? unlikeArticle : likeArticle)(article.id, visitorId));
         } catch (error) {
-            console.error('Failed to fetch article:', error);
+            console.error('Failed to update like:', error);
+            setLikes(previous);
         } finally {
-            setLoading(false);
+            setLikePending(false);
+        }
+    }
+
+    async function copyLink() {
+        if (await copyToClipboard(pageUrl())) {
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
         }
     }
 
+    // Scroll to an added paragraph and flash it
+    const jumpToInsertion = (index) => {
+        const mark = document.getElementById(`insertion-${index}`);
+        if (!mark) return;
+        mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        mark.classList.add('jumped');
+        setTimeout(() => mark.classList.remove('jumped'), 2000);
+    };
+
     if (loading) {
         return (
             <div className="article-page loading">
@@ -123,6 +158,10 @@ export default function ArticlePage() {
         year: 'numeric'
     }).toUpperCase();
 
+    // Networks get the API's share page, which serves the Open Graph tags their crawlers need
+    const share = { url: getShareUrl(article), title: article.title, text: article.excerpt || '' };
+    const links = shareLinks(share);
+
     return (
         <div className="article-page">
             {/* Header */}
@@ -152,6 +191,12 @@ export default function ArticlePage() {
                     </Link>
                 </nav>
 
+                {isEnhanced && article.review_status && article.review_status !== 'published' && (
+                    <div className="review-banner">
+                        Not published yet ({article.review_status.replace('_', ' ')}). <Link to={`/review/${article.id}`}>Review it</Link>
+                    </div>
+                )}
+
                 {/* Article Content */}
                 <article className="article-content">
                     <header className="article-header">
@@ -160,226 +205,107 @@ export default function ArticlePage() {
                             <span className="author-name">{author.toUpperCase()}</span>
                             <span className="meta-separator">•</span>
                             <span className="article-date">{date}</span>
-                            <span className="meta-separator">•</span>
-                            <span className="article-categories">
-                                <a href="#"># CHATBOTS</a>, <a href="#">VIRTUAL ASSISTANTS</a>
-                            </span>
+                            {article.tags?.length > 0 && (
+                                <>
+                                    <span className="meta-separator">•</span>
+                                    <span className="article-categories">
+                                        {article.tags.map((tag, i) => (
+                                            <span key={tag.slug}>
+                                                {i > 0 && ', '}
+                                                <Link to={`/tags/${tag.slug}`}># {tag.name.toUpperCase()}</Link>
+                                            </span>
+                                        ))}
+                                    </span>
+                                </>
+                            )}
                         </div>
+                        {isEnhanced && article.original_article_id && (
+                            <Link to={`/articles/${article.id}/diff`} className="compare-link">
+                                Compare with original →
+                            </Link>
+                        )}
                     </header>
 
                     {/* Social Share Row */}
                     <div className="social-share-row">
                         <div className="engagement-stats">
-                            <button className={`stat-item like-btn ${liked ? 'liked' : ''}`} onClick={() => setLiked(!liked)}>
-                                <svg viewBox="0 0 24 24" fill={liked ? "currentColor" : "none"} stroke="currentColor" strokeWidth="2">
+                            <button
+                                className={`stat-item like-btn ${likes.liked ? 'liked' : ''}`}
+                                onClick={toggleLike}
+                                disabled={!visitorId}
+                                aria-pressed={likes.liked}
+                                title={likes.liked ? 'Unlike' : 'Like'}
+                            >
+                                <svg viewBox="0 0 24 24" fill={likes.liked ? "currentColor" : "none"} stroke="currentColor" strokeWidth="2">
                                     <path d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5" />
                                 </svg>
-                                <span>{liked ? 1 : 0}</span>
+                                <span>{likes.count}</span>
                             </button>
                             <button className="stat-item" onClick={() => document.getElementById('comments-section').scrollIntoView({ behavior: 'smooth' })} title="Jump to comments">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                     <path d="M21 15a2 2 0 01-2 2H7l-4 4V5a2 2 0 012-2h14a2 2 0 012 2v10z" />
                                 </svg>
-                                <span>{comments.length}</span>
+                                <span>{article.comments_count ?? 0}</span>
                             </button>
                         </div>
                         <div className="social-icons">
-                            <button className="social-icon" title="Facebook">
+                            <a className="social-icon" href={links.facebook} target="_blank" rel="noopener noreferrer" title="Share on Facebook">
                                 <svg viewBox="0 0 24 24" fill="currentColor"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z" /></svg>
-                            </button>
-                            <button className="social-icon" title="Twitter">
+                            </a>
+                            <a className="social-icon" href={links.twitter} target="_blank" rel="noopener noreferrer" title="Share on Twitter">
                                 <svg viewBox="0 0 24 24" fill="currentColor"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z" /></svg>
-                            </button>
-                            <button className="social-icon" title="LinkedIn">
+                            </a>
+                            <a className="social-icon" href={links.linkedin} target="_blank" rel="noopener noreferrer" title="Share on LinkedIn">
                                 <svg viewBox="0 0 24 24" fill="currentColor"><path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z" /></svg>
-                            </button>
-                            <button className="social-icon hide-mobile" title="WhatsApp">
+                            </a>
+                            <a className="social-icon hide-mobile" href={links.whatsapp} target="_blank" rel="noopener noreferrer" title="Share on WhatsApp">
                                 <svg viewBox="0 0 24 24" fill="currentColor"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z" /></svg>
-                            </button>
-                            <button className="social-icon hide-mobile" title="Email">
+                            </a>
+                            <a className="social-icon hide-mobile" href={links.email} title="Share by email">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z" /><polyline points="22,6 12,13 2,6" /></svg>
+                            </a>
+                            <button
+                                className={`social-icon ${copied ? 'copied' : ''}`}
+                                onClick={copyLink}
+                                title={copied ? 'Link copied' : 'Copy link'}
+                                aria-label={copied ? 'Link copied' : 'Copy link'}
+                            >
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71" /><path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71" /></svg>
                             </button>
+                            {/* The phone's own share sheet covers WhatsApp, email and the rest */}
+                            {canShareNatively() && (
+                                <button className="social-icon" onClick={() => shareNatively(share).catch(error => console.error('Share failed:', error))} title="Share">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="18" cy="5" r="3" /><circle cx="6" cy="12" r="3" /><circle cx="18" cy="19" r="3" /><path d="M8.59 13.51l6.83 3.98M15.41 6.51l-6.82 3.98" /></svg>
+                                </button>
+                            )}
                         </div>
                     </div>
 
                     {/* Article Body - Sanitized for Security */}
-                    <div className="article-body" dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(contentWithoutReferences) }} />
+                    <div className="article-body" dangerouslySetInnerHTML={{ __html: anchorInsertions(contentWithoutReferences) }} />
                 </article>
 
-                {/* Gap Analysis Panel - Removed as per request */}
+                {/* Gap Analysis Panel */}
+                {isEnhanced && article.gap_analysis && (
+                    <aside className="analysis-sidebar">
+                        <button className="toggle-analysis" onClick={() => setShowAnalysis(!showAnalysis)} aria-expanded={showAnalysis}>
+                            {showAnalysis ? 'Hide' : 'Show'} Gap Analysis
+                        </button>
+                        {showAnalysis && (
+                            <GapAnalysis
+                                analysis={article.gap_analysis}
+                                insertions={listInsertions(contentWithoutReferences)}
+                                onJumpToInsertion={jumpToInsertion}
+                            />
+                        )}
+                    </aside>
+                )}
 
                 {/* Competitor Articles Section - Removed as per request */}
                 {/* References - Removed as per request */}
 
                 {/* Comments Section */}
-                <section id="comments-section" className="comments-section">
-                    <h2>{comments.length} comment{comments.length !== 1 ? 's' : ''}</h2>
-
-                    <div className="comments-list">
-                        {comments.map((comment) => (
-                            <div key={comment.id} className="comment">
-                                <div className="comment-avatar">{comment.avatar}</div>
-                                <div className="comment-content">
-                                    <div className="comment-header">
-                                        <span className="comment-author">{comment.author}</span>
-                                        <span className="comment-meta">{comment.date}</span>
-                                        <div className="comment-actions">
-                                            <button
-                                                className="comment-reply-btn"
-                                                onClick={() => setReplyingTo(replyingTo === comment.id ? null : comment.id)}
-                                            >
-                                                {replyingTo === comment.id ? 'CANCEL' : 'REPLY'}
-                                            </button>
-                                            <button
-                                                className="comment-delete-btn"
-                                                onClick={() => deleteComment(comment.id)}
-                                                title="Delete comment"
-                                            >
-                                                DELETE
-                                            </button>
-                                        </div>
-                                    </div>
-                                    <p className="comment-text">{comment.text}</p>
-
-                                    {/* Reply Form */}
-                                    {replyingTo === comment.id && (
-                                        <div className="reply-inline-form">
-                                            <textarea
-                                                placeholder={`Reply to ${comment.author}...`}
-                                                rows="3"
-                                                value={commentForm.comment}
-                                                onChange={(e) => setCommentForm({ ...commentForm, comment: e.target.value })}
-                                            />
-                                            <button
-                                                className="submit-reply-btn"
-                                                onClick={() => {
-                                                    if (commentForm.comment.trim()) {
-                                                        const newReply = {
-                                                            id: Date.now(),
-                                                            author: commentForm.name || 'Anonymous',
-                                                            avatar: (commentForm.name || 'A')[0].toUpperCase(),
-                                                            date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }).toUpperCase() + ' / ' + new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true }),
-                                                            text: commentForm.comment
-                                                        };
-                                                        setComments(comments.map(c =>
-                                                            c.id === comment.id
-                                                                ? { ...c, replies: [...(c.replies || []), newReply] }
-                                                                : c
-                                                        ));
-                                                        setCommentForm({ ...commentForm, comment: '' });
-                                                        setReplyingTo(null);
-                                                    }
-                                                }}
-                                            >
-                                                Post Reply
-                                            </button>
-                                        </div>
-                                    )}
-
-                                    {comment.replies?.map((reply) => (
-                                        <div key={reply.id} className="comment reply">
-                                            <div className="comment-avatar small">{reply.avatar}</div>
-                                            <div className="comment-content">
-                                                <div className="comment-header">
-                                                    <span className="comment-author">{reply.author}</span>
-                                                    <span className="comment-meta">{reply.date}</span>
-                                                    <button
-                                                        className="comment-delete-btn"
-                                                        onClick={() => deleteReply(comment.id, reply.id)}
-                                                        title="Delete reply"
-                                                    >
-                                                        DELETE
-                                                    </button>
-                                                </div>
-                                                <p className="comment-text">{reply.text}</p>
-                                            </div>
-                                        </div>
-                                    ))}
-                                </div>
-                            </div>
-                        ))}
-                    </div>
-
-                    {/* Leave a Reply Form */}
-                    <div className="reply-form">
-                        <h3>Leave a Reply</h3>
-                        <p className="form-note">Your email address will not be published. Required fields are marked <span className="required">*</span></p>
-
-                        <form onSubmit={(e) => {
-                            e.preventDefault();
-                            if (commentForm.name && commentForm.email && commentForm.comment) {
-                                const newComment = {
-                                    id: Date.now(),
-                                    author: commentForm.name,
-                                    avatar: commentForm.name[0].toUpperCase(),
-                                    date: new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }).toUpperCase() + ' / ' + new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true }),
-                                    text: commentForm.comment,
-                                    replies: []
-                                };
-                                setComments([...comments, newComment]);
-                                if (!saveInfo) {
-                                    setCommentForm({ name: '', email: '', website: '', comment: '' });
-                                } else {
-                                    setCommentForm({ ...commentForm, comment: '' });
-                                }
-                            }
-                        }}>
-                            <div className="form-row">
-                                <div className="form-group">
-                                    <input
-                                        type="text"
-                                        placeholder="Name"
-                                        required
-                                        value={commentForm.name}
-                                        onChange={(e) => setCommentForm({ ...commentForm, name: e.target.value })}
-                                    />
-                                    <span className="required">*</span>
-                                </div>
-                                <div className="form-group">
-                                    <input
-                                        type="email"
-                                        placeholder="Email"
-                                        required
-                                        value={commentForm.email}
-                                        onChange={(e) => setCommentForm({ ...commentForm, email: e.target.value })}
-                                    />
-                                    <span className="required">*</span>
-                                </div>
-                                <div className="form-group">
-                                    <input
-                                        type="url"
-                                        placeholder="Website"
-                                        value={commentForm.website}
-                                        onChange={(e) => setCommentForm({ ...commentForm, website: e.target.value })}
-                                    />
-                                </div>
-                            </div>
-
-                            <div className="form-group textarea-group">
-                                <textarea
-                                    placeholder="Add Comment"
-                                    rows="6"
-                                    required
-                                    value={commentForm.comment}
-                                    onChange={(e) => setCommentForm({ ...commentForm, comment: e.target.value })}
-                                />
-                                <span className="required">*</span>
-                            </div>
-
-                            <div className="form-checkbox">
-                                <input
-                                    type="checkbox"
-                                    id="save-info"
-                                    checked={saveInfo}
-                                    onChange={(e) => setSaveInfo(e.target.checked)}
-                                />
-                                <label htmlFor="save-info">Save my name, email and website in this browser for the next time I comment.</label>
-                            </div>
-
-                            <button type="submit" className="submit-btn">Post Comment</button>
-                        </form>
-                    </div>
-                </section>
+                <Comments articleId={article.id} />
 
                 {/* Reference Articles */}
                 <section className="related-articles-section">
@@ -419,7 +345,11 @@ export default function ArticlePage() {
                                         )}
                                     </div>
                                     <h3>{comp.title || `Reference Article ${i + 1}`}</h3>
-                                    <p className="related-meta">Source: {getDomain(comp.source_url)}</p>
+                                    <p className="related-meta">
+                                        Source: {comp.site_name || getDomain(comp.source_url)}
+                                        {comp.author && ` · ${comp.author}`}
+                                        {comp.published_at && ` · ${new Date(comp.published_at).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}`}
+                                    </p>
                                     <p className="related-excerpt">
                                         {comp.content_summary?.substring(0, 120) || 'This reference article was analyzed to enhance the original content with additional insights.'}...
                                     </p>
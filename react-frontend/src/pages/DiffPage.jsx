@@ -0,0 +1,247 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { getArticle, getArticleVersion, getArticleVersions } from '../services/api';
+import { diffArticles } from '../utils/articleDiff';
+import Footer from '../components/Footer';
+import './ArticlePage.css';
+import './DiffPage.css';
+
+function formatDate(value) {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+export default function DiffPage() {
+    const { id } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [article, setArticle] = useState(null);
+    const [original, setOriginal] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [version, setVersion] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [current, setCurrent] = useState(-1);
+    const additionRefs = useRef([]);
+
+    const mode = searchParams.get('mode') === 'inline' ? 'inline' : 'split';
+    const selectedVersion = searchParams.get('version');
+
+    // The enhanced article, its original and its version list
+    useEffect(() => {
+        let cancelled = false;
+
+        async function load() {
+            try {
+                setLoading(true);
+                setError(null);
+                const enhanced = await getArticle(id);
+                if (!enhanced.original_article_id) {
+                    throw new Error('This article has no original to compare with.');
+                }
+                const [originalArticle, history] = await Promise.all([
+                    getArticle(enhanced.original_article_id),
+                    // The version history is for reviewers; readers compare the published text
+                    getArticleVersions(enhanced.id).catch(err => {
+                        if (err.response?.status === 403) return [];
+                        throw err;
+                    }),
+                ]);
+                if (cancelled) return;
+                setArticle(enhanced);
+                setOriginal(originalArticle);
+                setVersions(history);
+            } catch (err) {
+                if (!cancelled) setError(err.message || 'Failed to load article');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        }
+
+        load();
+        return () => { cancelled = true; };
+    }, [id]);
+
+    // The selected version's content (the latest unless ?version= says otherwise)
+    useEffect(() => {
+        if (!article || versions.length === 0) return;
+        let cancelled = false;
+
+        const number = selectedVersion || versions[0].version;
+        getArticleVersion(article.id, number)
+            .then(data => { if (!cancelled) setVersion(data); })
+            .catch(() => { if (!cancelled) setError(`Version ${number} not found`); });
+
+        return () => { cancelled = true; };
+    }, [article, versions, selectedVersion]);
+
+    // Articles enhanced before versions were recorded compare against their current content
+    const enhancedContent = version?.content ?? (versions.length === 0 ? article?.content : null);
+
+    const rows = useMemo(
+        () => (original && enhancedContent != null ? diffArticles(original.content, enhancedContent) : []),
+        [original, enhancedContent]
+    );
+    const additionCount = rows.filter(row => row.addition).length;
+
+    // Start the addition counter over whenever another version is compared
+    const [currentRows, setCurrentRows] = useState(rows);
+    if (currentRows !== rows) {
+        setCurrentRows(rows);
+        setCurrent(-1);
+    }
+
+    function jumpTo(index) {
+        if (additionCount === 0) return;
+        const next = (index + additionCount) % additionCount;
+        setCurrent(next);
+        additionRefs.current[next]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    function updateParams(changes) {
+        const params = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) params.delete(key);
+            else params.set(key, value);
+        });
+        setSearchParams(params, { replace: true });
+    }
+
+    if (loading) {
+        return (
+            <div className="article-page loading">
+                <div className="spinner"></div>
+                <p>Loading comparison...</p>
+            </div>
+        );
+    }
+
+    if (error || !article) {
+        return (
+            <div className="article-page error">
+                <h2>{error || 'Article not found'}</h2>
+                <Link to={`/articles/${id}`}>← Back to Article</Link>
+            </div>
+        );
+    }
+
+    let additionIndex = -1;
+
+    return (
+        <div className="article-page diff-page">
+            <header className="header">
+                <Link to="/" className="logo">
+                    <div className="logo-icon">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.58 0-3.08-.42-4.38-1.17l-.31-.18-3.22.89.89-3.22-.18-.31C4.42 15.08 4 13.58 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z" />
+                        </svg>
+                    </div>
+                    <span>BeyondChats</span>
+                </Link>
+            </header>
+
+            <div className="diff-container">
+                <nav className="breadcrumb">
+                    <Link to={`/articles/${article.slug || article.id}`}>
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16" style={{ marginRight: '6px', verticalAlign: 'middle' }}>
+                            <path d="M19 12H5M12 19l-7-7 7-7" />
+                        </svg>
+                        Back to Article
+                    </Link>
+                </nav>
+
+                <h1 className="diff-title">{article.title}</h1>
+
+                {/* Version, view mode and addition navigation */}
+                <div className="diff-toolbar">
+                    {versions.length > 0 && (
+                        <label className="diff-version-select">
+                            Version
+                            <select
+                                value={version?.version ?? versions[0].version}
+                                onChange={(e) => updateParams({ version: e.target.value })}
+                            >
+                                {versions.map(v => (
+                                    <option key={v.version} value={v.version}>
+                                        v{v.version} · {formatDate(v.enhanced_at || v.created_at)}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+
+                    <div className="diff-mode-toggle" role="group" aria-label="Diff layout">
+                        <button className={mode === 'split' ? 'active' : ''} onClick={() => updateParams({ mode: null })}>
+                            Side by side
+                        </button>
+                        <button className={mode === 'inline' ? 'active' : ''} onClick={() => updateParams({ mode: 'inline' })}>
+                            Inline
+                        </button>
+                    </div>
+
+                    <div className="diff-nav">
+                        <button onClick={() => jumpTo(current - 1)} disabled={additionCount === 0} title="Previous addition">↑</button>
+                        <span>
+                            {additionCount === 0
+                                ? 'No additions'
+                                : `${current >= 0 ? current + 1 : '–'} / ${additionCount} addition${additionCount !== 1 ? 's' : ''}`}
+                        </span>
+                        <button onClick={() => jumpTo(current + 1)} disabled={additionCount === 0} title="Next addition">↓</button>
+                    </div>
+                </div>
+
+                {version && (
+                    <p className="diff-version-meta">
+                        {[
+                            version.model && `Model: ${version.model}`,
+                            version.provider && `Provider: ${version.provider}`,
+                            version.prompt_version && `Prompt: ${version.prompt_version}`,
+                            `Enhanced ${formatDate(version.enhanced_at || version.created_at)}`,
+                        ].filter(Boolean).join(' · ')}
+                        {version.competitors?.length > 0 && (
+                            <>
+                                {' · Competitors: '}
+                                {version.competitors.map((competitor, i) => (
+                                    <span key={competitor.url}>
+                                        {i > 0 && ', '}
+                                        <a href={competitor.url} target="_blank" rel="noopener noreferrer">{competitor.title || competitor.url}</a>
+                                    </span>
+                                ))}
+                            </>
+                        )}
+                    </p>
+                )}
+
+                <div className={`diff-view ${mode}`}>
+                    {mode === 'split' && (
+                        <div className="diff-row diff-headings">
+                            <div>Original</div>
+                            <div>Enhanced</div>
+                        </div>
+                    )}
+
+                    {rows.map((row, i) => {
+                        const index = row.addition ? ++additionIndex : null;
+                        const ref = row.addition ? (el) => { additionRefs.current[index] = el; } : undefined;
+                        const className = `diff-row ${row.type}${row.addition ? ' addition' : ''}${index !== null && index === current ? ' current' : ''}`;
+
+                        if (mode === 'inline') {
+                            const block = row.enhanced || row.original;
+                            return (
+                                <div key={i} ref={ref} className={`${className} article-body`} dangerouslySetInnerHTML={{ __html: block.html }} />
+                            );
+                        }
+
+                        return (
+                            <div key={i} ref={ref} className={className}>
+                                <div className="diff-cell article-body" dangerouslySetInnerHTML={{ __html: row.original?.html || '' }} />
+                                <div className="diff-cell article-body" dangerouslySetInnerHTML={{ __html: row.enhanced?.html || '' }} />
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <Footer />
+        </div>
+    );
+}
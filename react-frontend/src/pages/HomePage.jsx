@@ -1,82 +1,128 @@
-import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { getArticles } from '../services/api';
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getArticles, getTags } from '../services/api';
 import ArticleCard from '../components/ArticleCard';
 import Footer from '../components/Footer';
 import './HomePage.css';
 
+const SORT_LABELS = {
+    relevance: 'Best match',
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    title: 'Title (A–Z)',
+};
+
+const ARTICLES_PER_PAGE = 10;
+const SEARCH_DELAY = 300;
+
 export default function HomePage() {
+    // Search, filters and page live in the URL, so a search can be shared or bookmarked
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = searchParams.get('q') || '';
+    const filter = searchParams.get('status') === 'original' ? 'original' : 'updated';
+    const tagFilter = searchParams.get('tag') || '';
+    const from = searchParams.get('from') || '';
+    const to = searchParams.get('to') || '';
+    const sort = SORT_LABELS[searchParams.get('sort')] ? searchParams.get('sort') : '';
+    const currentPage = Math.max(1, Number(searchParams.get('page')) || 1);
+
     const [articles, setArticles] = useState([]);
-    const [filter, setFilter] = useState('updated');
+    const [tags, setTags] = useState([]);
+    const [meta, setMeta] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [searchQuery, setSearchQuery] = useState('');
-    const [topicFilter, setTopicFilter] = useState('');
+    const [searchInput, setSearchInput] = useState(query);
+    const [syncedQuery, setSyncedQuery] = useState(query);
+    const [suggestions, setSuggestions] = useState([]);
     const [showSuggestions, setShowSuggestions] = useState(false);
-    const [currentPage, setCurrentPage] = useState(1);
-    const articlesPerPage = 10;
-
-    useEffect(() => {
-        fetchArticles();
-    }, []);
 
-    async function fetchArticles() {
-        try {
-            // Check sessionStorage cache first (5 min TTL)
-            const cached = sessionStorage.getItem('articles_cache');
-            const cacheTime = sessionStorage.getItem('articles_cache_time');
-            const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+    // Back/forward can change the query under the search box
+    if (query !== syncedQuery) {
+        setSyncedQuery(query);
+        setSearchInput(query);
+    }
 
-            if (cached && cacheTime && (Date.now() - parseInt(cacheTime)) < CACHE_TTL) {
-                setArticles(JSON.parse(cached));
-                setLoading(false);
-                return;
-            }
+    // Empty values are dropped from the URL; any change but the page starts again from page 1
+    const updateParams = useCallback((changes, options) => {
+        setSearchParams(previous => {
+            const next = new URLSearchParams(previous);
+            Object.entries(changes).forEach(([key, value]) => (value ? next.set(key, value) : next.delete(key)));
+            if (!('page' in changes)) next.delete('page');
+            return next;
+        }, options);
+    }, [setSearchParams]);
 
-            setLoading(true);
-            const data = await getArticles();
-            setArticles(data);
+    useEffect(() => {
+        let cancelled = false;
 
-            // Store in sessionStorage
-            sessionStorage.setItem('articles_cache', JSON.stringify(data));
-            sessionStorage.setItem('articles_cache_time', Date.now().toString());
-        } catch (error) {
-            console.error('Failed to fetch articles:', error);
-        } finally {
-            setLoading(false);
+        async function fetchArticles() {
+            try {
+                setLoading(true);
+                const result = await getArticles({
+                    q: query,
+                    status: filter,
+                    tag: tagFilter,
+                    from,
+                    to,
+                    sort,
+                    page: currentPage,
+                    perPage: ARTICLES_PER_PAGE,
+                });
+                if (cancelled) return;
+                setArticles(result.data);
+                setMeta(result.meta);
+            } catch (error) {
+                console.error('Failed to fetch articles:', error);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
         }
-    }
 
-    // Filter and search articles, then sort by date (newest first)
-    const filteredArticles = articles
-        .filter(a => filter === 'all' || a.status === filter)
-        .filter(a =>
-            searchQuery === '' ||
-            a.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            a.excerpt?.toLowerCase().includes(searchQuery.toLowerCase())
-        )
-        .filter(a =>
-            topicFilter === '' ||
-            a.title?.toLowerCase().includes(topicFilter.toLowerCase()) ||
-            a.excerpt?.toLowerCase().includes(topicFilter.toLowerCase())
-        )
-        .sort((a, b) => {
-            const dateA = new Date(a.published_at || a.created_at);
-            const dateB = new Date(b.published_at || b.created_at);
-            return dateB - dateA; // Newest first
-        });
+        fetchArticles();
+        return () => { cancelled = true; };
+    }, [query, filter, tagFilter, from, to, sort, currentPage]);
+
+    useEffect(() => {
+        getTags()
+            .then(setTags)
+            .catch(error => console.error('Failed to fetch tags:', error));
+    }, []);
 
-    // Pagination
-    const totalPages = Math.ceil(filteredArticles.length / articlesPerPage);
-    const startIndex = (currentPage - 1) * articlesPerPage;
-    const paginatedArticles = filteredArticles.slice(startIndex, startIndex + articlesPerPage);
+    // Search as the reader types, once they pause; typing replaces the history entry
+    useEffect(() => {
+        const terms = searchInput.trim();
+        if (terms === query) return;
 
-    const originalCount = articles.filter(a => a.status === 'original').length;
-    const updatedCount = articles.filter(a => a.status === 'updated').length;
+        const timer = setTimeout(() => updateParams({ q: terms, sort: '' }, { replace: true }), SEARCH_DELAY);
+        return () => clearTimeout(timer);
+    }, [searchInput, query, updateParams]);
 
-    // Reset to page 1 when filter or search changes
+    // Suggestions come from every published article, whichever tab is open
     useEffect(() => {
-        setCurrentPage(1);
-    }, [filter, searchQuery, topicFilter]);
+        const terms = searchInput.trim();
+        let cancelled = false;
+
+        const timer = setTimeout(async () => {
+            if (!terms) {
+                setSuggestions([]);
+                return;
+            }
+            try {
+                const result = await getArticles({ q: terms, sort: 'relevance', perPage: 6 });
+                if (!cancelled) setSuggestions(result.data);
+            } catch (error) {
+                console.error('Failed to fetch suggestions:', error);
+            }
+        }, SEARCH_DELAY);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [searchInput]);
+
+    const totalPages = meta?.last_page ?? 0;
+    const originalCount = meta?.counts?.original ?? 0;
+    const updatedCount = meta?.counts?.updated ?? 0;
 
     // Generate page numbers
     const getPageNumbers = () => {
@@ -118,15 +164,27 @@ export default function HomePage() {
                         <input
                             type="text"
                             placeholder="Search articles..."
-                            value={searchQuery}
+                            value={searchInput}
                             onChange={(e) => {
-                                setSearchQuery(e.target.value);
+                                setSearchInput(e.target.value);
                                 setShowSuggestions(e.target.value.length > 0);
                             }}
-                            onFocus={() => setShowSuggestions(searchQuery.length > 0)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                    updateParams({ q: searchInput.trim(), sort: '' });
+                                    setShowSuggestions(false);
+                                }
+                            }}
+                            onFocus={() => setShowSuggestions(searchInput.length > 0)}
                             onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
                         />
-                        <button>
+                        <button
+                            aria-label="Search"
+                            onClick={() => {
+                                updateParams({ q: searchInput.trim(), sort: '' });
+                                setShowSuggestions(false);
+                            }}
+                        >
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
                                 <circle cx="11" cy="11" r="8" />
                                 <path d="M21 21l-4.35-4.35" />
@@ -134,29 +192,21 @@ export default function HomePage() {
                         </button>
 
                         {/* Autocomplete Suggestions */}
-                        {showSuggestions && searchQuery && (
+                        {showSuggestions && searchInput && (
                             <div className="search-suggestions">
-                                {articles
-                                    .filter(a =>
-                                        a.title?.toLowerCase().includes(searchQuery.toLowerCase())
-                                    )
-                                    .slice(0, 6)
-                                    .map(article => (
-                                        <Link
-                                            key={article.id}
-                                            to={article.status === 'updated' ? `/articles/${article.slug || article.id}` : `/blogs/${article.slug || article.id}`}
-                                            className="suggestion-item"
-                                            onClick={() => setShowSuggestions(false)}
-                                        >
-                                            {article.title}
-                                        </Link>
-                                    ))
-                                }
-                                {articles.filter(a =>
-                                    a.title?.toLowerCase().includes(searchQuery.toLowerCase())
-                                ).length === 0 && (
-                                        <div className="no-suggestions">No articles found</div>
-                                    )}
+                                {suggestions.map(article => (
+                                    <Link
+                                        key={article.id}
+                                        to={article.status === 'updated' ? `/articles/${article.slug || article.id}` : `/blogs/${article.slug || article.id}`}
+                                        className="suggestion-item"
+                                        onClick={() => setShowSuggestions(false)}
+                                    >
+                                        {article.title}
+                                    </Link>
+                                ))}
+                                {suggestions.length === 0 && (
+                                    <div className="no-suggestions">No articles found</div>
+                                )}
                             </div>
                         )}
                     </div>
@@ -165,36 +215,58 @@ export default function HomePage() {
 
             {/* Status Filters */}
             <div className="filter-bar">
-                <button className={filter === 'updated' ? 'active' : ''} onClick={() => setFilter('updated')}>
+                <button className={filter === 'updated' ? 'active' : ''} onClick={() => updateParams({ status: '' })}>
                     <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14">
                         <path d="M12 2L9.19 8.63 2 9.24l5.46 4.73L5.82 21 12 17.27 18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2z" />
                     </svg>
                     Enhanced ({updatedCount})
                 </button>
-                <button className={filter === 'original' ? 'active' : ''} onClick={() => setFilter('original')}>
+                <button className={filter === 'original' ? 'active' : ''} onClick={() => updateParams({ status: 'original' })}>
                     Original ({originalCount})
                 </button>
             </div>
 
             {/* Main Content */}
             <main className="main-content full-width">
-                {/* Popular Topics - Horizontal Scroll */}
+                {/* Tags - Horizontal Scroll, with counts for the open tab */}
                 <div className="topics-bar">
-                    {['AI Chatbots', 'Customer Support', 'Lead Generation', 'Healthcare', 'Small Business', 'SEO', 'Virtual Assistants', 'E-commerce', 'Conversational AI', 'Customer Experience'].map(topic => (
-                        <button
-                            key={topic}
-                            className={`topic-tag ${topicFilter === topic ? 'active' : ''}`}
-                            onClick={() => {
-                                if (topicFilter === topic) {
-                                    setTopicFilter('');
-                                } else {
-                                    setTopicFilter(topic);
-                                }
-                            }}
-                        >
-                            # {topic}
+                    {tags
+                        .filter(tag => tag[`${filter}_count`] > 0 || tag.slug === tagFilter)
+                        .map(tag => (
+                            <button
+                                key={tag.slug}
+                                className={`topic-tag ${tagFilter === tag.slug ? 'active' : ''}`}
+                                onClick={() => updateParams({ tag: tagFilter === tag.slug ? '' : tag.slug })}
+                            >
+                                # {tag.name} ({tag[`${filter}_count`]})
+                            </button>
+                        ))}
+                </div>
+
+                <div className="list-controls">
+                    <label>
+                        Sort
+                        <select value={sort || (query ? 'relevance' : 'newest')} onChange={(e) => updateParams({ sort: e.target.value })}>
+                            {Object.entries(SORT_LABELS)
+                                .filter(([value]) => value !== 'relevance' || query)
+                                .map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                        </select>
+                    </label>
+                    <label>
+                        From
+                        <input type="date" value={from} max={to || undefined} onChange={(e) => updateParams({ from: e.target.value })} />
+                    </label>
+                    <label>
+                        To
+                        <input type="date" value={to} min={from || undefined} onChange={(e) => updateParams({ to: e.target.value })} />
+                    </label>
+                    {(from || to) && (
+                        <button className="clear-dates" onClick={() => updateParams({ from: '', to: '' })}>
+                            Clear dates
                         </button>
-                    ))}
+                    )}
                 </div>
 
                 <div className="articles-list">
@@ -203,9 +275,9 @@ export default function HomePage() {
                             <div className="spinner"></div>
                             <p>Loading articles...</p>
                         </div>
-                    ) : paginatedArticles.length > 0 ? (
+                    ) : articles.length > 0 ? (
                         <>
-                            {paginatedArticles.map(article => (
+                            {articles.map(article => (
                                 <ArticleCard key={article.id} article={article} />
                             ))}
 
@@ -214,7 +286,7 @@ export default function HomePage() {
                                 <div className="pagination">
                                     <button
                                         className="page-btn prev"
-                                        onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
+                                        onClick={() => updateParams({ page: currentPage - 1 })}
                                         disabled={currentPage === 1}
                                     >
                                         ← PREV
@@ -228,7 +300,7 @@ export default function HomePage() {
                                                 <button
                                                     key={page}
                                                     className={`page-num ${currentPage === page ? 'active' : ''}`}
-                                                    onClick={() => setCurrentPage(page)}
+                                                    onClick={() => updateParams({ page })}
                                                 >
                                                     {page}
                                                 </button>
@@ -238,8 +310,8 @@ export default function HomePage() {
 
                                     <button
                                         className="page-btn next"
-                                        onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
-                                        disabled={currentPage === totalPages}
+                                        onClick={() => updateParams({ page: currentPage + 1 })}
+                                        disabled={currentPage >= totalPages}
                                     >
                                         NEXT →
                                     </button>
@@ -248,7 +320,7 @@ export default function HomePage() {
                         </>
                     ) : (
                         <div className="no-articles">
-                            <p>No articles found{searchQuery && ` for "${searchQuery}"`}.</p>
+                            <p>No articles found{query && ` for "${query}"`}.</p>
                         </div>
                     )}
                 </div>
@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getModerationQueue, moderateComment } from '../services/api';
+import Footer from '../components/Footer';
+import './ArticlePage.css';
+import './ReviewPage.css';
+import './ModerationPage.css';
+
+const STATUSES = ['pending', 'spam', 'rejected', 'approved'];
+
+const STATUS_LABELS = {
+    pending: 'Pending',
+    spam: 'Spam',
+    rejected: 'Rejected',
+    approved: 'Approved',
+};
+
+// Kept for the browser session only
+const TOKEN_KEY = 'moderator-token';
+
+export default function ModerationPage() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [comments, setComments] = useState([]);
+    const [meta, setMeta] = useState(null);
+    const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || '');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const status = STATUSES.includes(searchParams.get('status')) ? searchParams.get('status') : 'pending';
+    const page = Number(searchParams.get('page')) || 1;
+
+    const load = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const result = await getModerationQueue({ status, page, token: sessionStorage.getItem(TOKEN_KEY) || '' });
+            setComments(result.data);
+            setMeta(result.meta);
+        } catch (err) {
+            setComments([]);
+            setError(err.response?.data?.message || err.message || 'Failed to load comments');
+        } finally {
+            setLoading(false);
+        }
+    }, [status, page]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    function saveToken(e) {
+        e.preventDefault();
+        sessionStorage.setItem(TOKEN_KEY, token);
+        load();
+    }
+
+    async function moderate(commentId, newStatus) {
+        try {
+            await moderateComment(commentId, newStatus, token);
+            setComments(comments.filter(comment => comment.id !== commentId));
+        } catch (err) {
+            setError(err.response?.data?.message || err.message || 'Moderation failed');
+        }
+    }
+
+    return (
+        <div className="article-page review-page">
+            <header className="header">
+                <Link to="/" className="logo">
+                    <div className="logo-icon">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.58 0-3.08-.42-4.38-1.17l-.31-.18-3.22.89.89-3.22-.18-.31C4.42 15.08 4 13.58 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z" />
+                        </svg>
+                    </div>
+                    <span>BeyondChats</span>
+                </Link>
+            </header>
+
+            <div className="article-container">
+                <h1 className="review-title">Comment moderation</h1>
+
+                <form className="moderation-token" onSubmit={saveToken}>
+                    <input
+                        type="password"
+                        placeholder="Moderator token"
+                        value={token}
+                        onChange={(e) => setToken(e.target.value)}
+                    />
+                    <button type="submit">Use token</button>
+                </form>
+
+                <div className="review-tabs">
+                    {STATUSES.map(value => (
+                        <button
+                            key={value}
+                            className={status === value ? 'active' : ''}
+                            onClick={() => setSearchParams({ status: value }, { replace: true })}
+                        >
+                            {STATUS_LABELS[value]}{status === value && meta ? ` (${meta.total})` : ''}
+                        </button>
+                    ))}
+                </div>
+
+                {loading && <div className="spinner"></div>}
+                {error && <p className="review-error">{error}</p>}
+
+                {!loading && !error && comments.length === 0 && (
+                    <p className="review-empty">No {STATUS_LABELS[status].toLowerCase()} comments.</p>
+                )}
+
+                <ul className="moderation-list">
+                    {comments.map(comment => (
+                        <li key={comment.id}>
+                            <div className="moderation-meta">
+                                <strong>{comment.author_name}</strong>
+                                {' · '}{comment.author_email}
+                                {comment.ip_address && ` · ${comment.ip_address}`}
+                                {' · '}{new Date(comment.created_at).toLocaleString('en-US')}
+                            </div>
+                            <div className="moderation-meta">
+                                On <Link to={`/blogs/${comment.article?.slug || comment.article_id}`}>{comment.article?.title || `article ${comment.article_id}`}</Link>
+                                {comment.parent && `, replying to ${comment.parent.author_name}`}
+                            </div>
+                            <p className="moderation-body">{comment.body}</p>
+                            <div className="moderation-actions">
+                                {STATUSES.filter(value => value !== status).map(value => (
+                                    <button key={value} className={value} onClick={() => moderate(comment.id, value)}>
+                                        {value === 'approved' ? 'Approve' : value === 'rejected' ? 'Reject' : value === 'spam' ? 'Spam' : 'Back to pending'}
+                                    </button>
+                                ))}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+
+                {meta && meta.last_page > 1 && (
+                    <div className="review-tabs">
+                        <button disabled={page <= 1} onClick={() => setSearchParams({ status, page: page - 1 })}>← Previous</button>
+                        <button disabled={page >= meta.last_page} onClick={() => setSearchParams({ status, page: page + 1 })}>Next →</button>
+                    </div>
+                )}
+            </div>
+
+            <Footer />
+        </div>
+    );
+}
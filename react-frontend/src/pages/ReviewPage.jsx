@@ -0,0 +1,248 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getArticle, reviewArticle } from '../services/api';
+import {
+    DECISION,
+    REVIEW_LABELS,
+    annotateInsertions,
+    applyDecisions,
+    carryOverDecisions,
+    listInsertions,
+} from '../utils/review';
+import Footer from '../components/Footer';
+import './ArticlePage.css';
+import './ReviewPage.css';
+
+// Insertions can only be accepted or rejected while the article is still being reviewed
+const EDITABLE = ['draft', 'in_review'];
+
+export default function ReviewPage() {
+    const { id } = useParams();
+    const [article, setArticle] = useState(null);
+    const [decisions, setDecisions] = useState({});
+    const [current, setCurrent] = useState(-1);
+    const [note, setNote] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const previewRef = useRef(null);
+
+    useEffect(() => {
+        getArticle(id)
+            .then(data => {
+                setArticle(data);
+                setNote(data.review_note || '');
+            })
+            .catch(err => setError(err.response?.data?.message || err.message || 'Failed to load article'))
+            .finally(() => setLoading(false));
+    }, [id]);
+
+    const insertions = useMemo(() => listInsertions(article?.content), [article]);
+    const preview = useMemo(
+        () => annotateInsertions(article?.content, decisions, current),
+        [article, decisions, current]
+    );
+
+    if (loading) {
+        return (
+            <div className="article-page loading">
+                <div className="spinner"></div>
+                <p>Loading article...</p>
+            </div>
+        );
+    }
+
+    if (!article) {
+        return (
+            <div className="article-page error">
+                <h2>{error || 'Article not found'}</h2>
+                <Link to="/review">← Back to Review Queue</Link>
+            </div>
+        );
+    }
+
+    const editable = EDITABLE.includes(article.review_status);
+    const pending = insertions.length - Object.keys(decisions).length;
+    const rejected = Object.values(decisions).filter(decision => decision === DECISION.REJECTED).length;
+
+    function decide(index, decision) {
+        setDecisions(previous => ({ ...previous, [index]: decision }));
+        setCurrent(index);
+    }
+
+    function decideAll(decision) {
+        setDecisions(Object.fromEntries(insertions.map(insertion => [insertion.index, decision])));
+    }
+
+    function focus(index) {
+        setCurrent(index);
+        previewRef.current
+            ?.querySelector(`[data-insertion="${index}"]`)
+            ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Clicking an insertion in the preview selects it in the list
+    function handlePreviewClick(e) {
+        const mark = e.target.closest('[data-insertion]');
+        if (mark) setCurrent(Number(mark.dataset.insertion));
+    }
+
+    async function moveTo(status) {
+        const withContent = editable && ['draft', 'in_review', 'approved'].includes(status) && rejected > 0;
+
+        try {
+            setSaving(true);
+            setError(null);
+            const updated = await reviewArticle(article.id, {
+                status,
+                note: note.trim() || null,
+                ...(withContent && { content: applyDecisions(article.content, decisions) }),
+            });
+            setArticle(updated);
+            setDecisions(withContent ? carryOverDecisions(decisions, insertions.length) : decisions);
+            setCurrent(-1);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message || 'Review failed');
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    return (
+        <div className="article-page review-page">
+            <header className="header">
+                <Link to="/" className="logo">
+                    <div className="logo-icon">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.58 0-3.08-.42-4.38-1.17l-.31-.18-3.22.89.89-3.22-.18-.31C4.42 15.08 4 13.58 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z" />
+                        </svg>
+                    </div>
+                    <span>BeyondChats</span>
+                </Link>
+            </header>
+
+            <div className="review-container">
+                <nav className="breadcrumb">
+                    <Link to={`/review?status=${article.review_status}`}>
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16" style={{ marginRight: '6px', verticalAlign: 'middle' }}>
+                            <path d="M19 12H5M12 19l-7-7 7-7" />
+                        </svg>
+                        Back to Review Queue
+                    </Link>
+                </nav>
+
+                <div className="review-heading">
+                    <span className={`review-badge ${article.review_status}`}>{REVIEW_LABELS[article.review_status]}</span>
+                    <h1 className="review-title">{article.title}</h1>
+                    {article.original_article_id && (
+                        <Link to={`/articles/${article.id}/diff`} className="compare-link">Compare with original →</Link>
+                    )}
+                </div>
+
+                <div className="review-layout">
+                    <div
+                        ref={previewRef}
+                        className="article-body review-preview"
+                        onClick={handlePreviewClick}
+                        dangerouslySetInnerHTML={{ __html: preview }}
+                    />
+
+                    <aside className="review-sidebar">
+                        <h2>
+                            Insertions ({insertions.length})
+                            {editable && insertions.length > 0 && <span className="review-pending">{pending} undecided</span>}
+                        </h2>
+
+                        {editable && insertions.length > 0 && (
+                            <div className="review-bulk">
+                                <button onClick={() => decideAll(DECISION.ACCEPTED)}>Accept all</button>
+                                <button onClick={() => decideAll(DECISION.REJECTED)}>Reject all</button>
+                            </div>
+                        )}
+
+                        <ol className="insertion-list">
+                            {insertions.map(insertion => (
+                                <li
+                                    key={insertion.index}
+                                    className={`${decisions[insertion.index] || 'pending'}${insertion.index === current ? ' current' : ''}`}
+                                >
+                                    <button className="insertion-text" onClick={() => focus(insertion.index)}>
+                                        {insertion.text.length > 160 ? `${insertion.text.slice(0, 160)}…` : insertion.text}
+                                    </button>
+                                    {editable && (
+                                        <div className="insertion-actions">
+                                            <button
+                                                className={decisions[insertion.index] === DECISION.ACCEPTED ? 'active' : ''}
+                                                onClick={() => decide(insertion.index, DECISION.ACCEPTED)}
+                                            >
+                                                Accept
+                                            </button>
+                                            <button
+                                                className={decisions[insertion.index] === DECISION.REJECTED ? 'active' : ''}
+                                                onClick={() => decide(insertion.index, DECISION.REJECTED)}
+                                            >
+                                                Reject
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ol>
+
+                        <label className="review-note">
+                            Note
+                            <textarea
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                placeholder="Why it was rejected, what to fix..."
+                                rows={3}
+                            />
+                        </label>
+
+                        {error && <p className="review-error">{error}</p>}
+
+                        {/* Only the transitions the API allows from the current state */}
+                        <div className="review-actions">
+                            {article.review_status === 'draft' && (
+                                <button disabled={saving} onClick={() => moveTo('in_review')}>Submit for review</button>
+                            )}
+                            {editable && (
+                                <button
+                                    className="primary"
+                                    disabled={saving || pending > 0}
+                                    title={pending > 0 ? 'Accept or reject every insertion first' : undefined}
+                                    onClick={() => moveTo('approved')}
+                                >
+                                    Approve{rejected > 0 ? ` (removes ${rejected})` : ''}
+                                </button>
+                            )}
+                            {article.review_status === 'in_review' && (
+                                <button disabled={saving} onClick={() => moveTo('draft')}>Back to draft</button>
+                            )}
+                            {article.review_status === 'approved' && (
+                                <>
+                                    <button className="primary" disabled={saving} onClick={() => moveTo('published')}>Publish</button>
+                                    <button disabled={saving} onClick={() => moveTo('in_review')}>Back to review</button>
+                                </>
+                            )}
+                            {['draft', 'in_review', 'approved'].includes(article.review_status) && (
+                                <button className="danger" disabled={saving} onClick={() => moveTo('rejected')}>Reject article</button>
+                            )}
+                            {article.review_status === 'rejected' && (
+                                <button disabled={saving} onClick={() => moveTo('draft')}>Reopen as draft</button>
+                            )}
+                            {article.review_status === 'published' && (
+                                <>
+                                    <Link to={`/articles/${article.slug || article.id}`}>View on blog</Link>
+                                    <button disabled={saving} onClick={() => moveTo('draft')}>Unpublish</button>
+                                </>
+                            )}
+                        </div>
+                    </aside>
+                </div>
+            </div>
+
+            <Footer />
+        </div>
+    );
+}
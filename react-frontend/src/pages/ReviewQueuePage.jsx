@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { REVIEWER_TOKEN_KEY, getReviewQueue } from '../services/api';
+import { REVIEW_LABELS } from '../utils/review';
+import Footer from '../components/Footer';
+import './ArticlePage.css';
+import './ReviewPage.css';
+
+const QUEUE_STATUSES = ['draft', 'in_review', 'approved', 'rejected'];
+
+export default function ReviewQueuePage() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [articles, setArticles] = useState([]);
+    const [token, setToken] = useState(() => sessionStorage.getItem(REVIEWER_TOKEN_KEY) || '');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const status = QUEUE_STATUSES.includes(searchParams.get('status')) ? searchParams.get('status') : 'draft';
+
+    const load = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            setArticles(await getReviewQueue(QUEUE_STATUSES));
+        } catch (err) {
+            setArticles([]);
+            setError(err.response?.data?.message || err.message || 'Failed to load the review queue');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    function saveToken(e) {
+        e.preventDefault();
+        sessionStorage.setItem(REVIEWER_TOKEN_KEY, token);
+        load();
+    }
+
+    const count = value => articles.filter(a => a.review_status === value).length;
+    const visible = articles.filter(a => a.review_status === status);
+
+    return (
+        <div className="article-page review-page">
+            <header className="header">
+                <Link to="/" className="logo">
+                    <div className="logo-icon">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.58 0-3.08-.42-4.38-1.17l-.31-.18-3.22.89.89-3.22-.18-.31C4.42 15.08 4 13.58 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z" />
+                        </svg>
+                    </div>
+                    <span>BeyondChats</span>
+                </Link>
+            </header>
+
+            <div className="article-container">
+                <h1 className="review-title">Review queue</h1>
+                <p className="review-subtitle">Enhanced articles stay off the blog until they are approved and published.</p>
+
+                <form className="review-token" onSubmit={saveToken}>
+                    <input
+                        type="password"
+                        placeholder="Reviewer token"
+                        value={token}
+                        onChange={(e) => setToken(e.target.value)}
+                    />
+                    <button type="submit">Use token</button>
+                </form>
+
+                <div className="review-tabs">
+                    {QUEUE_STATUSES.map(value => (
+                        <button
+                            key={value}
+                            className={status === value ? 'active' : ''}
+                            onClick={() => setSearchParams({ status: value }, { replace: true })}
+                        >
+                            {REVIEW_LABELS[value]} ({count(value)})
+                        </button>
+                    ))}
+                </div>
+
+                {loading && <div className="spinner"></div>}
+                {error && <p className="review-error">{error}</p>}
+
+                {!loading && !error && visible.length === 0 && (
+                    <p className="review-empty">Nothing {REVIEW_LABELS[status].toLowerCase()} right now.</p>
+                )}
+
+                <ul className="review-list">
+                    {visible.map(article => (
+                        <li key={article.id}>
+                            <Link to={`/review/${article.id}`}>{article.title}</Link>
+                            <span className="review-list-meta">
+                                Updated {new Date(article.updated_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                                {article.review_note && ` · ${article.review_note}`}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            <Footer />
+        </div>
+    );
+}
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { getArticles, getTag } from '../services/api';
+import ArticleCard from '../components/ArticleCard';
+import Footer from '../components/Footer';
+import './HomePage.css';
+
+const ARTICLES_PER_PAGE = 10;
+
+export default function TagPage() {
+    const { tag: slug } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const filter = searchParams.get('status') === 'original' ? 'original' : 'updated';
+    const currentPage = Math.max(1, Number(searchParams.get('page')) || 1);
+
+    const [tag, setTag] = useState(null);
+    const [notFound, setNotFound] = useState(false);
+    const [articles, setArticles] = useState([]);
+    const [meta, setMeta] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        async function fetchTag() {
+            try {
+                setNotFound(false);
+                const data = await getTag(slug);
+                if (!cancelled) setTag(data);
+            } catch (error) {
+                if (cancelled) return;
+                if (error.response?.status === 404) setNotFound(true);
+                else console.error('Failed to fetch tag:', error);
+            }
+        }
+
+        fetchTag();
+        return () => { cancelled = true; };
+    }, [slug]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        async function fetchArticles() {
+            try {
+                setLoading(true);
+                const result = await getArticles({ tag: slug, status: filter, page: currentPage, perPage: ARTICLES_PER_PAGE });
+                if (cancelled) return;
+                setArticles(result.data);
+                setMeta(result.meta);
+            } catch (error) {
+                console.error('Failed to fetch articles:', error);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        }
+
+        fetchArticles();
+        return () => { cancelled = true; };
+    }, [slug, filter, currentPage]);
+
+    const showPage = (page) => setSearchParams(filter === 'original' ? { status: filter, page } : { page });
+    const totalPages = meta?.last_page ?? 0;
+
+    if (notFound) {
+        return (
+            <div className="home-page">
+                <main className="main-content full-width">
+                    <div className="no-articles">
+                        <p>There is no tag "{slug}".</p>
+                        <p><Link to="/">← Back to Home</Link></p>
+                    </div>
+                </main>
+            </div>
+        );
+    }
+
+    return (
+        <div className="home-page">
+            {/* Header */}
+            <header className="header">
+                <Link to="/" className="logo">
+                    <div className="logo-icon">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 2C6.48 2 2 6.48 2 12c0 1.85.5 3.58 1.36 5.07L2 22l4.93-1.36C8.42 21.5 10.15 22 12 22c5.52 0 10-4.48 10-10S17.52 2 12 2zm0 18c-1.58 0-3.08-.42-4.38-1.17l-.31-.18-3.22.89.89-3.22-.18-.31C4.42 15.08 4 13.58 4 12c0-4.41 3.59-8 8-8s8 3.59 8 8-3.59 8-8 8z" />
+                        </svg>
+                    </div>
+                    <span>BeyondChats</span>
+                </Link>
+            </header>
+
+            {/* Hero */}
+            <section className="hero">
+                <h1># {tag?.name || slug}</h1>
+                {tag?.description && <p>{tag.description}</p>}
+            </section>
+
+            {/* Status Filters */}
+            <div className="filter-bar">
+                <button className={filter === 'updated' ? 'active' : ''} onClick={() => setSearchParams({})}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14">
+                        <path d="M12 2L9.19 8.63 2 9.24l5.46 4.73L5.82 21 12 17.27 18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2z" />
+                    </svg>
+                    Enhanced ({meta?.counts?.updated ?? 0})
+                </button>
+                <button className={filter === 'original' ? 'active' : ''} onClick={() => setSearchParams({ status: 'original' })}>
+                    Original ({meta?.counts?.original ?? 0})
+                </button>
+            </div>
+
+            <main className="main-content full-width">
+                <div className="articles-list">
+                    {loading ? (
+                        <div className="loading">
+                            <div className="spinner"></div>
+                            <p>Loading articles...</p>
+                        </div>
+                    ) : articles.length > 0 ? (
+                        <>
+                            {articles.map(article => (
+                                <ArticleCard key={article.id} article={article} />
+                            ))}
+
+                            {totalPages > 1 && (
+                                <div className="pagination">
+                                    <button
+                                        className="page-btn prev"
+                                        onClick={() => showPage(currentPage - 1)}
+                                        disabled={currentPage === 1}
+                                    >
+                                        ← PREV
+                                    </button>
+                                    <div className="page-numbers">
+                                        <span className="ellipsis">{currentPage} / {totalPages}</span>
+                                    </div>
+                                    <button
+                                        className="page-btn next"
+                                        onClick={() => showPage(currentPage + 1)}
+                                        disabled={currentPage >= totalPages}
+                                    >
+                                        NEXT →
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    ) : (
+                        <div className="no-articles">
+                            <p>No {filter === 'updated' ? 'enhanced' : 'original'} articles tagged {tag?.name || slug} yet.</p>
+                            <p><Link to="/">← Back to all articles</Link></p>
+                        </div>
+                    )}
+                </div>
+            </main>
+
+            <Footer />
+        </div>
+    );
+}
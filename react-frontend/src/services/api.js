@@ -13,20 +13,61 @@ const api = axios.create({
     },
 });
 
+// Editors enter it on the review queue; kept for the browser session only
+export const REVIEWER_TOKEN_KEY = 'reviewer-token';
+
+/**
+ * The X-Reviewer-Token header, when this browser has a reviewer token
+ */
+function reviewerHeaders() {
+    const token = sessionStorage.getItem(REVIEWER_TOKEN_KEY);
+    return token ? { 'X-Reviewer-Token': token } : {};
+}
+
 /**
- * Fetch all articles
+ * Search and page through the published articles
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Full-text search over title, excerpt and content
+ * @param {string} [filters.status] - original or updated
+ * @param {string} [filters.tag] - Tag slug
+ * @param {string} [filters.from] - Earliest publication date (YYYY-MM-DD)
+ * @param {string} [filters.to] - Latest publication date (YYYY-MM-DD)
+ * @param {string} [filters.sort] - newest, oldest, relevance or title
+ * @param {number} [filters.page]
+ * @param {number} [filters.perPage]
+ * @returns {Promise<{data: Array, meta: {current_page: number, last_page: number, total: number, counts: Object}}>}
  */
-export async function getArticles(status = null) {
-    const params = status ? { status } : {};
+export async function getArticles({ perPage, ...filters } = {}) {
+    // Leave out empty filters so the query string stays short
+    const params = Object.fromEntries(
+        Object.entries({ ...filters, per_page: perPage }).filter(([, value]) => value !== undefined && value !== '')
+    );
     const response = await api.get('/articles', { params });
+    return { data: response.data.data, meta: response.data.meta };
+}
+
+/**
+ * Fetch every tag, with its counts of published originals and enhanced articles
+ */
+export async function getTags() {
+    const response = await api.get('/tags');
     return response.data.data;
 }
 
 /**
- * Fetch a single article by ID
+ * Fetch a single tag by slug
+ */
+export async function getTag(slug) {
+    const response = await api.get(`/tags/${slug}`);
+    return response.data.data;
+}
+
+/**
+ * Fetch a single article by ID (unpublished enhancements need the reviewer token)
  */
 export async function getArticle(id) {
-    const response = await api.get(`/articles/${id}`);
+    const response = await api.get(`/articles/${id}`, { headers: reviewerHeaders() });
     return response.data.data;
 }
 
@@ -38,6 +79,143 @@ export async function getCompetitors(articleId) {
     return response.data.data;
 }
 
+/**
+ * Fetch the enhancement history of an enhanced article (newest first, without content; reviewers only)
+ */
+export async function getArticleVersions(articleId) {
+    const response = await api.get(`/articles/${articleId}/versions`, { headers: reviewerHeaders() });
+    return response.data.data;
+}
+
+/**
+ * Fetch one enhancement version, with its content (reviewers only)
+ */
+export async function getArticleVersion(articleId, version) {
+    const response = await api.get(`/articles/${articleId}/versions/${version}`, { headers: reviewerHeaders() });
+    return response.data.data;
+}
+
+/**
+ * Fetch enhanced articles in the given review states (drafts are hidden from getArticles; reviewers only)
+ */
+export async function getReviewQueue(statuses = ['draft', 'in_review', 'approved', 'rejected']) {
+    const response = await api.get('/articles', {
+        params: { review_status: statuses.join(','), per_page: 100 },
+        headers: reviewerHeaders(),
+    });
+    return response.data.data;
+}
+
+/**
+ * Move an enhanced article to another review state, optionally saving the reviewed content
+ *
+ * @param {string|number} articleId
+ * @param {Object} review
+ * @param {string} review.status - draft, in_review, approved, rejected or published
+ * @param {string} [review.content] - Content with the rejected insertions removed
+ * @param {string} [review.note] - Reviewer's note, e.g. why it was rejected
+ */
+export async function reviewArticle(articleId, { status, content, note }) {
+    const response = await api.post(`/articles/${articleId}/review`, { status, content, note }, { headers: reviewerHeaders() });
+    return response.data.data;
+}
+
+/**
+ * Fetch one page of an article's approved comments (top-level, each with its replies)
+ *
+ * @returns {Promise<{data: Object[], meta: {current_page: number, last_page: number, per_page: number, total: number, total_comments: number}}>}
+ */
+export async function getComments(articleId, page = 1) {
+    const response = await api.get(`/articles/${articleId}/comments`, { params: { page } });
+    return { data: response.data.data, meta: response.data.meta };
+}
+
+/**
+ * Post a comment, or a reply when `parent_id` is set
+ *
+ * @param {string|number} articleId
+ * @param {Object} comment
+ * @param {?string} [commenterToken] - From an earlier comment; approved commenters skip moderation
+ * @returns {Promise<{comment: Object, editToken: string, commenterToken: string, message: string}>} Keep the edit token to delete the comment later
+ */
+export async function postComment(articleId, comment, commenterToken = null) {
+    const response = await api.post(`/articles/${articleId}/comments`, comment, {
+        headers: commenterToken ? { 'X-Commenter-Token': commenterToken } : {},
+    });
+    return {
+        comment: response.data.data,
+        editToken: response.data.edit_token,
+        commenterToken: response.data.commenter_token,
+        message: response.data.message,
+    };
+}
+
+/**
+ * Delete one of your own comments
+ */
+export async function deleteComment(commentId, editToken) {
+    await api.delete(`/comments/${commentId}`, { headers: { 'X-Edit-Token': editToken } });
+}
+
+/**
+ * Fetch comments for moderation (pending by default), newest first
+ */
+export async function getModerationQueue({ status = 'pending', page = 1, token = '' } = {}) {
+    const response = await api.get('/comments/moderation', {
+        params: { status, page },
+        headers: { 'X-Moderator-Token': token },
+    });
+    return { data: response.data.data, meta: response.data.meta };
+}
+
+/**
+ * Approve, reject or mark a comment as spam
+ */
+export async function moderateComment(commentId, status, token = '') {
+    const response = await api.put(`/comments/${commentId}/status`, { status }, {
+        headers: { 'X-Moderator-Token': token },
+    });
+    return response.data.data;
+}
+
+/**
+ * Fetch an article's like count and whether this visitor has liked it
+ *
+ * @returns {Promise<{count: number, liked: boolean}>}
+ */
+export async function getLikes(articleId, visitorId) {
+    const response = await api.get(`/articles/${articleId}/likes`, { headers: { 'X-Visitor-Id': visitorId } });
+    return response.data.data;
+}
+
+/**
+ * Like an article (once per visitor; liking again changes nothing)
+ *
+ * @returns {Promise<{count: number, liked: boolean}>}
+ */
+export async function likeArticle(articleId, visitorId) {
+    const response = await api.post(`/articles/${articleId}/likes`, null, { headers: { 'X-Visitor-Id': visitorId } });
+    return response.data.data;
+}
+
+/**
+ * Take back this visitor's like
+ *
+ * @returns {Promise<{count: number, liked: boolean}>}
+ */
+export async function unlikeArticle(articleId, visitorId) {
+    const response = await api.delete(`/articles/${articleId}/likes`, { headers: { 'X-Visitor-Id': visitorId } });
+    return response.data.data;
+}
+
+/**
+ * The link to share an article on social networks: the API's share page,
+ * which carries the article's Open Graph tags and forwards to the blog
+ */
+export function getShareUrl(article) {
+    return `${API_URL.replace(/\/api\/?$/, '')}/share/${article.slug || article.id}`;
+}
+
 /**
  * Get the latest original article
  */
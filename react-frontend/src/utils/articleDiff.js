@@ -0,0 +1,90 @@
+/**
+ * Block-level diff between an original article and an enhanced version.
+ *
+ * Both articles are split into blocks (paragraphs, headings, list items, ...)
+ * and aligned on their text with the <mark>ed insertions left out, so an
+ * original paragraph with a highlighted sentence appended still lines up
+ * with its original. Blocks only the enhanced version has, or that carry a
+ * <mark>, are additions.
+ */
+
+import DOMPurify from 'dompurify';
+
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, table, figure, img, mark';
+
+/**
+ * Split article HTML into top-level blocks
+ *
+ * @returns {Array<{html: string, key: string, marked: boolean}>}
+ */
+export function extractBlocks(html) {
+    const doc = new DOMParser().parseFromString(DOMPurify.sanitize(html || ''), 'text/html');
+
+    // The appended "Reference Articles" cards are not part of the article text
+    doc.querySelectorAll('.related-articles-section').forEach(section => section.remove());
+
+    return [...doc.body.querySelectorAll(BLOCK_SELECTOR)]
+        .filter(el => !el.parentElement.closest(BLOCK_SELECTOR))
+        .map(el => ({
+            html: el.outerHTML,
+            key: blockKey(el),
+            marked: el.tagName === 'MARK' || el.querySelector('mark') !== null,
+        }))
+        .filter(block => block.key || block.marked);
+}
+
+/**
+ * Align two block lists
+ *
+ * @returns {Array<{type: 'same'|'added'|'removed', original: ?Object, enhanced: ?Object, addition: boolean}>}
+ *   `addition` marks the rows to jump between: new blocks and blocks with highlighted insertions
+ */
+export function diffArticles(originalHtml, enhancedHtml) {
+    const original = extractBlocks(originalHtml);
+    const enhanced = extractBlocks(enhancedHtml);
+
+    // Longest common subsequence over block keys; blocks that are all <mark> never match
+    const lengths = Array.from({ length: original.length + 1 }, () => new Array(enhanced.length + 1).fill(0));
+    for (let i = original.length - 1; i >= 0; i--) {
+        for (let j = enhanced.length - 1; j >= 0; j--) {
+            lengths[i][j] = original[i].key && original[i].key === enhanced[j].key
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let i = 0;
+    let j = 0;
+    while (i < original.length || j < enhanced.length) {
+        if (i < original.length && j < enhanced.length && original[i].key && original[i].key === enhanced[j].key) {
+            rows.push({ type: 'same', original: original[i], enhanced: enhanced[j], addition: enhanced[j].marked });
+            i++;
+            j++;
+        } else if (j < enhanced.length && (i === original.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            rows.push({ type: 'added', original: null, enhanced: enhanced[j], addition: true });
+            j++;
+        } else {
+            rows.push({ type: 'removed', original: original[i], enhanced: null, addition: false });
+            i++;
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Text a block is compared on: whitespace-normalised, without <mark>ed insertions
+ */
+function blockKey(el) {
+    if (el.tagName === 'MARK') return '';
+
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll('mark').forEach(mark => mark.remove());
+    const text = clone.textContent.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (text) return text;
+
+    // Media blocks compare on their source
+    const media = clone.matches('img') ? clone : clone.querySelector('img, video, iframe');
+    return media ? `[${media.tagName.toLowerCase()}:${media.getAttribute('src') || ''}]` : '';
+}
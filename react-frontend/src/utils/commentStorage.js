@@ -0,0 +1,55 @@
+/**
+ * What a commenter's browser remembers: their details (when they tick "Save
+ * my name..."), the edit tokens of the comments they posted, which the API
+ * asks for before deleting a comment, and the commenter token it recognises
+ * them by once one of their comments is approved.
+ */
+
+const COMMENTER_KEY = 'commenter';
+const TOKENS_KEY = 'comment-edit-tokens';
+const COMMENTER_TOKEN_KEY = 'commenter-token';
+
+function read(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * @returns {?{author_name: string, author_email: string, author_website: string}}
+ */
+export function loadCommenter() {
+    return read(COMMENTER_KEY, null);
+}
+
+export function saveCommenter({ author_name, author_email, author_website }) {
+    localStorage.setItem(COMMENTER_KEY, JSON.stringify({ author_name, author_email, author_website }));
+}
+
+export function forgetCommenter() {
+    localStorage.removeItem(COMMENTER_KEY);
+}
+
+export function getCommenterToken() {
+    return localStorage.getItem(COMMENTER_TOKEN_KEY);
+}
+
+export function rememberCommenterToken(token) {
+    if (token) localStorage.setItem(COMMENTER_TOKEN_KEY, token);
+}
+
+export function getEditToken(commentId) {
+    return read(TOKENS_KEY, {})[commentId] || null;
+}
+
+export function rememberEditToken(commentId, token) {
+    localStorage.setItem(TOKENS_KEY, JSON.stringify({ ...read(TOKENS_KEY, {}), [commentId]: token }));
+}
+
+export function forgetEditToken(commentId) {
+    const tokens = read(TOKENS_KEY, {});
+    delete tokens[commentId];
+    localStorage.setItem(TOKENS_KEY, JSON.stringify(tokens));
+}
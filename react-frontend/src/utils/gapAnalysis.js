@@ -0,0 +1,51 @@
+/**
+ * Links a gap analysis to the article it was run for: each "missing" topic is
+ * matched to the <mark> insertion that most likely covers it, by how many of
+ * the topic's words the insertion uses.
+ */
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'that', 'this', 'from',
+    'how', 'what', 'why', 'about', 'into', 'more', 'than', 'their', 'its', 'can', 'use',
+    'using', 'such', 'other', 'like', 'also', 'any', 'all', 'have', 'has', 'does',
+]);
+
+// Share of a topic's words an insertion needs to count as covering it
+const MIN_OVERLAP = 0.5;
+
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+        // Crude stemming so "chatbots" matches "chatbot"
+        .map(word => word.replace(/(ies|es|s)$/, ''));
+}
+
+/**
+ * Best insertion for each topic
+ *
+ * @param {string[]} topics - e.g. the analysis's `missing` list
+ * @param {Array<{index: number, text: string}>} insertions - From listInsertions()
+ * @returns {Array<?number>} Insertion index per topic, or null when none covers it
+ */
+export function matchTopicsToInsertions(topics, insertions) {
+    const insertionWords = insertions.map(insertion => new Set(tokenize(insertion.text)));
+
+    return topics.map(topic => {
+        const words = [...new Set(tokenize(topic))];
+        if (words.length === 0) return null;
+
+        let best = null;
+        let bestOverlap = 0;
+        insertionWords.forEach((available, i) => {
+            const overlap = words.filter(word => available.has(word)).length / words.length;
+            if (overlap > bestOverlap) {
+                best = insertions[i].index;
+                bestOverlap = overlap;
+            }
+        });
+
+        return bestOverlap >= MIN_OVERLAP ? best : null;
+    });
+}
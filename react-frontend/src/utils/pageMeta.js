@@ -0,0 +1,75 @@
+/**
+ * Per-page <title>, description, Open Graph and Twitter card tags.
+ *
+ * Browsers and crawlers that run JavaScript read these. Social networks'
+ * crawlers don't, so the links shared there point at the API's share page
+ * (getShareUrl), which serves the same tags.
+ */
+
+const SITE_NAME = 'BeyondChats Blog';
+
+// What index.html had before the first change, restored by resetPageMeta()
+const defaults = new Map();
+
+/**
+ * @param {Object} meta
+ * @param {string} meta.title
+ * @param {string} [meta.description]
+ * @param {?string} [meta.image] - Absolute URL
+ * @param {string} [meta.url] - Canonical URL of the page
+ * @param {string} [meta.type='website'] - og:type, e.g. 'article'
+ */
+export function setPageMeta({ title, description = '', image = null, url = window.location.href, type = 'website' }) {
+    if (!defaults.has('title')) defaults.set('title', document.title);
+    document.title = `${title} | ${SITE_NAME}`;
+
+    setTag('name', 'description', description);
+
+    setTag('property', 'og:type', type);
+    setTag('property', 'og:site_name', SITE_NAME);
+    setTag('property', 'og:title', title);
+    setTag('property', 'og:description', description);
+    setTag('property', 'og:url', url);
+    setTag('property', 'og:image', image);
+
+    setTag('name', 'twitter:card', image ? 'summary_large_image' : 'summary');
+    setTag('name', 'twitter:title', title);
+    setTag('name', 'twitter:description', description);
+    setTag('name', 'twitter:image', image);
+}
+
+/**
+ * Put back the site-wide title and tags, e.g. when leaving an article
+ */
+export function resetPageMeta() {
+    defaults.forEach((content, key) => {
+        if (key === 'title') {
+            document.title = content;
+            return;
+        }
+        const [attribute, name] = key.split('|');
+        setTag(attribute, name, content);
+    });
+}
+
+/**
+ * Set a <meta> tag's content, adding the tag if needed; an empty value removes it
+ */
+function setTag(attribute, name, content) {
+    let tag = document.head.querySelector(`meta[${attribute}="${name}"]`);
+
+    const key = `${attribute}|${name}`;
+    if (!defaults.has(key)) defaults.set(key, tag ? tag.getAttribute('content') : null);
+
+    if (!content) {
+        tag?.remove();
+        return;
+    }
+
+    if (!tag) {
+        tag = document.createElement('meta');
+        tag.setAttribute(attribute, name);
+        document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', content);
+}
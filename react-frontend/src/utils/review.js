@@ -0,0 +1,111 @@
+/**
+ * Review helpers for enhanced articles.
+ *
+ * The LLM wraps every paragraph it adds in <mark>. During review each of those
+ * insertions is accepted (kept, still highlighted) or rejected (removed).
+ * Insertions are numbered in document order, skipping the appended
+ * "Reference Articles" section, so the same index means the same <mark> in
+ * the rendered preview and in the content that is saved.
+ */
+
+import DOMPurify from 'dompurify';
+
+export const REVIEW_LABELS = {
+    draft: 'Draft',
+    in_review: 'In review',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    published: 'Published',
+};
+
+export const DECISION = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+};
+
+/**
+ * List the insertions in an article
+ *
+ * @returns {Array<{index: number, text: string}>}
+ */
+export function listInsertions(html) {
+    return insertionMarks(parse(DOMPurify.sanitize(html || ''))).map((mark, index) => ({
+        index,
+        text: mark.textContent.replace(/\s+/g, ' ').trim(),
+    }));
+}
+
+/**
+ * Sanitized preview HTML with each insertion tagged for display: a
+ * `data-insertion` index and a class for its decision (and `current`)
+ *
+ * @param {string} html
+ * @param {Object<number, string>} decisions - DECISION by insertion index
+ * @param {number} [current] - Index of the insertion being looked at
+ */
+export function annotateInsertions(html, decisions, current = -1) {
+    const doc = parse(DOMPurify.sanitize(html || ''));
+
+    insertionMarks(doc).forEach((mark, index) => {
+        mark.setAttribute('data-insertion', index);
+        mark.classList.add('insertion', decisions[index] || 'pending');
+        if (index === current) mark.classList.add('current');
+    });
+
+    return doc.body.innerHTML;
+}
+
+/**
+ * Sanitized HTML with an `insertion-<index>` id on each insertion, so other
+ * parts of the page can link to it
+ */
+export function anchorInsertions(html) {
+    const doc = parse(DOMPurify.sanitize(html || ''));
+    insertionMarks(doc).forEach((mark, index) => { mark.id = `insertion-${index}`; });
+    return doc.body.innerHTML;
+}
+
+/**
+ * The content to save: rejected insertions removed, along with any block
+ * they leave empty. Works on the unsanitized content so embeds the preview
+ * strips (iframes, videos) are kept.
+ */
+export function applyDecisions(html, decisions) {
+    const doc = parse(html || '');
+
+    insertionMarks(doc).forEach((mark, index) => {
+        if (decisions[index] !== DECISION.REJECTED) return;
+
+        const block = mark.parentElement.closest('p, li, blockquote');
+        mark.remove();
+        if (block && !block.textContent.trim() && !block.querySelector('img, video, iframe, embed')) {
+            block.remove();
+        }
+    });
+
+    return doc.body.innerHTML;
+}
+
+/**
+ * Renumber decisions for the content applyDecisions() returned: the rejected
+ * insertions are gone, so the ones after them move up
+ */
+export function carryOverDecisions(decisions, count) {
+    const carried = {};
+    let next = 0;
+    for (let index = 0; index < count; index++) {
+        if (decisions[index] === DECISION.REJECTED) continue;
+        if (decisions[index]) carried[next] = decisions[index];
+        next++;
+    }
+    return carried;
+}
+
+function parse(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+}
+
+function insertionMarks(doc) {
+    return [...doc.body.querySelectorAll('mark')]
+        .filter(mark => !mark.closest('.related-articles-section'));
+}
@@ -0,0 +1,80 @@
+/**
+ * Sharing helpers for article pages: links to each network's share dialog,
+ * the Web Share API where the browser has it, and copying a link.
+ */
+
+/**
+ * Share dialog URLs for an article
+ *
+ * @param {Object} share
+ * @param {string} share.url - The link to share
+ * @param {string} share.title
+ * @param {string} [share.text] - Short description, used where the network takes one
+ */
+export function shareLinks({ url, title, text = '' }) {
+    const u = encodeURIComponent(url);
+    const t = encodeURIComponent(title);
+
+    return {
+        facebook: `https://www.facebook.com/sharer/sharer.php?u=${u}`,
+        twitter: `https://twitter.com/intent/tweet?url=${u}&text=${t}`,
+        linkedin: `https://www.linkedin.com/sharing/share-offsite/?url=${u}`,
+        whatsapp: `https://wa.me/?text=${encodeURIComponent(`${title} ${url}`)}`,
+        email: `mailto:?subject=${t}&body=${encodeURIComponent(`${text ? `${text}\n\n` : ''}${url}`)}`,
+    };
+}
+
+/**
+ * Whether the browser offers its own share sheet (mostly mobile)
+ */
+export function canShareNatively() {
+    return typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+}
+
+/**
+ * Open the browser's share sheet
+ *
+ * @returns {Promise<boolean>} False if the reader closed it without sharing
+ */
+export async function shareNatively({ url, title, text }) {
+    try {
+        await navigator.share({ url, title, text });
+        return true;
+    } catch (error) {
+        if (error.name === 'AbortError') return false;
+        throw error;
+    }
+}
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea where the
+ * Clipboard API is unavailable (plain-http pages, older browsers)
+ *
+ * @returns {Promise<boolean>} Whether it was copied
+ */
+export async function copyToClipboard(text) {
+    if (navigator.clipboard?.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch {
+            // Permission denied; try the fallback
+        }
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+        return document.execCommand('copy');
+    } catch {
+        return false;
+    } finally {
+        textarea.remove();
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * An anonymous, random visitor ID kept in localStorage. The API counts one
+ * like per ID; it never sees anything else about the reader.
+ */
+
+const VISITOR_KEY = 'visitor-id';
+
+/**
+ * @returns {?string} Null when storage is blocked (private mode in some browsers)
+ */
+export function getVisitorId() {
+    try {
+        let visitorId = localStorage.getItem(VISITOR_KEY);
+        if (!visitorId) {
+            visitorId = randomId();
+            localStorage.setItem(VISITOR_KEY, visitorId);
+        }
+        return visitorId;
+    } catch {
+        return null;
+    }
+}
+
+// crypto.randomUUID() only exists on secure (https or localhost) pages
+function randomId() {
+    if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -1,7 +1,17 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // Modules shared with node-script (e.g. the gap analysis schema)
+    alias: { '@shared': sharedDir },
+  },
+  server: {
+    fs: { allow: ['.', sharedDir] },
+  },
 })
@@ -0,0 +1,133 @@
+/**
+ * Gap Analysis Schema
+ * The shape of the gap analysis stored on enhanced articles. node-script
+ * validates LLM output against it before publishing; react-frontend reads
+ * stored analyses through normalizeGapAnalysis().
+ */
+
+/**
+ * Field rules: string lists with length bounds, and an integer score range
+ */
+export const GAP_ANALYSIS_SCHEMA = {
+    missing: { type: 'string[]', minItems: 0, maxItems: 10 },
+    improve: { type: 'string[]', minItems: 0, maxItems: 10 },
+    strengths: { type: 'string[]', minItems: 0, maxItems: 10 },
+    keywords_missing: { type: 'string[]', minItems: 0, maxItems: 20 },
+    overall_score: { type: 'integer', min: 1, max: 10 },
+    recommendations: { type: 'string[]', minItems: 1, maxItems: 3 },
+};
+
+export const SCORE_RANGE = {
+    min: GAP_ANALYSIS_SCHEMA.overall_score.min,
+    max: GAP_ANALYSIS_SCHEMA.overall_score.max,
+};
+
+// Field names used by analyses stored before the schema existed
+const LEGACY_FIELDS = {
+    missing: 'missing_topics',
+    improve: 'improvements',
+};
+
+/**
+ * Human-readable description of the schema, used in prompts and re-asks
+ */
+export function describeSchema() {
+    return Object.entries(GAP_ANALYSIS_SCHEMA)
+        .map(([field, rule]) => rule.type === 'integer'
+            ? `- "${field}": integer from ${rule.min} to ${rule.max}`
+            : `- "${field}": array of ${rule.minItems}-${rule.maxItems} non-empty strings`)
+        .join('\n');
+}
+
+/**
+ * Validate (and lightly normalise) a gap analysis object
+ *
+ * @returns {{ valid: boolean, errors: string[], value: ?Object }}
+ */
+export function validateGapAnalysis(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Analysis must be a JSON object'], value: null };
+    }
+
+    const value = {};
+
+    for (const [field, rule] of Object.entries(GAP_ANALYSIS_SCHEMA)) {
+        const raw = input[field];
+
+        if (rule.type === 'integer') {
+            const score = typeof raw === 'string' ? Number(raw.trim()) : raw;
+            if (!Number.isInteger(score)) {
+                errors.push(`"${field}" must be an integer, got ${JSON.stringify(raw)}`);
+            } else if (score < rule.min || score > rule.max) {
+                errors.push(`"${field}" must be between ${rule.min} and ${rule.max}, got ${score}`);
+            } else {
+                value[field] = score;
+            }
+            continue;
+        }
+
+        // An omitted optional list just means "nothing to report"
+        if (raw === undefined && rule.minItems === 0) {
+            value[field] = [];
+            continue;
+        }
+
+        if (!Array.isArray(raw)) {
+            errors.push(`"${field}" must be an array of strings`);
+            continue;
+        }
+
+        const items = raw.map(item => (typeof item === 'string' ? item.trim() : item));
+
+        if (items.some(item => typeof item !== 'string' || item === '')) {
+            errors.push(`"${field}" must only contain non-empty strings`);
+        } else if (items.length < rule.minItems || items.length > rule.maxItems) {
+            errors.push(`"${field}" must have ${rule.minItems}-${rule.maxItems} items, got ${items.length}`);
+        } else {
+            value[field] = items;
+        }
+    }
+
+    return errors.length === 0
+        ? { valid: true, errors, value }
+        : { valid: false, errors, value: null };
+}
+
+/**
+ * Best-effort reading of a stored analysis for display. Unlike
+ * validateGapAnalysis() it never rejects: unusable fields become empty lists
+ * or a null score, and legacy field names (`missing_topics`, `improvements`,
+ * a 0-100 `score`) are mapped onto the schema.
+ *
+ * @returns {?Object} Every schema field, or null when there is no analysis
+ */
+export function normalizeGapAnalysis(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+
+    const analysis = {};
+
+    for (const [field, rule] of Object.entries(GAP_ANALYSIS_SCHEMA)) {
+        if (rule.type === 'integer') {
+            analysis[field] = normalizeScore(input[field] ?? input.score, rule);
+            continue;
+        }
+
+        const raw = input[field] ?? input[LEGACY_FIELDS[field]];
+        analysis[field] = Array.isArray(raw)
+            ? raw.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+            : [];
+    }
+
+    return analysis;
+}
+
+function normalizeScore(raw, rule) {
+    const score = Number(raw);
+    if (raw === null || raw === undefined || raw === '' || Number.isNaN(score)) return null;
+
+    // Percentages from the old analysis map onto the 1-10 scale
+    const scaled = score > rule.max ? score / 10 : score;
+    return Math.min(rule.max, Math.max(rule.min, Math.round(scaled)));
+}